@@ -2,26 +2,75 @@
 'use strict';
 
 var url = require('url'),
-  request = require('request'),
   Firebase = require('firebase'),
   Q = require('q'),
-  FirebaseInstance = require('./instance');
+  FirebaseInstance = require('./instance'),
+  History = require('./lib/history'),
+  Endpoints = require('./lib/endpoints'),
+  Transport = require('./lib/transport'),
+  Importer = require('./lib/importer'),
+  userRecords = require('./lib/user-records'),
+  errors = require('./lib/errors');
 
 
 /**
  * Creates a new reference to a Firebase account.
  * @constructor
  * @param {String} adminToken The admin token for the account.
+ * @param {Object} [options] Account options.
+ * @param {Object} [options.endpoints] Base URLs of the services to use instead
+ * of the public Firebase ones, for instance to talk to a proxy or a local
+ * stand-in. See {@link FirebaseAccount.defaultEndpoints} for the keys.
+ * @param {Object} [options.transport] Retry and timeout settings shared by
+ * every request the account and its instances make. See
+ * {@link FirebaseAccount.defaultTransport} for the keys.
+ * @param {Boolean|String|Object} [options.history] Where instances save the
+ * versions of rules and auth config that changes replace, and when secrets
+ * were added and removed: true for ~/.firebase-admin/history, a directory, or
+ * a store with append() and list() methods (see lib/history.js). By default
+ * nothing is saved.
+ * @param {Function} [options.onWarning] Called with a message and the Error
+ * behind it when something goes wrong that doesn't stop an operation, like
+ * failing to save history.
+ * @example
+ * var account = new FirebaseAccount(token, {
+ *   endpoints: {
+ *     admin: 'http://localhost:4000/admin',
+ *     auth: 'http://localhost:4000/auth',
+ *     database: 'http://localhost:4000/db/{name}'
+ *   },
+ *   transport: {
+ *     retries: 5,
+ *     timeout: 10000
+ *   }
+ * });
  */
-function FirebaseAccount(adminToken) {
+function FirebaseAccount(adminToken, options) {
 
-  var deferred = Q.defer();
+  options = options || {};
 
   this._dbs = {};
   this.adminToken = adminToken;
+  this.endpoints = new Endpoints(options.endpoints);
+  this.transport = new Transport(options.transport);
+  this.history = History.fromOption(options.history);
+  this.onWarning = options.onWarning;
 
 }
 
+/**
+ * The service URLs used when none are supplied. In the database URL,
+ * "{name}" stands for the name of the instance.
+ */
+FirebaseAccount.defaultEndpoints = Endpoints.defaults;
+
+/**
+ * The retry and timeout settings used when none are supplied. Delays and
+ * timeouts are in milliseconds; "timeout" limits a single attempt and
+ * "deadline" limits a request including all its retries.
+ */
+FirebaseAccount.defaultTransport = Transport.defaults;
+
 FirebaseAccount.defaultAuthConfig = {
   domains: [
     'localhost',
@@ -68,6 +117,18 @@ FirebaseAccount.defaultAuthConfig = {
   }
 };
 
+FirebaseAccount.prototype._instance = function(name) {
+
+  return new FirebaseInstance(name, this.adminToken, {
+    endpoints: this.endpoints,
+    transport: this.transport,
+    history: this.history === null ? false : this.history,
+    onWarning: this.onWarning
+  });
+
+};
+
+
 /**
  * Promises to create a new Firebase instance under the account.
  * @param {String} name The name of the new instance.
@@ -87,32 +148,20 @@ FirebaseAccount.defaultAuthConfig = {
  */
 FirebaseAccount.prototype.createDatabase = function(name) {
 
-  var deferred = Q.defer();
-
-  request.post({
-    url: 'https://admin.firebase.com/firebase/' + name,
+  return this.transport.request({
+    method: 'POST',
+    url: this.endpoints.adminUrl('firebase/' + name),
+    instance: name,
     form: {
       token: this.adminToken,
       appName: name
     }
-  }, function(err, response, body) {
-    body = JSON.parse(body);
-    if (err) {
-      deferred.reject(err);
-    } else if (response.statusCode !== 200) {
-      deferred.reject(new Error(response.statusCode));
-    } else if (body.error) {
-      deferred.reject(new Error('Firebase error: ' + body.error));
-    } else if (body.success === false) {
-      deferred.reject(new Error('Bad credentials or server error.'));
-    } else {
-      this._dbs[name] = new FirebaseInstance(name, this.adminToken);
-      deferred.resolve(this._dbs[name]);
-    }
+  })
+  .then(function() {
+    this._dbs[name] = this._instance(name);
+    return this._dbs[name].ready;
   }.bind(this));
 
-  return deferred.promise;
-
 };
 
 
@@ -141,7 +190,7 @@ FirebaseAccount.prototype.getDatabase = function(name) {
     /* jshint newcap:false */
     return Q(this._dbs[name]);
   } else {
-    var newDb = new FirebaseInstance(name, this.adminToken);
+    var newDb = this._instance(name);
 
     return newDb.ready
     .then(function() {
@@ -153,6 +202,57 @@ FirebaseAccount.prototype.getDatabase = function(name) {
 };
 
 
+/**
+ * Promises to list every Firebase instance under the account, not just the
+ * ones this process has touched.
+ * @returns {external:Promise} A promise that resolves with an Array of
+ * objects sorted by name, each with the instance's name, its database url
+ * and whatever other metadata the admin API reports, and rejects with an
+ * Error if there's an error.
+ * @example
+ * account.listDatabases()
+ * .then(function(dbs) {
+ *   dbs.forEach(function(db) {
+ *     console.log(db.name, db.url);
+ *   });
+ * });
+ */
+FirebaseAccount.prototype.listDatabases = function() {
+
+  return this.transport.request({
+    url: this.endpoints.adminUrl('account'),
+    qs: {
+      token: this.adminToken
+    },
+    json: true
+  })
+  .then(function(body) {
+
+    var firebases = body.firebases || {};
+
+    return Object.keys(firebases).sort()
+    .map(function(name) {
+
+      var db = {
+        name: name,
+        url: this.endpoints.databaseUrl(name)
+      };
+
+      Object.keys(firebases[name] || {}).forEach(function(key) {
+        if (!db.hasOwnProperty(key)) {
+          db[key] = firebases[name][key];
+        }
+      });
+
+      return db;
+
+    }, this);
+
+  }.bind(this));
+
+};
+
+
 /**
  * Promises to remove a Firebase instance from the account
  * @param {FirebaseInstance} db The instance to remove.
@@ -163,47 +263,218 @@ FirebaseAccount.prototype.deleteDatabase = function(db) {
 
   if (db.deleted) {
     return Q.reject(
-      new Error('Cannot delete already-deleted database ' + db.toString())
+      new errors.DeletedInstanceError(
+        'Cannot delete already-deleted database ' + db.toString(),
+        { instance: db.name }
+      )
     );
   }
 
-  var deferred = Q.defer();
-
-  request.post({
-    url: 'https://admin.firebase.com/firebase/' + db.name,
+  return this.transport.request({
+    method: 'POST',
+    url: this.endpoints.adminUrl('firebase/' + db.name),
+    instance: db.name,
     form: {
       token: this.adminToken,
       namespace: db.name,
       _method: 'DELETE'
     }
-  }, function(err, response, body) {
-    body = JSON.parse(body);
-    if (err) {
-      deferred.reject(err);
-    } else if (response.statusCode !== 200) {
-      deferred.reject(new Error(response.statusCode));
-    } else if (body.error) {
-      deferred.reject(new Error('Firebase error: ' + body.error));
-    } else if (body.success === false) {
-      deferred.reject(new Error('Bad credentials or server error.'));
-    } else {
-      db.deleted = true;
-      delete this._dbs[db.name];
-      deferred.resolve();
-    }
-
+  })
+  .then(function() {
+    db.deleted = true;
+    delete this._dbs[db.name];
   }.bind(this));
 
-  return deferred.promise;
+};
+
+
+/**
+ * Promises to copy one Firebase instance's security rules and auth config
+ * into another, creating the target if it doesn't exist yet. Data and Simple
+ * Login users are only copied if asked for. Passwords can't be read back, so
+ * copied users get new ones.
+ * @param {String} sourceName The name of the instance to copy.
+ * @param {String} targetName The name of the instance to copy into.
+ * @param {Object} [options] Clone options.
+ * @param {Boolean} [options.data=false] Replace the target's data with the
+ * source's.
+ * @param {Boolean} [options.users=false] Create the source's users in the
+ * target if they're missing there.
+ * @param {Boolean} [options.regeneratePasswords=false] Also give users that
+ * already exist in the target new passwords, so every copied user's password
+ * is known.
+ * @param {String} [options.password] The password to give copied users
+ * instead of a random one each.
+ * @param {Number} [options.pageSize] Passed on to the data {@link Exporter}.
+ * @returns {external:Promise} A promise that resolves with a summary of the
+ * clone and rejects with an Error if there's an error. The summary's users
+ * holds the email and password of every user created or given a new password.
+ * @example
+ * account.cloneDatabase('production', 'staging', { data: true, users: true })
+ * .then(function(summary) {
+ *   summary.users.forEach(function(user) {
+ *     console.log(user.email, user.password);
+ *   });
+ * });
+ */
+FirebaseAccount.prototype.cloneDatabase = function(sourceName, targetName, options) {
+
+  options = options || {};
+
+  var summary = {
+    source: sourceName,
+    target: targetName,
+    created: false,
+    rules: false,
+    authConfig: false,
+    entries: 0,
+    users: []
+  };
+
+  if (sourceName === targetName) {
+    return Q.reject(new errors.ValidationError(
+      'Cannot clone ' + sourceName + ' into itself',
+      { instance: sourceName }
+    ));
+  }
+
+  // whether the target exists is looked up, not guessed from how getting it
+  // fails, since a missing instance doesn't always get a NotFoundError
+  var sourceReady = this.getDatabase(sourceName),
+    targetReady = this.listDatabases()
+    .then(function(dbs) {
+
+      var exists = dbs.some(function(db) {
+        return db.name === targetName;
+      });
+
+      if (exists) {
+        return this.getDatabase(targetName);
+      }
+
+      summary.created = true;
+      return this.createDatabase(targetName);
+
+    }.bind(this));
+
+  return Q.all([sourceReady, targetReady])
+  .spread(function(source, target) {
+
+    return source.getRules()
+    .then(function(rules) {
+      return target.setRules(rules, { message: 'Clone from ' + sourceName });
+    })
+    .then(function() {
+      summary.rules = true;
+    })
+    .then(function() {
+      return source.getAuthConfig();
+    })
+    .then(function(authConfig) {
+
+      if (authConfig) {
+        return target.setAuthConfig(authConfig, { message: 'Clone from ' + sourceName })
+        .then(function() {
+          summary.authConfig = true;
+        });
+      }
+
+    })
+    .then(function() {
+
+      if (!options.data) {
+        return;
+      }
+
+      var importer = new Importer(target),
+        finished = Q.defer();
+
+      // a batch can fail while the export is still writing
+      importer.on('finish', finished.resolve);
+      importer.on('error', finished.reject);
+
+      return target.removeData('/')
+      .then(function() {
+
+        return Q.race([
+          source.exportStream('/', importer, { pageSize: options.pageSize }),
+          finished.promise
+        ]);
+
+      })
+      .then(function() {
+        importer.end();
+        return finished.promise;
+      })
+      .then(function() {
+        summary.entries = importer.entries;
+      });
+
+    })
+    .then(function() {
+
+      if (options.users) {
+        return cloneUsers(source, target, options, summary.users);
+      }
+
+    });
+
+  })
+  .then(function() {
+    return summary;
+  });
 
 };
 
 
+function cloneUsers(source, target, options, results) {
+
+  return Q.all([source.listUsers(), target.listUsers()])
+  .spread(function(sourceUsers, targetUsers) {
+
+    var existing = targetUsers.map(function(user) {
+      return user.email;
+    });
+
+    return sourceUsers.reduce(function(promise, user) {
+
+      return promise.then(function() {
+
+        var password = options.password || userRecords.generatePassword(),
+          exists = existing.indexOf(user.email) !== -1;
+
+        if (exists && !options.regeneratePasswords) {
+          return;
+        }
+
+        return (exists ?
+          target.changeUserPassword(user.email, password) :
+          target.createUser(user.email, password))
+        .then(function() {
+
+          results.push({
+            email: user.email,
+            password: password,
+            created: !exists
+          });
+
+        });
+
+      });
+
+    }, Q());
+
+  });
+
+}
+
+
 /**
  * Promises to create a new Firebase instance under the account
  * with the specified username and password. A convenience method.
  * @param {String} email The email address associated with the account.
  * @param {String} password The password for the account.
+ * @param {Object} [options] Account options, as for the constructor.
  * @returns {external:Promise} A promise that resolves with a
  * {@link FirebaseInstance} if successful and rejects with an Error if
  * there's an error. This instance also has an extra method, tearDown, that
@@ -218,9 +489,9 @@ FirebaseAccount.prototype.deleteDatabase = function(db) {
  *   console.error('Error while creating new instance:', err);
  * });
  */
-FirebaseAccount.bootstrapInstance = function(token) {
+FirebaseAccount.bootstrapInstance = function(token, options) {
 
-  var account = new FirebaseAccount(token);
+  var account = new FirebaseAccount(token, options);
 
   return account.createDatabase(Math.random().toString(36).slice(2))
   .then(function(db) {
@@ -235,4 +506,29 @@ FirebaseAccount.bootstrapInstance = function(token) {
 };
 
 
+/**
+ * The error classes firebase-admin rejects with. Every one of them is a
+ * {@link FirebaseAdminError} carrying the HTTP status, endpoint, instance
+ * name and raw response body of the failed request where known.
+ * @example
+ * account.getDatabase('nonexistent')
+ * .catch(function(err) {
+ *   if (err instanceof FirebaseAccount.NotFoundError) {
+ *     return account.createDatabase('nonexistent');
+ *   }
+ *   throw err;
+ * });
+ */
+FirebaseAccount.FirebaseAdminError = errors.FirebaseAdminError;
+FirebaseAccount.AuthenticationError = errors.AuthenticationError;
+FirebaseAccount.NotFoundError = errors.NotFoundError;
+FirebaseAccount.RateLimitError = errors.RateLimitError;
+FirebaseAccount.ValidationError = errors.ValidationError;
+FirebaseAccount.DeletedInstanceError = errors.DeletedInstanceError;
+FirebaseAccount.ServerError = errors.ServerError;
+FirebaseAccount.NetworkError = errors.NetworkError;
+FirebaseAccount.ConflictError = errors.ConflictError;
+FirebaseAccount.ParseError = errors.ParseError;
+
+
 module.exports = FirebaseAccount;
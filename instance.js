@@ -8,9 +8,22 @@
 'use strict';
 
 var url = require('url'),
-  request = require('request'),
   Firebase = require('firebase'),
-  Q = require('q');
+  Q = require('q'),
+  Endpoints = require('./lib/endpoints'),
+  Transport = require('./lib/transport'),
+  History = require('./lib/history'),
+  errors = require('./lib/errors'),
+  rulesLoader = require('./lib/rules-loader'),
+  rulesDiff = require('./lib/rules-diff'),
+  rulesValidator = require('./lib/rules-validator'),
+  rulesGenerator = require('./lib/rules-generator'),
+  drift = require('./lib/drift'),
+  audit = require('./lib/audit'),
+  token = require('./lib/token'),
+  paths = require('./lib/paths'),
+  userRecords = require('./lib/user-records'),
+  Exporter = require('./lib/exporter');
 
 /**
  * Creates a new reference to a Firebase instance.
@@ -22,42 +35,58 @@ var url = require('url'),
  * @constructor
  * @param {String} name The name of the Firebase.
  * @param {String} adminToken The administrative token to use
+ * @param {Object} [options] Instance options.
+ * @param {Object} [options.endpoints] Base URLs of the services to use,
+ * as for {@link FirebaseAccount}.
+ * @param {Transport|Object} [options.transport] The transport to send
+ * requests through, or settings for a new one.
+ * @param {History|Boolean|String|Object} [options.history] Where to save
+ * the versions of rules and auth config that changes replace, as for
+ * {@link FirebaseAccount}.
+ * @param {Function} [options.onWarning] Called with a message and an Error
+ * for problems that don't stop an operation, as for {@link FirebaseAccount}.
  */
-function FirebaseInstance(name, adminToken) {
+function FirebaseInstance(name, adminToken, options) {
 
-  var deferred = Q.defer();
+  options = options || {};
 
   this.name = name;
   this.adminToken = adminToken;
-
-  request.get({
-    url: 'https://admin.firebase.com/firebase/' + name + '/token',
+  this.endpoints = new Endpoints(options.endpoints);
+  this.transport = options.transport instanceof Transport ?
+    options.transport :
+    new Transport(options.transport);
+  this.history = History.fromOption(options.history);
+  this.onWarning = options.onWarning || function() {};
+
+  this.ready = this._request({
+    url: this.endpoints.adminUrl('firebase/' + name + '/token'),
     qs: {
       token: adminToken,
       namespace: name
     },
     json: true
-  }, function(err, response, body) {
-    if (err) {
-      deferred.reject(err);
-    } else if (response.statusCode !== 200) {
-      deferred.reject(new Error(response.statusCode));
-    } else if (body.error) {
-      deferred.reject(new Error(body.error));
-    } else if (body.success === false) {
-      deferred.reject(new Error('Bad credentials or server error.'));
-    } else if (!body.personalToken) {
-      deferred.reject(new Error('personalToken was not present.'));
+  })
+  .then(function(body) {
+
+    if (!body.personalToken) {
+      throw new errors.FirebaseAdminError('personalToken was not present.', {
+        instance: name,
+        body: body
+      });
     } else if (!body.firebaseToken) {
-      deferred.reject(new Error('firebaseToken was not present.'));
-    } else {
-      this.personalToken = body.personalToken;
-      this.firebaseToken = body.firebaseToken;
-      deferred.resolve(this);
+      throw new errors.FirebaseAdminError('firebaseToken was not present.', {
+        instance: name,
+        body: body
+      });
     }
+
+    this.personalToken = body.personalToken;
+    this.firebaseToken = body.firebaseToken;
+    return this;
+
   }.bind(this));
 
-  this.ready = deferred.promise;
 }
 
 /**
@@ -67,12 +96,16 @@ function FirebaseInstance(name, adminToken) {
  * var fb = new Firebase(instance.toString());
  */
 FirebaseInstance.prototype.toString = function() {
-  return 'https://' + this.name + '.firebaseio.com';
+  return this.endpoints.databaseUrl(this.name);
 };
 
 
 /**
- * Promises to get all the auth tokens associated with the instance.
+ * Promises to get all the auth tokens associated with the instance. They're
+ * fetched once and then remembered.
+ * @param {Object} [options] Options.
+ * @param {Boolean} [options.refresh] Fetch them again, in case they've been
+ * changed elsewhere.
  * @returns {external:Promise} A promise that resolves with an Array of the
  * instance's currently-valid auth tokens and rejects with an Error
  * if there's an error.
@@ -83,42 +116,36 @@ FirebaseInstance.prototype.toString = function() {
  *   });
  * });
  */
-FirebaseInstance.prototype.getAuthTokens = function() {
+FirebaseInstance.prototype.getAuthTokens = function(options) {
+
+  options = options || {};
 
   if (this.deleted) {
     return Q.reject(
-      new Error('Cannot getAuthTokens from deleted database ' + this.toString())
+      new errors.DeletedInstanceError(
+        'Cannot getAuthTokens from deleted database ' + this.toString(),
+        { instance: this.name }
+      )
     );
   }
 
-  if (this.authTokens) {
+  if (this.authTokens && !options.refresh) {
     /* jshint newcap:false */
     return Q(this.authTokens);
   }
 
-  var deferred = Q.defer();
-
-  request.get({
-    url: 'https://' + this.name + '.firebaseio.com//.settings/secrets.json',
+  return this._request({
+    url: this.endpoints.databaseUrl(this.name, '.settings/secrets.json'),
     qs: {
       auth: this.personalToken
     },
     json: true
-  }, function(err, response, body) {
-    if (err) {
-      deferred.reject(err);
-    } else if (response.statusCode !== 200) {
-      deferred.reject(new Error(response.statusCode));
-    } else if (body.error) {
-      deferred.reject(new Error(body.error));
-    } else {
-      this.authTokens = body;
-      deferred.resolve(body);
-    }
+  })
+  .then(function(body) {
+    this.authTokens = body;
+    return body;
   }.bind(this));
 
-  return deferred.promise;
-
 };
 
 /**
@@ -137,35 +164,34 @@ FirebaseInstance.prototype.addAuthToken = function() {
 
   if (this.deleted) {
     return Q.reject(
-      new Error('Cannot addAuthToken to deleted database ' + this.toString())
+      new errors.DeletedInstanceError(
+        'Cannot addAuthToken to deleted database ' + this.toString(),
+        { instance: this.name }
+      )
     );
   }
 
-  var deferred = Q.defer();
-
-  request.post({
-    url: 'https://' + this.name + '.firebaseio.com/.settings/secrets.json',
+  return this._request({
+    method: 'POST',
+    url: this.endpoints.databaseUrl(this.name, '.settings/secrets.json'),
     qs: {
       auth: this.personalToken
     },
     json: true
-  }, function(err, response, body) {
-    if (err) {
-      deferred.reject(err);
-    } else if (response.statusCode !== 200) {
-      deferred.reject(new Error(response.statusCode));
-    } else if (body.error) {
-      deferred.reject(new Error(body.error));
-    } else {
-      if (!this.authTokens) {
-        this.authTokens = [];
-      }
-      this.authTokens.push(body);
-      deferred.resolve(body);
+  })
+  .then(function(body) {
+
+    if (!this.authTokens) {
+      this.authTokens = [];
     }
-  }.bind(this));
+    this.authTokens.push(body);
 
-  return deferred.promise;
+    return this._recordSecret('added', body)
+    .then(function() {
+      return body;
+    });
+
+  }.bind(this));
 
 };
 
@@ -187,7 +213,10 @@ FirebaseInstance.prototype.removeAuthToken = function(token) {
 
   if (this.deleted) {
     return Q.reject(
-      new Error('Cannot removeAuthToken from deleted database ' + this.toString())
+      new errors.DeletedInstanceError(
+        'Cannot removeAuthToken from deleted database ' + this.toString(),
+        { instance: this.name }
+      )
     );
   }
 
@@ -196,32 +225,301 @@ FirebaseInstance.prototype.removeAuthToken = function(token) {
 
     if (!Array.isArray(tokens) || tokens.indexOf(token) === -1) {
       return Q.reject(
-        new Error('No such token exists on firebase ' + this.toString())
+        new errors.NotFoundError(
+          'No such token exists on firebase ' + this.toString(),
+          { instance: this.name }
+        )
       );
     }
 
-    var deferred = Q.defer();
-
-    request.del({
-      url: 'https://' + this.name + '.firebaseio.com/.settings/secrets/' + token + '.json',
+    return this._request({
+      method: 'DELETE',
+      url: this.endpoints.databaseUrl(this.name, '.settings/secrets/' + token + '.json'),
       qs: {
         auth: this.personalToken,
       },
       json: true
-    }, function(err, response, body) {
-      if (err) {
-        deferred.reject(err);
-      } else if (response.statusCode > 299) {
-        deferred.reject(new Error(response.statusCode));
-      } else if (body && body.error) {
-        deferred.reject(new Error(body.error));
-      } else {
-        this.authTokens.splice(this.authTokens.indexOf(token), 1);
-        deferred.resolve(this);
-      }
+    })
+    .then(function() {
+      this.authTokens.splice(this.authTokens.indexOf(token), 1);
+      return this._recordSecret('removed', token);
+    }.bind(this))
+    .then(function() {
+      return this;
+    }.bind(this));
+
+  }.bind(this));
+
+};
+
+// Notes in the history when this tool added or removed a secret. Only a
+// fingerprint of the secret is kept. Like other history, it's best-effort:
+// the secret has been added or removed either way.
+FirebaseInstance.prototype._recordSecret = function(action, secret) {
+
+  if (!this.history) {
+    return Q.resolve();
+  }
+
+  return this._recordHistory('secrets', {
+    action: action,
+    fingerprint: History.hash(secret)
+  });
+
+};
+
+/**
+ * Promises to list the instance's secrets with what's known about them
+ * locally: when and by whom each was added through this library, if it was
+ * and history is kept. See {@link FirebaseAccount} for the history option.
+ * @param {Object} [options] Options.
+ * @param {Boolean} [options.refresh] Fetch the secrets again rather than use
+ * those already fetched.
+ * @returns {external:Promise} A promise that resolves with an Array of
+ * { secret, fingerprint, addedAt, addedBy }, where addedAt is an ISO 8601
+ * timestamp and both are null for secrets added elsewhere, and rejects with
+ * an Error if there's an error.
+ * @example
+ * instance.listAuthTokens({ refresh: true }).then(function(secrets) {
+ *   secrets.forEach(function(entry) {
+ *     console.log(entry.fingerprint, 'added', entry.addedAt || 'outside this tool');
+ *   });
+ * });
+ */
+FirebaseInstance.prototype.listAuthTokens = function(options) {
+
+  return Q.all([
+    this.getAuthTokens(options),
+    this.history ? this.history.list(this.name, 'secrets') : []
+  ])
+  .spread(function(secrets, entries) {
+
+    return secrets.map(function(secret) {
+
+      var fingerprint = History.hash(secret),
+        added = entries.filter(function(entry) {
+          return entry.content.action === 'added' &&
+            entry.content.fingerprint === fingerprint;
+        }).pop();
+
+      return {
+        secret: secret,
+        fingerprint: fingerprint,
+        addedAt: added ? added.timestamp : null,
+        addedBy: added ? added.user : null
+      };
+
+    });
+
+  });
+
+};
+
+/**
+ * Promises to replace a secret without downtime: adds a new secret,
+ * optionally checks it with an authenticated read, hands it to a hook that
+ * distributes it to whatever uses the old one, waits a grace period and only
+ * then removes the old secret. If the check fails, the new secret is
+ * removed again and the old one kept; should that removal fail too, the
+ * promise still rejects with the check's error, with the removal's error as
+ * its rollbackError. If the hook fails, both secrets are
+ * kept, so nothing loses access.
+ * @param {Object} [options] Rotation options.
+ * @param {String} [options.oldToken] The secret to retire; by default the
+ * first.
+ * @param {Number} [options.graceMs=0] How long to wait after distributing
+ * before removing the old secret, so consumers can pick up the new one.
+ * @param {Boolean} [options.verify] Whether to check the new secret with an
+ * authenticated read first.
+ * @param {Function} [options.distribute] Called with the new and old secrets
+ * to hand the new one out; may return a promise.
+ * @param {Function} [options.onProgress] Called with each step as it
+ * happens (added, verified, rolled-back, distributed, waiting, removed) and
+ * the secrets involved.
+ * @returns {external:Promise} A promise that resolves with
+ * { newToken, oldToken } and rejects with a NotFoundError if oldToken isn't
+ * one of the instance's secrets, or the Error that stopped the rotation.
+ * @example
+ * instance.rotateAuthToken({
+ *   verify: true,
+ *   graceMs: 5 * 60 * 1000,
+ *   distribute: function(newToken) {
+ *     return deployConfig({ FIREBASE_AUTH_SECRET: newToken });
+ *   }
+ * });
+ */
+FirebaseInstance.prototype.rotateAuthToken = function(options) {
+
+  options = options || {};
+
+  var progress = options.onProgress || function() {},
+    oldToken,
+    newToken;
+
+  return this.getAuthTokens()
+  .then(function(tokens) {
+
+    oldToken = options.oldToken === undefined ? tokens[0] : options.oldToken;
+
+    if (tokens.indexOf(oldToken) === -1) {
+      throw new errors.NotFoundError(
+        'The secret to rotate is not one of the secrets of ' + this.name,
+        { instance: this.name }
+      );
+    }
+
+    return this.addAuthToken();
+
+  }.bind(this))
+  .then(function(token) {
+
+    newToken = token;
+    progress('added', { newToken: newToken, oldToken: oldToken });
+
+    if (!options.verify) {
+      return;
+    }
+
+    return this._dataRequest('GET', '/', { qs: { shallow: true }, secret: newToken })
+    .then(function() {
+      progress('verified', { newToken: newToken, oldToken: oldToken });
+    }, function(err) {
+
+      return this.removeAuthToken(newToken)
+      .then(function() {
+
+        progress('rolled-back', { newToken: newToken, oldToken: oldToken, error: err });
+        throw err;
+
+      }, function(rollbackError) {
+
+        err.rollbackError = rollbackError;
+        throw err;
+
+      });
+
     }.bind(this));
 
-    return deferred.promise;
+  }.bind(this))
+  .then(function() {
+
+    if (options.distribute) {
+
+      return Q.when(options.distribute(newToken, oldToken))
+      .then(function() {
+        progress('distributed', { newToken: newToken, oldToken: oldToken });
+      });
+
+    }
+
+  })
+  .then(function() {
+
+    if (options.graceMs > 0) {
+      progress('waiting', { newToken: newToken, oldToken: oldToken, graceMs: options.graceMs });
+      return Q.delay(options.graceMs);
+    }
+
+  })
+  .then(function() {
+    return this.removeAuthToken(oldToken);
+  }.bind(this))
+  .then(function() {
+
+    progress('removed', { newToken: newToken, oldToken: oldToken });
+    return { newToken: newToken, oldToken: oldToken };
+
+  });
+
+};
+
+
+/**
+ * Promises to sign a custom auth token for clients to pass to fb.auth(),
+ * with one of the instance's secrets. See lib/token.js for the format.
+ * @param {String} uid The user's id, what rules see as auth.uid. It can be
+ * null for admin tokens.
+ * @param {Object} [claims] Anything else rules should see in auth.
+ * @param {Object} [options] Token options.
+ * @param {Date|Number} [options.expires] When the token expires, as a Date
+ * or seconds since the epoch.
+ * @param {Date|Number} [options.notBefore] When the token becomes valid.
+ * @param {Boolean} [options.admin] Whether the token bypasses all rules.
+ * @param {Boolean} [options.debug] Whether Firebase should explain how
+ * rules treat requests made with the token.
+ * @param {String} [options.secret] The secret to sign with; by default the
+ * instance's first.
+ * @returns {external:Promise} A promise that resolves with the token and
+ * rejects with a ValidationError if the uid, claims or options are unusable,
+ * a NotFoundError if the secret isn't one of the instance's, or another Error
+ * if there's an error.
+ * @example
+ * instance.createCustomToken('alice', { role: 'editor' }, {
+ *   expires: new Date(Date.now() + 60 * 60 * 1000)
+ * })
+ * .then(function(token) {
+ *   fb.auth(token, function(err) {
+ *     // rules see auth.uid === 'alice' and auth.role === 'editor'
+ *   });
+ * });
+ */
+FirebaseInstance.prototype.createCustomToken = function(uid, claims, options) {
+
+  options = options || {};
+
+  return this.getAuthTokens()
+  .then(function(secrets) {
+
+    var secret = options.secret === undefined ? secrets[0] : options.secret;
+
+    if (secrets.indexOf(secret) === -1) {
+      throw new errors.NotFoundError(
+        options.secret === undefined ?
+          this.name + ' has no secrets to sign tokens with' :
+          'The secret to sign with is not one of the secrets of ' + this.name,
+        { instance: this.name }
+      );
+    }
+
+    var data = {};
+    Object.keys(claims || {}).forEach(function(key) {
+      data[key] = claims[key];
+    });
+    if (uid !== null && uid !== undefined) {
+      data.uid = uid;
+    }
+
+    return token.create(secret, data, options);
+
+  }.bind(this));
+
+};
+
+/**
+ * Promises to decode a custom auth token and check that it was signed with
+ * one of the instance's current secrets and is valid now.
+ * @param {String} customToken The token.
+ * @returns {external:Promise} A promise that resolves with what the token
+ * says, { uid, data, issuedAt, expires, notBefore, admin, debug }, and
+ * rejects with an AuthenticationError if it's malformed, expired, not
+ * yet valid or signed with no current secret, or another Error if there's an
+ * error.
+ * @example
+ * instance.verifyToken(token).then(function(decoded) {
+ *   console.log(decoded.uid, 'until', decoded.expires);
+ * });
+ */
+FirebaseInstance.prototype.verifyToken = function(customToken) {
+
+  return this.getAuthTokens()
+  .then(function(secrets) {
+
+    try {
+      return token.verify(customToken, secrets);
+    } catch(e) {
+      e.instance = this.name;
+      throw e;
+    }
 
   }.bind(this));
 
@@ -245,41 +543,43 @@ FirebaseInstance.prototype.getRules = function() {
 
   if (this.deleted) {
     return Q.reject(
-      new Error('Cannot getRules from deleted database ' + this.toString())
+      new errors.DeletedInstanceError(
+        'Cannot getRules from deleted database ' + this.toString(),
+        { instance: this.name }
+      )
     );
   }
 
-  var deferred = Q.defer();
-
-  request.get({
-    url: 'https://' + this.name + '.firebaseio.com/.settings/rules.json',
+  return this._request({
+    url: this.endpoints.databaseUrl(this.name, '.settings/rules.json'),
     qs: {
       auth: this.personalToken,
     },
     json: true
-  }, function(err, response, body) {
-    if (err) {
-      deferred.reject(err);
-    } else if (response.statusCode > 299) {
-      deferred.reject(new Error(response.statusCode));
-    } else if (body && body.error) {
-      deferred.reject(new Error(body.error));
-    } else {
-      body = body.rules;
-      deferred.resolve(body);
-    }
-  }.bind(this));
-
-  return deferred.promise;
+  })
+  .then(function(body) {
+    return body.rules;
+  });
 
 };
 
 
 /**
  * Promises to change current security rules.
- * @param {Object} newRules The new security rules as a Javascript object.
+ * @param {Object|String} newRules The new security rules as a Javascript
+ * object, or as JSON source, which may have comments and trailing commas.
  * This object need not have a top-level "rules" key, although it will be
- * handled gracefully if it does.
+ * handled gracefully if it does. To load rules from a YAML or Javascript
+ * file, see lib/rules-loader.js.
+ * @param {Object} [options] Options.
+ * @param {Boolean} [options.validate=true] Check the rules locally first, as
+ * {@link FirebaseInstance#validateRules} does, and reject with a
+ * ValidationError without sending them if they have errors. The error's
+ * problems property lists them.
+ * @param {String} [options.message] Why the rules are changing, to save in
+ * the history with the rules they replace.
+ * @param {Boolean} [options.history=true] Set to false not to save the
+ * rules they replace.
  * @returns {external:Promise} A promise that resolves if the rules are changed
  * successfully and rejects with an Error if there's an error.
  * @example
@@ -292,251 +592,1202 @@ FirebaseInstance.prototype.getRules = function() {
  *   console.log('Oops, something went wrong!');
  * });
  */
-FirebaseInstance.prototype.setRules = function(newRules) {
+FirebaseInstance.prototype.setRules = function(newRules, options) {
+  return this._setRules(newRules, options, this.getRules.bind(this));
+};
+
+// setRules, with what to save in the history as the rules being replaced
+// coming from getCurrent, so callers that just read them needn't again.
+FirebaseInstance.prototype._setRules = function(newRules, options, getCurrent) {
+
+  options = options || {};
 
   if (this.deleted) {
     return Q.reject(
-      new Error('Cannot setRules on deleted database ' + this.toString())
+      new errors.DeletedInstanceError(
+        'Cannot setRules on deleted database ' + this.toString(),
+        { instance: this.name }
+      )
     );
   }
 
-  if (!(newRules.rules && Object.keys(newRules).length === 1)) {
-    newRules = {
-      rules: newRules
-    };
-  }
-
-  var deferred = Q.defer();
+  if (typeof newRules === 'string') {
 
-  request.put({
-    url: 'https://' + this.name + '.firebaseio.com/.settings/rules.json',
-    qs: {
-      auth: this.personalToken,
-    },
-    json: true,
-    body: newRules
-  }, function(err, response, body) {
-    if (err) {
-      deferred.reject(err);
-    } else if (response.statusCode > 299) {
-      deferred.reject(new Error(response.statusCode));
-    } else if (body && body.error) {
-      deferred.reject(new Error(body.error));
-    } else if (body && body.status !== 'ok') {
-      deferred.reject(new Error(body.status));
-    } else {
-      deferred.resolve(this);
+    try {
+      newRules = rulesLoader.parse(newRules);
+    } catch(e) {
+      return Q.reject(e);
     }
-  }.bind(this));
-
-  return deferred.promise;
-
-};
 
+  }
 
-/**
- * Promises to obtain the current authentication configuration for the instance.
- * @returns {external:Promise} A promise that resolves with the auth config
- * and rejects with an Error if there's an error.
- */
-FirebaseInstance.prototype.getAuthConfig = function() {
+  if (options.validate !== false) {
 
-  var deferred = Q.defer();
+    var problems = rulesValidator.validate(newRules).errors;
 
-  request.get({
-    url: 'https://' + this.name + '.firebaseio.com/.settings/.json',
-    qs: {
-      auth: this.personalToken,
-    },
-    json: true
-  }, function(err, response, body) {
-
-    if (err) {
-      deferred.reject(err);
-    } else if (response.statusCode > 299) {
-      deferred.reject(new Error(response.statusCode));
-    } else if (body && body.error) {
-      deferred.reject(new Error(body.error));
-    } else {
+    if (problems.length > 0) {
 
-      if (typeof body.authConfig === 'string' && body.authConfig.length === 0) {
-        deferred.resolve(null);
-      } else {
-        deferred.resolve(JSON.parse(body.authConfig));
-      }
+      var err = new errors.ValidationError(
+        'Security rules have ' + problems.length + ' error(s), the first at ' +
+          problems[0].path + (problems[0].key ? ' ' + problems[0].key : '') + ': ' +
+          problems[0].message,
+        { instance: this.name }
+      );
+      err.problems = problems;
+      return Q.reject(err);
 
     }
 
-  }.bind(this));
-
-  return deferred.promise;
-
-};
+  }
 
-FirebaseInstance.prototype.setAuthConfig = function(config) {
+  if (!(newRules.rules && Object.keys(newRules).length === 1)) {
+    newRules = {
+      rules: newRules
+    };
+  }
 
-    var deferred = Q.defer();
+  return this._saveHistory('rules', getCurrent, newRules.rules, options, function() {
 
-    request.post({
-      url: 'https://admin.firebase.com/firebase/' + this.name + '/authConfig',
-      json: true,
-      body: {
-        token: this.adminToken,
-        authConfig: JSON.stringify(config),
-        _method: 'put'
+    return this._request({
+      method: 'PUT',
+      url: this.endpoints.databaseUrl(this.name, '.settings/rules.json'),
+      qs: {
+        auth: this.personalToken,
       },
-    }, function(err, response, body) {
-      if (err) {
-        deferred.reject(err);
-      } else if (response.statusCode > 299) {
-        deferred.reject(new Error(response.statusCode));
-      } else if (body && body.error) {
-        console.log(body.error);
-        deferred.reject(new Error(body.error));
-      } else {
-        deferred.resolve();
-      }
-    }.bind(this));
+      json: true,
+      body: newRules
+    });
 
-    return deferred.promise;
+  }.bind(this))
+  .then(function() {
+    return this;
+  }.bind(this));
 
 };
 
 
-FirebaseInstance.prototype._authMethodCallback = function(deferred, err, resp, body) {
+/**
+ * Promises to check security rules locally, without setting them: the
+ * structure of the tree, the syntax of every expression and the variables
+ * it uses, and patterns that probably don't do what was meant.
+ * @param {Object|String} [rules] The rules to check, as for
+ * {@link FirebaseInstance#setRules}. Defaults to the current rules.
+ * @returns {external:Promise} A promise that resolves with { errors,
+ * warnings }, each an Array of problems (see lib/rules-validator.js), and
+ * rejects with an Error if there's an error.
+ * @example
+ * instance.validateRules(newRules).then(function(result) {
+ *   result.warnings.forEach(function(problem) {
+ *     console.warn(problem.path, problem.key, problem.message);
+ *   });
+ * });
+ */
+FirebaseInstance.prototype.validateRules = function(rules) {
 
-  if (err) {
-    deferred.reject(err);
-  } else if (resp.statusCode > 299) {
-    deferred.reject(new Error(resp.statusCode));
-  } else if (body && body.error) {
+  if (typeof rules === 'string') {
 
-    var error = new Error(body.error.message);
-    if (body.error.code) {
-      error.code = body.error.code;
+    try {
+      rules = rulesLoader.parse(rules);
+    } catch(e) {
+      return Q.reject(e);
     }
-    deferred.reject(error);
 
-  } else if (body.status && body.status !== 'ok') {
-    deferred.reject(new Error(body.status));
-  } else {
-    deferred.resolve(body);
   }
 
+  /* jshint newcap:false */
+  return (rules === undefined ? this.getRules() : Q(rules))
+  .then(function(rules) {
+    return rulesValidator.validate(rules);
+  });
+
 };
 
 
 /**
- * Promises to create a Firebase Simple Login password-type user.
- * @param {String} email The email address of the new user.
- * @param {String} password The password of the new user.
- * @returns {external:Promise} A promise that resolves if the rules are changed
- * successfully and rejects with an Error if there's an error.
+ * Promises to work out what setting new security rules would change.
+ * @param {Object|String} newRules The new security rules, as for
+ * {@link FirebaseInstance#setRules}.
+ * @returns {external:Promise} A promise that resolves with an Array of
+ * changes to the current rules, empty if there are none, and rejects with
+ * an Error if there's an error. See lib/rules-diff.js for their format.
+ * @example
+ * instance.diffRules(newRules).then(function(changes) {
+ *   changes.forEach(function(change) {
+ *     console.log(change.type, change.key, 'at', change.path);
+ *   });
+ * });
  */
-FirebaseInstance.prototype.createUser = function(email, password) {
+FirebaseInstance.prototype.diffRules = function(newRules) {
 
-  var deferred = Q.defer();
+  if (typeof newRules === 'string') {
 
-  var qs = {
-    email: email,
-    password: password,
-    firebase: this.name
-  };
+    try {
+      newRules = rulesLoader.parse(newRules);
+    } catch(e) {
+      return Q.reject(e);
+    }
 
-  request.get({
-    url: 'https://auth.firebase.com/auth/firebase/create',
-    qs: qs,
-    json: true
-  }, this._authMethodCallback.bind(this, deferred));
+  }
 
-  return deferred.promise;
+  return this.getRules()
+  .then(function(rules) {
+    return rulesDiff.diff(rules, newRules);
+  });
 
 };
 
 
 /**
- * Promises to remove a Simple Login user.
- * @param {String} email The email address of the user to remove.
- * @returns {external:Promise} A promise that resolves with the new user info
- * if the user is removed successfully and rejects with an Error
- * if there's an error.
+ * Promises to generate .validate rules from a JSON Schema and merge them
+ * into the current security rules, without setting them. Generated .validate
+ * rules replace existing ones; .read, .write and .indexOn rules are kept.
+ * See lib/rules-generator.js for what the schema can say.
+ * @param {Object} schema The JSON Schema document.
+ * @param {Object} [options] Generator options.
+ * @param {String} [options.path=/] Where in the database the schema applies.
+ * @returns {external:Promise} A promise that resolves with the merged rules,
+ * ready for {@link FirebaseInstance#setRules}, and rejects with an Error if
+ * the schema can't be turned into rules or there's an error.
+ * @example
+ * instance.rulesFromSchema(userSchema, { path: '/users/$uid' })
+ * .then(function(rules) {
+ *   return instance.setRules(rules);
+ * });
  */
-FirebaseInstance.prototype.removeUser = function(email) {
+FirebaseInstance.prototype.rulesFromSchema = function(schema, options) {
 
-  var deferred = Q.defer();
+  var generated;
 
-  request.del({
-    url: 'https://auth.firebase.com/v2/' + this.name + '/users/' + email,
-    qs: {
-      token: this.adminToken
-    },
-    json: true
-  }, this._authMethodCallback.bind(this, deferred));
+  try {
+    generated = rulesGenerator.fromSchema(schema, options);
+  } catch(e) {
+    return Q.reject(e);
+  }
 
-  return deferred.promise;
+  return this.getRules()
+  .then(function(rules) {
+    return { rules: rulesGenerator.merge(rules, generated) };
+  });
 
 };
 
 
-/**
- * Promises to change a Simple Login user's password.
- * @param {String} email The email address of the user to remove.
- * @param {String} newPassword The new password.
- * @returns {external:Promise} A promise that resolves with the new user info
- * if the user's password is changed successfully and rejects with an Error
- * if there's an error.
- */
-FirebaseInstance.prototype.changeUserPassword = function(email, newPassword) {
+// Reads the rules, edits a copy and writes it back. Resolves with the changes,
+// writing nothing if there are none, or if options.expected is set and the
+// rules read aren't those. Firebase has no conditional write for rules, so a
+// change made between the read and the write is still overwritten.
+FirebaseInstance.prototype._editRules = function(edit, options) {
 
-  var deferred = Q.defer();
+  var self = this;
 
-  request.get({
-    url: 'https://auth.firebase.com/auth/firebase/reset_password',
-    qs: {
-      token: this.adminToken,
-      firebase: this.name,
-      email: email,
-      newPassword: newPassword
-    },
-    json: true
-  }, this._authMethodCallback.bind(this, deferred));
+  options = options || {};
 
-  return deferred.promise;
+  return this.getRules()
+  .then(function(rules) {
 
-};
+    if (options.expected !== undefined &&
+      History.hash(rules) !== History.hash(options.expected)) {
+      throw new errors.ConflictError(
+        'The security rules of ' + self.name + ' are not the ones the change was based on; ' +
+          'nothing was written',
+        { instance: self.name }
+      );
+    }
 
+    var after = edit(JSON.parse(JSON.stringify(rules)) || {}),
+      changes = rulesDiff.diff(rules, after);
 
-/**
- * Promises to return a list of all Simple Login password users in the Firebase.
- * @returns {external:Promise} A promise that resolves with a list of users
- * and rejects with an Error if there's an error.
- */
-FirebaseInstance.prototype.listUsers = function() {
+    if (changes.length === 0) {
+      return changes;
+    }
 
-  var deferred = Q.defer();
+    return self._setRules(after, options, function() {
+      return Q.resolve(rules);
+    })
+    .then(function() {
+      return changes;
+    });
 
-  request.get({
-    url: 'https://auth.firebase.com/v2/' + this.name + '/users',
-    qs: {
-      token: this.adminToken,
-      firebase: this.name
-    },
-    json: true
-  }, this._authMethodCallback.bind(this, deferred));
+  });
 
-  return deferred.promise
-  .then(function(body) {
+};
 
-    if (!body.users) {
-      throw new Error('No user body');
-    }
-    return body.users;
+// The rules node at a path, created if create is set, or undefined.
+function rulesAt(rules, path, create) {
 
+  var node = rules;
+
+  paths.split(path).forEach(function(segment) {
+
+    if (node && (node[segment] === undefined || node[segment] === null) && create) {
+      node[segment] = {};
+    }
+    node = node && typeof node === 'object' ? node[segment] : undefined;
+
+  });
+
+  return node;
+
+}
+
+// Deep-merges a fragment into rules; null removes a key.
+function patchNode(node, fragment) {
+
+  Object.keys(fragment).forEach(function(key) {
+
+    var value = fragment[key];
+
+    if (value === null) {
+      delete node[key];
+    } else if (typeof value === 'object' && !Array.isArray(value) &&
+      node[key] && typeof node[key] === 'object' && !Array.isArray(node[key])) {
+      patchNode(node[key], value);
+    } else {
+      node[key] = value;
+    }
+
+  });
+
+}
+
+
+/**
+ * Promises to change part of the security rules: reads them, merges a
+ * fragment in at a path and writes them back. Keys in the fragment replace
+ * the same keys at the path, objects merge, and null removes a key.
+ * Firebase can't write rules conditionally, so a change someone else makes
+ * between the read and the write is overwritten.
+ * @param {String} path Where in the rules tree to merge, e.g. /users/$uid.
+ * @param {Object} fragment The rules to merge in.
+ * @param {Object} [options] Options for {@link FirebaseInstance#setRules},
+ * and:
+ * @param {Object} [options.expected] The rules the patch was based on, as
+ * {@link FirebaseInstance#getRules} gave them. If the rules read aren't
+ * these, nothing is written.
+ * @returns {external:Promise} A promise that resolves with the changes made,
+ * as {@link FirebaseInstance#diffRules} lists them (nothing is written if
+ * there are none), and rejects with a ConflictError if the rules aren't
+ * options.expected or another Error if there's an error.
+ * @example
+ * instance.patchRules('/users/$uid', {
+ *   '.write': 'auth.uid === $uid',
+ *   nickname: { '.validate': 'newData.isString()' }
+ * });
+ */
+FirebaseInstance.prototype.patchRules = function(path, fragment, options) {
+
+  if (fragment === null || typeof fragment !== 'object' || Array.isArray(fragment)) {
+    return Q.reject(new errors.ValidationError('A rules patch must be an object', {
+      instance: this.name
+    }));
+  }
+
+  return this._editRules(function(rules) {
+
+    patchNode(rulesAt(rules, path, true), fragment);
+    return rules;
+
+  }, options);
+
+};
+
+
+/**
+ * Promises to remove the rules at a path, and any parents left empty, from
+ * the security rules, reading and writing them back as
+ * {@link FirebaseInstance#patchRules} does.
+ * @param {String} path The rules to remove, e.g. /users/$uid/nickname.
+ * @param {Object} [options] Options for {@link FirebaseInstance#patchRules}.
+ * @returns {external:Promise} A promise that resolves with the changes made,
+ * and rejects with a NotFoundError if there are no rules at the path, a
+ * ConflictError if the rules aren't options.expected or another Error if
+ * there's an error.
+ */
+FirebaseInstance.prototype.removeRulesAt = function(path, options) {
+
+  var self = this,
+    segments = paths.split(path);
+
+  if (segments.length === 0) {
+    return Q.reject(new errors.ValidationError(
+      'Refusing to remove all the security rules; use setRules instead',
+      { instance: this.name }
+    ));
+  }
+
+  return this._editRules(function(rules) {
+
+    var parents = [rules];
+    segments.slice(0, -1).forEach(function(segment, i) {
+      parents.push(parents[i] && typeof parents[i] === 'object' ? parents[i][segment] : undefined);
+    });
+
+    var parent = parents[parents.length - 1],
+      last = segments[segments.length - 1];
+
+    if (!parent || typeof parent !== 'object' || !parent.hasOwnProperty(last)) {
+      throw new errors.NotFoundError('There are no security rules at ' + paths.join(segments), {
+        instance: self.name
+      });
+    }
+
+    delete parent[last];
+
+    // then any parents it leaves empty
+    for (var i = parents.length - 1; i > 0 && Object.keys(parents[i]).length === 0; i--) {
+      delete parents[i - 1][segments[i - 1]];
+    }
+
+    return rules;
+
+  }, options);
+
+};
+
+
+/**
+ * Promises to add children to the .indexOn rule at a path, keeping any it
+ * already has, reading and writing the rules back as
+ * {@link FirebaseInstance#patchRules} does.
+ * @param {String} path Where the indexed children are, e.g. /users.
+ * @param {String|Array} fields The child names to index.
+ * @param {Object} [options] Options for {@link FirebaseInstance#patchRules}.
+ * @returns {external:Promise} A promise that resolves with the changes made,
+ * none if every field was already indexed, and rejects with a ConflictError
+ * if the rules aren't options.expected or another Error if there's an error.
+ * @example
+ * instance.addIndex('/users', ['email', 'createdAt']);
+ */
+FirebaseInstance.prototype.addIndex = function(path, fields, options) {
+
+  fields = [].concat(fields || []);
+
+  if (fields.length === 0) {
+    return Q.reject(new errors.ValidationError('addIndex needs at least one field', {
+      instance: this.name
+    }));
+  }
+
+  return this._editRules(function(rules) {
+
+    var node = rulesAt(rules, path, true),
+      indexed = [].concat(node['.indexOn'] || []);
+
+    fields.forEach(function(field) {
+      if (indexed.indexOf(field) === -1) {
+        indexed.push(field);
+      }
+    });
+
+    node['.indexOn'] = indexed.length === 1 ? indexed[0] : indexed;
+    return rules;
+
+  }, options);
+
+};
+
+
+/**
+ * Promises to obtain the current authentication configuration for the instance.
+ * @returns {external:Promise} A promise that resolves with the auth config
+ * and rejects with an Error if there's an error.
+ */
+FirebaseInstance.prototype.getAuthConfig = function() {
+
+  return this._request({
+    url: this.endpoints.databaseUrl(this.name, '.settings/.json'),
+    qs: {
+      auth: this.personalToken,
+    },
+    json: true
+  })
+  .then(function(body) {
+
+    if (typeof body.authConfig === 'string' && body.authConfig.length === 0) {
+      return null;
+    } else {
+      return JSON.parse(body.authConfig);
+    }
+
+  });
+
+};
+
+/**
+ * Promises to change the Simple Login auth configuration.
+ * @param {Object} config The new configuration; see
+ * {@link FirebaseAccount.defaultAuthConfig} for its shape.
+ * @param {Object} [options] Options.
+ * @param {String} [options.message] Why the configuration is changing, to
+ * save in the history with the configuration it replaces.
+ * @param {Boolean} [options.history=true] Set to false not to save the
+ * configuration it replaces.
+ * @returns {external:Promise} A promise that resolves if the configuration
+ * is changed successfully and rejects with an Error if there's an error.
+ */
+FirebaseInstance.prototype.setAuthConfig = function(config, options) {
+
+  options = options || {};
+
+  var write = function() {
+
+    return this._request({
+      method: 'POST',
+      idempotent: true,
+      url: this.endpoints.adminUrl('firebase/' + this.name + '/authConfig'),
+      json: true,
+      body: {
+        token: this.adminToken,
+        authConfig: JSON.stringify(config),
+        _method: 'put'
+      },
+    });
+
+  }.bind(this);
+
+  return this._saveHistory('authConfig', this.getAuthConfig.bind(this), config, options, write)
+  .then(function() {});
+
+};
+
+
+// Makes a change with write, saving the version of the rules or auth config
+// it replaces once the write succeeds, unless history is off or nothing
+// changed.
+FirebaseInstance.prototype._saveHistory = function(kind, getCurrent, next, options, write) {
+
+  var self = this,
+    keep = this.history && options.history !== false;
+
+  return (keep ? getCurrent() : Q.resolve())
+  .then(function(current) {
+
+    return write()
+    .then(function() {
+
+      if (current !== null && current !== undefined &&
+        History.hash(current) !== History.hash(next)) {
+        return self._recordHistory(kind, current, options.message);
+      }
+
+    });
+
+  });
+
+};
+
+// History is a convenience: failing to save it, say for a read-only home
+// directory, only gets a warning, since the change itself has been made.
+FirebaseInstance.prototype._recordHistory = function(kind, content, message) {
+
+  var history = this.history,
+    onWarning = this.onWarning,
+    name = this.name;
+
+  return Q.fcall(function() {
+    return history.record(name, kind, content, message);
+  })
+  .catch(function(err) {
+    onWarning('Could not save the ' + kind + ' history of ' + name + ': ' + err.message, err);
+  });
+
+};
+
+FirebaseInstance.prototype._history = function(kind) {
+
+  if (!this.history) {
+    return Q.reject(new Error('History is turned off for ' + this.toString()));
+  }
+  return this.history.list(this.name, kind);
+
+};
+
+FirebaseInstance.prototype._rollback = function(kind, version, set, options) {
+
+  options = options || {};
+
+  if (!this.history) {
+    return Q.reject(new Error('History is turned off for ' + this.toString()));
+  }
+
+  return this.history.get(this.name, kind, version)
+  .then(function(entry) {
+
+    return set(entry.content, {
+      message: options.message || 'Roll back to version ' + entry.version,
+      validate: options.validate
+    })
+    .then(function() {
+      return entry;
+    });
+
+  });
+
+};
+
+
+/**
+ * Promises to list the saved versions of the security rules: each one that
+ * setRules replaced, with when, by whom and why it was replaced.
+ * @returns {external:Promise} A promise that resolves with an Array of
+ * entries, oldest first, each with version, timestamp, user, message, hash
+ * and content, and rejects with an Error if history is off or there's an
+ * error.
+ * @example
+ * instance.getRulesHistory().then(function(entries) {
+ *   entries.forEach(function(entry) {
+ *     console.log(entry.version, entry.timestamp, entry.user, entry.message);
+ *   });
+ * });
+ */
+FirebaseInstance.prototype.getRulesHistory = function() {
+  return this._history('rules');
+};
+
+
+/**
+ * Promises to set the security rules back to a saved version. The rules it
+ * replaces are saved too, so a rollback can itself be rolled back.
+ * @param {Number} [version] The version to go back to; by default the
+ * latest, which undoes the last change.
+ * @param {Object} [options] Options for {@link FirebaseInstance#setRules}.
+ * The message defaults to "Roll back to version N".
+ * @returns {external:Promise} A promise that resolves with the entry rolled
+ * back to and rejects with a NotFoundError if there's no such version or
+ * another Error if there's an error.
+ */
+FirebaseInstance.prototype.rollbackRules = function(version, options) {
+  return this._rollback('rules', version, this.setRules.bind(this), options);
+};
+
+
+/**
+ * Promises to list the saved versions of the auth configuration, as
+ * {@link FirebaseInstance#getRulesHistory} does for rules.
+ * @returns {external:Promise} A promise that resolves with an Array of
+ * entries, oldest first, and rejects with an Error if history is off or
+ * there's an error.
+ */
+FirebaseInstance.prototype.getAuthConfigHistory = function() {
+  return this._history('authConfig');
+};
+
+
+/**
+ * Promises to set the auth configuration back to a saved version, as
+ * {@link FirebaseInstance#rollbackRules} does for rules.
+ * @param {Number} [version] The version to go back to; by default the latest.
+ * @param {Object} [options] Options for {@link FirebaseInstance#setAuthConfig}.
+ * @returns {external:Promise} A promise that resolves with the entry rolled
+ * back to and rejects with a NotFoundError if there's no such version or
+ * another Error if there's an error.
+ */
+FirebaseInstance.prototype.rollbackAuthConfig = function(version, options) {
+  return this._rollback('authConfig', version, this.setAuthConfig.bind(this), options);
+};
+
+
+/**
+ * Promises to check whether the instance still has the settings it should,
+ * or whether someone has changed them by hand. The deployed rules, the
+ * auth config's providers and domains, and the number of secrets are
+ * compared; only those given are checked. See lib/drift.js.
+ * @param {Object} expected The expected settings.
+ * @param {Object|String} [expected.rules] The security rules, as for
+ * {@link FirebaseInstance#setRules}.
+ * @param {Object} [expected.authConfig] The auth config.
+ * @param {Number} [expected.secrets] How many secrets there should be.
+ * @returns {external:Promise} A promise that resolves with a report,
+ * { instance, drifted, checks }, and rejects with an Error if there's an
+ * error.
+ * @example
+ * instance.checkDrift({ rules: rulesLoader.load('rules.bolt'), secrets: 1 })
+ * .then(function(report) {
+ *   if (report.drifted) {
+ *     console.log(drift.format([report]));
+ *   }
+ * });
+ */
+FirebaseInstance.prototype.checkDrift = function(expected) {
+
+  expected = expected || {};
+
+  var expectedRules = expected.rules;
+
+  if (typeof expectedRules === 'string') {
+
+    try {
+      expectedRules = rulesLoader.parse(expectedRules);
+    } catch(e) {
+      return Q.reject(e);
+    }
+
+  }
+
+  return Q.all([
+    expectedRules !== undefined ? this.getRules() : null,
+    expected.authConfig !== undefined ? this.getAuthConfig() : null,
+    expected.secrets !== undefined ? this.getAuthTokens({ refresh: true }) : []
+  ])
+  .spread(function(rules, authConfig, secrets) {
+
+    var report = drift.compare({
+      rules: expectedRules,
+      authConfig: expected.authConfig,
+      secrets: expected.secrets
+    }, {
+      rules: rules,
+      authConfig: authConfig,
+      secrets: secrets
+    });
+
+    return {
+      instance: this.name,
+      drifted: report.drifted,
+      checks: report.checks
+    };
+
+  }.bind(this));
+
+};
+
+
+/**
+ * Promises to inspect the instance's security rules, auth config and
+ * secrets for risky setups, such as rules that let anyone write or
+ * localhost left among the authorized domains. See lib/audit.js for every
+ * check.
+ * @param {Object} [options] Audit options, as for lib/audit.js.
+ * @param {Number} [options.maxSessionLengthSeconds=604800] The longest
+ * session that isn't reported.
+ * @param {Number} [options.maxSecrets=3] The most secrets that aren't
+ * reported.
+ * @returns {external:Promise} A promise that resolves with
+ * { instance, findings }, findings most severe first, and rejects with an
+ * Error if there's an error.
+ * @example
+ * instance.audit().then(function(report) {
+ *   report.findings.forEach(function(finding) {
+ *     console.log(finding.severity, finding.message);
+ *   });
+ * });
+ */
+FirebaseInstance.prototype.audit = function(options) {
+
+  return Q.all([
+    this.getRules(),
+    this.getAuthConfig(),
+    this.getAuthTokens({ refresh: true })
+  ])
+  .spread(function(rules, authConfig, secrets) {
+
+    return {
+      instance: this.name,
+      findings: audit.audit({
+        rules: rules,
+        authConfig: authConfig,
+        secrets: secrets
+      }, options)
+    };
+
+  }.bind(this));
+
+};
+
+
+function dataPath(path) {
+  return paths.split(path).map(encodeURIComponent).join('/') + '.json';
+}
+
+
+FirebaseInstance.prototype._dataRequest = function(method, path, options) {
+
+  if (this.deleted) {
+    return Q.reject(
+      new errors.DeletedInstanceError(
+        'Cannot access data in deleted database ' + this.toString(),
+        { instance: this.name }
+      )
+    );
+  }
+
+  return this.getAuthTokens()
+  .then(function(tokens) {
+
+    options = options || {};
+
+    var request = {
+      method: method,
+      url: this.endpoints.databaseUrl(this.name, dataPath(path)),
+      qs: {
+        auth: options.secret || tokens[0]
+      },
+      json: true,
+      checkBody: false
+    };
+
+    Object.keys(options.qs || {}).forEach(function(key) {
+      request.qs[key] = options.qs[key];
+    });
+
+    if (options.body !== undefined) {
+      request.body = options.body;
+    }
+
+    return this._request(request);
+
+  }.bind(this));
+
+};
+
+
+/**
+ * Promises to read the data stored in the instance, authenticated with the
+ * instance's first secret so security rules don't apply.
+ * @param {String} [path] The path to read. Defaults to the root.
+ * @returns {external:Promise} A promise that resolves with the data at path
+ * (null if there is none) and rejects with an Error if there's an error.
+ * @example
+ * instance.exportData('users')
+ * .then(function(users) {
+ *   fs.writeFileSync('users.json', JSON.stringify(users));
+ * });
+ */
+FirebaseInstance.prototype.exportData = function(path) {
+  return this._dataRequest('GET', path);
+};
+
+
+/**
+ * Promises to export the data under a path to a writable stream a piece at a
+ * time, for databases too big to read in one request. See {@link Exporter}
+ * for how the tree is walked and the available formats.
+ * @param {String} path The path to export. Use '/' for the whole database.
+ * @param {stream.Writable} output Where to write the export. It is not
+ * ended afterwards.
+ * @param {Object} [options] Export options, as for {@link Exporter}.
+ * @returns {external:Promise} A promise that resolves with the export stats
+ * and rejects with an Error if there's an error.
+ * @example
+ * var out = fs.createWriteStream('backup.ndjson');
+ * instance.exportStream('/', out, { format: 'ndjson', pageSize: 500 })
+ * .then(function(stats) {
+ *   out.end();
+ *   console.log('Exported', stats.entries, 'entries.');
+ * });
+ */
+FirebaseInstance.prototype.exportStream = function(path, output, options) {
+
+  return Q.fcall(function() {
+    return new Exporter(this, options).run(path, output);
+  }.bind(this));
+
+};
+
+
+/**
+ * Promises to write data into the instance, authenticated with the
+ * instance's first secret so security rules don't apply.
+ * @param {String} path The path to write to. Use '' or '/' for the root.
+ * @param {*} data The data to write.
+ * @param {Object} [options] Import options.
+ * @param {String} [options.mode=set] 'set' replaces everything at path;
+ * 'update' only replaces the children present in data.
+ * @returns {external:Promise} A promise that resolves when the data has been
+ * written and rejects with an Error if there's an error.
+ * @example
+ * instance.importData('/', JSON.parse(fs.readFileSync('seed.json')))
+ * .then(function() {
+ *   console.log('Seeded the database.');
+ * });
+ */
+FirebaseInstance.prototype.importData = function(path, data, options) {
+
+  var mode = (options && options.mode) || 'set';
+
+  if (mode === 'update') {
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      return Q.reject(
+        new errors.ValidationError('importData in update mode requires an object', {
+          instance: this.name
+        })
+      );
+    }
+
+    return this._dataRequest('PATCH', path, { body: data })
+    .then(function() {});
+
+  } else if (mode === 'set') {
+
+    return this._dataRequest('PUT', path, { body: data })
+    .then(function() {});
+
+  } else {
+    return Q.reject(
+      new errors.ValidationError('Unknown importData mode "' + mode + '"', {
+        instance: this.name
+      })
+    );
+  }
+
+};
+
+
+/**
+ * Promises to remove the data at a path in the instance.
+ * @param {String} path The path to remove. Use '' or '/' for the root.
+ * @returns {external:Promise} A promise that resolves when the data has been
+ * removed and rejects with an Error if there's an error.
+ */
+FirebaseInstance.prototype.removeData = function(path) {
+
+  return this._dataRequest('DELETE', path)
+  .then(function() {});
+
+};
+
+
+FirebaseInstance.prototype._request = function(options) {
+
+  options.instance = this.name;
+  return this.transport.request(options);
+
+};
+
+
+FirebaseInstance.prototype._authRequest = function(options) {
+
+  options.json = true;
+  return this._request(options);
+
+};
+
+
+/**
+ * Promises to create a Firebase Simple Login password-type user.
+ * @param {String} email The email address of the new user.
+ * @param {String} password The password of the new user.
+ * @returns {external:Promise} A promise that resolves if the rules are changed
+ * successfully and rejects with an Error if there's an error.
+ */
+FirebaseInstance.prototype.createUser = function(email, password) {
+
+  var qs = {
+    email: email,
+    password: password,
+    firebase: this.name
+  };
+
+  // creating the same user twice fails, so don't retry if it may have worked
+  return this._authRequest({
+    url: this.endpoints.authUrl('auth/firebase/create'),
+    qs: qs,
+    idempotent: false
+  });
+
+};
+
+
+/**
+ * Promises to remove a Simple Login user.
+ * @param {String} email The email address of the user to remove.
+ * @returns {external:Promise} A promise that resolves with the new user info
+ * if the user is removed successfully and rejects with an Error
+ * if there's an error.
+ */
+FirebaseInstance.prototype.removeUser = function(email) {
+
+  return this._authRequest({
+    method: 'DELETE',
+    url: this.endpoints.authUrl('v2/' + this.name + '/users/' + email),
+    qs: {
+      token: this.adminToken
+    }
+  });
+
+};
+
+
+/**
+ * Promises to change a Simple Login user's password.
+ * @param {String} email The email address of the user to remove.
+ * @param {String} newPassword The new password.
+ * @returns {external:Promise} A promise that resolves with the new user info
+ * if the user's password is changed successfully and rejects with an Error
+ * if there's an error.
+ */
+FirebaseInstance.prototype.changeUserPassword = function(email, newPassword) {
+
+  return this._authRequest({
+    url: this.endpoints.authUrl('auth/firebase/reset_password'),
+    qs: {
+      token: this.adminToken,
+      firebase: this.name,
+      email: email,
+      newPassword: newPassword
+    }
   });
 
 };
 
 
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// The number in an id like "simplelogin:12", or NaN if it has none.
+function idNumber(id) {
+  var match = /(\d+)$/.exec(String(id));
+  return match ? parseInt(match[1], 10) : NaN;
+}
+
+var USER_SORTS = {
+  // numerically, so simplelogin:2 comes before simplelogin:10
+  id: function(a, b) {
+
+    var numberA = idNumber(a.id),
+      numberB = idNumber(b.id);
+
+    if (!isNaN(numberA) && !isNaN(numberB) && numberA !== numberB) {
+      return numberA - numberB;
+    }
+    return compare(String(a.id), String(b.id));
+
+  },
+  email: function(a, b) {
+    return compare(a.email.toLowerCase(), b.email.toLowerCase());
+  },
+  created: function(a, b) {
+    return compare(a.time_created, b.time_created);
+  }
+};
+
+// An email pattern as a RegExp: RegExps as they are, Strings as
+// case-insensitive globs where * matches anything.
+function emailMatcher(pattern) {
+
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  return new RegExp('^' + String(pattern).split('*').map(function(part) {
+    return part.replace(/[-\/\\^$+?.()|[\]{}]/g, '\\$&');
+  }).join('.*') + '$', 'i');
+
+}
+
+function toTime(value, name) {
+
+  var time = new Date(value).getTime();
+
+  if (isNaN(time)) {
+    throw new errors.ValidationError(name + ' must be a date, not "' + value + '"');
+  }
+  return time;
+
+}
+
+// Filters and sorts users as listUsers' options say.
+function selectUsers(users, options) {
+
+  var after = options.createdAfter === undefined ?
+      -Infinity : toTime(options.createdAfter, 'createdAfter'),
+    before = options.createdBefore === undefined ?
+      Infinity : toTime(options.createdBefore, 'createdBefore'),
+    email = options.email === undefined ? null : emailMatcher(options.email);
+
+  users = users.filter(function(user) {
+    return user.time_created >= after && user.time_created < before &&
+      (!email || email.test(user.email));
+  });
+
+  if (options.sort) {
+
+    var descending = options.sort.charAt(0) === '-',
+      order = USER_SORTS[descending ? options.sort.slice(1) : options.sort];
+
+    if (!order) {
+      throw new errors.ValidationError('sort must be one of ' +
+        Object.keys(USER_SORTS).join(', ') + ', not "' + options.sort + '"');
+    }
+
+    users.sort(function(a, b) {
+      return descending ? order(b, a) : order(a, b);
+    });
+
+  }
+
+  return users;
+
+}
+
+/**
+ * Promises to return a list of the Simple Login password users in the
+ * Firebase, all of them unless options say otherwise.
+ * @param {Object} [options] List options.
+ * @param {String|RegExp} [options.email] Only list users whose email
+ * matches: a RegExp, or a case-insensitive pattern where * matches anything,
+ * like "*@example.com".
+ * @param {Date|String|Number} [options.createdAfter] Only list users created
+ * at or after this.
+ * @param {Date|String|Number} [options.createdBefore] Only list users created
+ * before this.
+ * @param {String} [options.sort] Sort by "id", "email" or "created", or
+ * descending with a leading "-", like "-created".
+ * @returns {external:Promise} A promise that resolves with a list of users
+ * and rejects with an Error if there's an error, or a ValidationError if
+ * the options are unusable.
+ */
+FirebaseInstance.prototype.listUsers = function(options) {
+
+  options = options || {};
+
+  return this._authRequest({
+    url: this.endpoints.authUrl('v2/' + this.name + '/users'),
+    qs: {
+      token: this.adminToken,
+      firebase: this.name
+    }
+  })
+  .then(function(body) {
+
+    if (!body.users) {
+      throw new errors.FirebaseAdminError('No user body', {
+        instance: this.name,
+        body: body
+      });
+    }
+    return selectUsers(body.users, options);
+
+  }.bind(this));
+
+};
+
+
+var IMPORT_CONFLICTS = ['skip', 'reset-password', 'fail'];
+
+// Runs fn over items with at most concurrency calls pending at once,
+// promising the results in the order of the items.
+function eachLimit(items, concurrency, fn) {
+
+  var results = new Array(items.length),
+    next = 0,
+    workers = [];
+
+  function work() {
+
+    if (next >= items.length) {
+      return Q.resolve();
+    }
+
+    var index = next++;
+
+    return Q.fcall(fn, items[index], index)
+    .then(function(result) {
+      results[index] = result;
+      return work();
+    });
+
+  }
+
+  for (var i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(work());
+  }
+
+  return Q.all(workers)
+  .then(function() {
+    return results;
+  });
+
+}
+
+/**
+ * Promises to create many Simple Login password users, several at a time.
+ * A record that fails doesn't stop the rest: each gets a result saying what
+ * happened to it. Records without a password get a random one.
+ * @param {Array} records Users to create, as { email, password }.
+ * @param {Object} [options] Import options.
+ * @param {Number} [options.concurrency=5] How many users to create at once,
+ * a whole number of at least 1.
+ * @param {String} [options.onConflict=skip] What to do with a user who
+ * already exists: "skip" them, "reset-password" to the record's password, or
+ * "fail" the record.
+ * @returns {external:Promise} A promise that resolves with a result per
+ * record, in order, of { email, status, password, generated, error }, where
+ * status is "created", "reset", "skipped" or "failed", password is set if
+ * the user has it now, generated is true if it was made up and error is the
+ * failure message; and rejects with a ValidationError if the options are
+ * unusable, or an Error if the existing users can't be listed.
+ */
+FirebaseInstance.prototype.importUsers = function(records, options) {
+
+  options = options || {};
+
+  var concurrency = options.concurrency !== undefined ? options.concurrency : 5,
+    onConflict = options.onConflict || 'skip',
+    seen = {};
+
+  if (typeof concurrency !== 'number' || concurrency < 1 || concurrency % 1 !== 0) {
+    return Q.reject(new errors.ValidationError('concurrency must be a whole number of ' +
+      'at least 1, not ' + concurrency));
+  } else if (IMPORT_CONFLICTS.indexOf(onConflict) === -1) {
+    return Q.reject(new errors.ValidationError('onConflict must be one of ' +
+      IMPORT_CONFLICTS.join(', ') + ', not "' + onConflict + '"'));
+  }
+
+  return this.listUsers()
+  .then(function(users) {
+
+    var existing = {};
+    users.forEach(function(user) {
+      existing[user.email.toLowerCase()] = true;
+    });
+
+    return eachLimit(records, concurrency, function(record) {
+
+      var key = String(record.email).toLowerCase(),
+        generated = !record.password,
+        password = record.password || userRecords.generatePassword(),
+        result = { email: record.email };
+
+      function fail(err) {
+        result.status = 'failed';
+        result.error = err.message;
+        return result;
+      }
+
+      if (seen[key]) {
+        return fail(new Error('Appears more than once in the import'));
+      }
+      seen[key] = true;
+
+      if (existing[key] && onConflict === 'skip') {
+        result.status = 'skipped';
+        return result;
+      } else if (existing[key] && onConflict === 'fail') {
+        return fail(new Error('Already exists'));
+      }
+
+      return (existing[key] ?
+        this.changeUserPassword(record.email, password) :
+        this.createUser(record.email, password))
+      .then(function() {
+
+        result.status = existing[key] ? 'reset' : 'created';
+        result.password = password;
+        result.generated = generated;
+        return result;
+
+      }, fail);
+
+    }.bind(this));
+
+  }.bind(this));
+
+};
+
+
 /**
  * Promises to send a password reset email to a Simple Login user.
  * @param {String} email The email address of the  user to send a message to.
@@ -545,20 +1796,16 @@ FirebaseInstance.prototype.listUsers = function() {
  */
 FirebaseInstance.prototype.sendResetEmail = function(email) {
 
-  var deferred = Q.defer();
-
-  request.get({
-    url: 'https://auth.firebase.com/auth/firebase/reset_password',
+  // every attempt sends an email, so don't retry if one may have gone out
+  return this._authRequest({
+    url: this.endpoints.authUrl('auth/firebase/reset_password'),
     qs: {
       token: this.adminToken,
       firebase: this.name,
       email: email
     },
-    json: true
-
-  }, this._authMethodCallback.bind(this, deferred));
-
-  return deferred.promise;
+    idempotent: false
+  });
 
 };
 
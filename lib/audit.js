@@ -0,0 +1,295 @@
+'use strict';
+
+var expression = require('./rules-expression'),
+  paths = require('./paths');
+
+
+var SEVERITIES = ['high', 'medium', 'low'];
+
+var OAUTH_PROVIDERS = ['facebook', 'github', 'google', 'twitter'];
+
+var LOCAL_DOMAINS = ['localhost', '127.0.0.1'];
+
+var DEFAULTS = {
+  maxSessionLengthSeconds: 7 * 24 * 60 * 60,
+  maxSecrets: 3
+};
+
+
+// The value of an expression that's the same for every request, as far as
+// literals and logical operators go, or undefined.
+function constantOf(node) {
+
+  var left, right;
+
+  switch (node.type) {
+
+  case 'Literal':
+    return typeof node.value === 'boolean' ? node.value : undefined;
+
+  case 'Unary':
+    left = constantOf(node.argument);
+    return node.operator === '!' && left !== undefined ? !left : undefined;
+
+  case 'Binary':
+
+    left = constantOf(node.left);
+    right = constantOf(node.right);
+
+    if (node.operator === '&&') {
+      return left === false || right === false ? false :
+        left === true && right === true ? true : undefined;
+    } else if (node.operator === '||') {
+      return left === true || right === true ? true :
+        left === false && right === false ? false : undefined;
+    }
+    return undefined;
+
+  case 'Conditional':
+
+    left = constantOf(node.consequent);
+    right = constantOf(node.alternate);
+
+    if (constantOf(node.test) === undefined) {
+      return left === right ? left : undefined;
+    }
+    return constantOf(node.test) ? left : right;
+
+  default:
+    return undefined;
+
+  }
+
+}
+
+// What a rule evaluates to whatever the request, or undefined if that
+// depends on the request. Rules that don't parse are left to the linter.
+function constantRule(rule) {
+
+  if (typeof rule !== 'string') {
+    return typeof rule === 'boolean' ? rule : undefined;
+  }
+
+  try {
+    return constantOf(expression.parse(rule));
+  } catch(e) {
+    return undefined;
+  }
+
+}
+
+// Whether a rule allows everything, like true or "auth == null || true",
+// whether or not it mentions auth.
+function isTrue(rule) {
+  return constantRule(rule) === true;
+}
+
+// Whether a rule never allows anything, like false or "false && ...".
+function isFalse(rule) {
+  return constantRule(rule) === false;
+}
+
+// Whether a rule expression looks at auth at all. Rules that don't parse
+// are left to the linter.
+function usesAuth(rule) {
+
+  if (typeof rule !== 'string') {
+    return false;
+  }
+
+  var found = false;
+
+  try {
+    expression.walk(expression.parse(rule), function(node) {
+      found = found || (node.type === 'Identifier' && node.name === 'auth');
+    });
+  } catch(e) {
+    return true;
+  }
+
+  return found;
+
+}
+
+
+function Auditor(options) {
+  this.options = options;
+  this.findings = [];
+}
+
+Auditor.prototype.report = function(severity, check, message, path) {
+
+  var finding = { severity: severity, check: check, message: message };
+
+  if (path !== undefined) {
+    finding.path = path;
+  }
+
+  this.findings.push(finding);
+
+};
+
+Auditor.prototype.checkRules = function(node, segments, wildcard) {
+
+  if (node === null || typeof node !== 'object' || Array.isArray(node)) {
+    return;
+  }
+
+  var path = paths.join(segments);
+
+  if (segments.length === 0) {
+
+    ['.read', '.write'].forEach(function(key) {
+      if (isTrue(node[key])) {
+        this.report('high', 'global-' + key.slice(1), 'Anyone can ' + key.slice(1) +
+          ' the whole database: ' + key + ' is true at the root', path);
+      }
+    }, this);
+
+  } else if (wildcard && node['.write'] !== undefined && !isTrue(node['.write']) &&
+    !isFalse(node['.write']) && !usesAuth(node['.write'])) {
+    this.report('high', 'wildcard-write', 'The .write rule under ' + wildcard +
+      ' never checks auth, so anyone can write wherever it allows', path);
+  } else if (wildcard && isTrue(node['.write'])) {
+    this.report('high', 'wildcard-write', 'Anyone can write every child matched by ' +
+      wildcard + ': .write is true', path);
+  }
+
+  Object.keys(node).forEach(function(key) {
+
+    if (key.charAt(0) !== '.') {
+      this.checkRules(node[key], segments.concat(key),
+        key.charAt(0) === '$' ? key : wildcard);
+    }
+
+  }, this);
+
+};
+
+Auditor.prototype.checkAuthConfig = function(config) {
+
+  (config.domains || []).filter(function(domain) {
+    return LOCAL_DOMAINS.indexOf(domain) !== -1;
+  }).forEach(function(domain) {
+    this.report('medium', 'local-domain', domain + ' is an authorized domain, ' +
+      'so any page served locally can log users in');
+  }, this);
+
+  Object.keys(config).sort().forEach(function(provider) {
+
+    var settings = config[provider];
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings) ||
+      !settings.enabled) {
+      return;
+    }
+
+    if ((OAUTH_PROVIDERS.indexOf(provider) !== -1 || 'key' in settings ||
+      'secret' in settings) && (!settings.key || !settings.secret)) {
+      this.report('medium', 'oauth-credentials', provider + ' login is enabled ' +
+        'with an empty ' + (!settings.key ? 'key' : 'secret'));
+    }
+
+  }, this);
+
+  if (config.sessionLengthSeconds > this.options.maxSessionLengthSeconds) {
+    this.report('low', 'session-length', 'Sessions last ' + config.sessionLengthSeconds +
+      ' seconds, more than ' + this.options.maxSessionLengthSeconds);
+  }
+
+};
+
+
+/**
+ * Inspects rules, auth config and secrets for risky setups: .read or .write
+ * true at the root, .write rules under $wildcards that are true or never
+ * check auth, localhost domains, OAuth providers enabled without a key or
+ * secret, long sessions and too many secrets.
+ * @param {Object} settings What to inspect; leave any out to skip it.
+ * @param {Object} [settings.rules] The rules, with or without a top-level
+ * "rules" key.
+ * @param {Object} [settings.authConfig] The auth config.
+ * @param {Array} [settings.secrets] The secrets.
+ * @param {Object} [options] Audit options.
+ * @param {Number} [options.maxSessionLengthSeconds=604800] The longest
+ * session that isn't reported.
+ * @param {Number} [options.maxSecrets=3] The most secrets that aren't
+ * reported.
+ * @returns {Array} The findings, most severe first, each with a severity
+ * (high, medium or low), the check that found it, a message and, for
+ * rules, the path.
+ */
+function audit(settings, options) {
+
+  options = options || {};
+
+  var auditor = new Auditor({
+    maxSessionLengthSeconds: options.maxSessionLengthSeconds !== undefined ?
+      options.maxSessionLengthSeconds :
+      DEFAULTS.maxSessionLengthSeconds,
+    maxSecrets: options.maxSecrets !== undefined ? options.maxSecrets : DEFAULTS.maxSecrets
+  });
+
+  var rules = settings.rules;
+
+  if (rules && typeof rules === 'object' && rules.rules &&
+    Object.keys(rules).length === 1) {
+    rules = rules.rules;
+  }
+
+  if (rules) {
+    auditor.checkRules(rules, [], null);
+  }
+
+  if (settings.authConfig) {
+    auditor.checkAuthConfig(settings.authConfig);
+  }
+
+  if (settings.secrets && settings.secrets.length > auditor.options.maxSecrets) {
+    auditor.report('low', 'secret-count', 'There are ' + settings.secrets.length +
+      ' secrets, more than ' + auditor.options.maxSecrets + '; remove those no longer used');
+  }
+
+  // a stable sort, so findings of the same severity stay in order
+  return auditor.findings.map(function(finding, index) {
+    return { finding: finding, index: index };
+  }).sort(function(a, b) {
+    return SEVERITIES.indexOf(a.finding.severity) - SEVERITIES.indexOf(b.finding.severity) ||
+      a.index - b.index;
+  }).map(function(entry) {
+    return entry.finding;
+  });
+
+}
+
+
+/**
+ * Formats findings for people, one per line.
+ * @param {Array} findings Findings from {@link audit}.
+ * @param {Object} [colors] Functions to color the high, medium and low
+ * labels.
+ * @returns {String} The formatted findings, with a trailing newline unless
+ * there are none.
+ */
+function format(findings, colors) {
+
+  colors = colors || {};
+
+  return findings.map(function(finding) {
+
+    var label = (colors[finding.severity] || String)(finding.severity.toUpperCase());
+
+    return label + ' ' + finding.check + (finding.path ? ' ' + finding.path : '') +
+      ': ' + finding.message + '\n';
+
+  }).join('');
+
+}
+
+
+module.exports = {
+  SEVERITIES: SEVERITIES,
+  DEFAULTS: DEFAULTS,
+  audit: audit,
+  format: format
+};
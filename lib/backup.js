@@ -0,0 +1,391 @@
+'use strict';
+
+var fs = require('fs'),
+  path = require('path'),
+  zlib = require('zlib'),
+  Q = require('q'),
+  errors = require('./errors'),
+  Importer = require('./importer'),
+  userRecords = require('./user-records');
+
+var MANIFEST = 'manifest.json';
+
+// Archives hold all the data, users and OAuth client secrets of an instance,
+// so only their owner may read them.
+var DIRECTORY_MODE = parseInt('700', 8),
+  FILE_MODE = parseInt('600', 8);
+
+
+function timestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+function mkdirp(directory) {
+
+  if (!fs.existsSync(directory)) {
+    mkdirp(path.dirname(directory));
+    fs.mkdirSync(directory, DIRECTORY_MODE);
+  }
+
+}
+
+function writeJson(directory, name, value, gzip) {
+
+  var filename = name + '.json' + (gzip ? '.gz' : ''),
+    contents = Buffer.from(JSON.stringify(value, undefined, 2));
+
+  fs.writeFileSync(path.join(directory, filename), gzip ? zlib.gzipSync(contents) : contents, {
+    mode: FILE_MODE
+  });
+  return filename;
+
+}
+
+function readJson(directory, filename) {
+
+  var contents = fs.readFileSync(path.join(directory, filename));
+  if (/\.gz$/.test(filename)) {
+    contents = zlib.gunzipSync(contents);
+  }
+  return JSON.parse(contents.toString('utf8'));
+
+}
+
+// Makes a new directory for an archive, with a numeric suffix if another
+// backup of the instance already took the name in the same second.
+function makeArchive(directory, name) {
+
+  for (var suffix = 0; ; suffix++) {
+
+    var archive = path.join(directory, name + (suffix ? '-' + suffix : ''));
+
+    try {
+      fs.mkdirSync(archive, DIRECTORY_MODE);
+      return archive;
+    } catch(e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+    }
+
+  }
+
+}
+
+function openData(directory, filename) {
+
+  var input = fs.createReadStream(path.join(directory, filename));
+  return /\.gz$/.test(filename) ? input.pipe(zlib.createGunzip()) : input;
+
+}
+
+
+/**
+ * Promises to back up an instance into a new, timestamped archive directory
+ * holding its data, security rules, auth config and Simple Login users.
+ * @param {FirebaseInstance} instance The instance to back up.
+ * @param {String} directory Where to create the archive directory.
+ * @param {Object} [options] Backup options.
+ * @param {Boolean} [options.gzip=false] Whether to gzip the archive's files.
+ * @param {Number} [options.pageSize] Passed on to the data {@link Exporter}.
+ * @param {Date} [options.date] The time to stamp the archive with.
+ * @returns {external:Promise} A promise that resolves with the archive's
+ * manifest, including its path, and rejects with an Error if there's an error.
+ */
+function create(instance, directory, options) {
+
+  options = options || {};
+
+  var gzip = !!options.gzip,
+    date = options.date || new Date(),
+    archive,
+    manifest = {
+      instance: instance.name,
+      url: instance.toString(),
+      createdAt: date.toISOString(),
+      gzip: gzip,
+      files: {}
+    };
+
+  return Q.fcall(function() {
+
+    mkdirp(directory);
+    archive = makeArchive(directory, instance.name + '-' + timestamp(date));
+
+    return Q.all([
+      instance.getRules(),
+      instance.getAuthConfig(),
+      instance.listUsers()
+    ]);
+
+  })
+  .spread(function(rules, authConfig, users) {
+
+    manifest.files.rules = writeJson(archive, 'rules', rules, gzip);
+    manifest.files.authConfig = writeJson(archive, 'auth-config', authConfig, gzip);
+    manifest.files.users = writeJson(archive, 'users', users, gzip);
+    manifest.users = users.length;
+
+    manifest.files.data = 'data.ndjson' + (gzip ? '.gz' : '');
+
+    var file = fs.createWriteStream(path.join(archive, manifest.files.data), {
+        mode: FILE_MODE
+      }),
+      output = gzip ? zlib.createGzip() : file,
+      finished = Q.defer(),
+      failed = Q.defer();
+
+    if (gzip) {
+      output.pipe(file);
+      output.on('error', failed.reject);
+    }
+    file.on('finish', finished.resolve);
+    file.on('error', failed.reject);
+
+    // a stream that fails stops draining, so don't wait on the export alone
+    return Q.race([
+      instance.exportStream('/', output, { pageSize: options.pageSize }),
+      failed.promise
+    ])
+    .then(function(stats) {
+
+      manifest.entries = stats.entries;
+      output.end();
+      return Q.race([finished.promise, failed.promise]);
+
+    });
+
+  })
+  .then(function() {
+
+    fs.writeFileSync(path.join(archive, MANIFEST), JSON.stringify(manifest, undefined, 2), {
+      mode: FILE_MODE
+    });
+    manifest.path = archive;
+    return manifest;
+
+  }, function(err) {
+
+    // without a manifest it isn't an archive, so don't leave it half-written
+    if (archive) {
+      removeDirectory(archive);
+    }
+    throw err;
+
+  });
+
+}
+
+
+/**
+ * Lists the archives in a directory, oldest first.
+ * @param {String} directory The directory holding the archives.
+ * @param {String} [instanceName] Only list archives of this instance.
+ * @returns {Array} The archives' manifests, each with its path.
+ */
+function list(directory, instanceName) {
+
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+  .map(function(name) {
+    return path.join(directory, name);
+  })
+  .filter(function(archive) {
+    return fs.existsSync(path.join(archive, MANIFEST));
+  })
+  .map(function(archive) {
+    var manifest = readJson(archive, MANIFEST);
+    manifest.path = archive;
+    return manifest;
+  })
+  .filter(function(manifest) {
+    return !instanceName || manifest.instance === instanceName;
+  })
+  .sort(function(a, b) {
+    return a.createdAt < b.createdAt ? -1 : (a.createdAt > b.createdAt ? 1 : 0);
+  });
+
+}
+
+
+function removeDirectory(directory) {
+
+  fs.readdirSync(directory).forEach(function(name) {
+    fs.unlinkSync(path.join(directory, name));
+  });
+  fs.rmdirSync(directory);
+
+}
+
+
+/**
+ * Deletes old archives according to a retention policy. The newest archive
+ * is always kept.
+ * @param {String} directory The directory holding the archives.
+ * @param {Object} policy The retention policy.
+ * @param {Number} [policy.keep] How many of the newest archives to keep.
+ * @param {Number} [policy.maxAgeDays] Delete archives older than this.
+ * @param {String} [policy.instance] Only prune archives of this instance.
+ * @param {Date} [policy.now] The time to measure ages from.
+ * @returns {Array} The manifests of the deleted archives.
+ */
+function prune(directory, policy) {
+
+  var archives = list(directory, policy.instance).reverse(),
+    now = (policy.now || new Date()).getTime(),
+    removed = [];
+
+  archives.forEach(function(manifest, index) {
+
+    var age = (now - new Date(manifest.createdAt).getTime()) / 86400000,
+      tooMany = policy.keep !== undefined && index >= policy.keep,
+      tooOld = policy.maxAgeDays !== undefined && age > policy.maxAgeDays;
+
+    if (index > 0 && (tooMany || tooOld)) {
+      removeDirectory(manifest.path);
+      removed.push(manifest);
+    }
+
+  });
+
+  return removed;
+
+}
+
+
+/**
+ * Promises to replay an archive into an instance, which need not be the one
+ * it was taken from. The instance's data is replaced entirely; missing
+ * Simple Login users are created with new random passwords, since passwords
+ * can't be backed up.
+ * @param {FirebaseInstance} instance The instance to restore into.
+ * @param {String} archive The archive directory.
+ * @param {Object} [options] Restore options.
+ * @param {Boolean} [options.dryRun=false] Only work out what would be done.
+ * @param {Number} [options.batchSize=500] Data entries to write per request.
+ * @returns {external:Promise} A promise that resolves with a summary of what
+ * was (or would be) restored and rejects with an Error if there's an error.
+ * The summary's createdUsers holds the email and new password of every user
+ * created.
+ */
+function restore(instance, archive, options) {
+
+  options = options || {};
+
+  var manifest, rules, authConfig, users, summary;
+
+  try {
+    manifest = readJson(archive, MANIFEST);
+  } catch(e) {
+    return Q.reject(new errors.ValidationError(
+      'Not a backup archive: ' + archive + ' (' + e.message + ')',
+      { instance: instance.name }
+    ));
+  }
+
+  try {
+    rules = readJson(archive, manifest.files.rules);
+    authConfig = readJson(archive, manifest.files.authConfig);
+    users = readJson(archive, manifest.files.users);
+  } catch(e) {
+    return Q.reject(new errors.ValidationError(
+      'Damaged backup archive: ' + archive + ' (' + e.message + ')',
+      { instance: instance.name }
+    ));
+  }
+
+  summary = {
+    source: manifest.instance,
+    target: instance.name,
+    createdAt: manifest.createdAt,
+    dryRun: !!options.dryRun,
+    entries: 0,
+    rules: !!rules,
+    authConfig: !!authConfig,
+    users: users.length,
+    createdUsers: []
+  };
+
+  function importData(dryRun) {
+
+    var importer = new Importer(instance, {
+      batchSize: options.batchSize,
+      dryRun: dryRun
+    });
+
+    return importer.importFrom(openData(archive, manifest.files.data))
+    .then(function(entries) {
+      summary.entries = entries;
+    });
+
+  }
+
+  return instance.listUsers()
+  .then(function(existing) {
+
+    var existingEmails = existing.map(function(user) {
+      return user.email;
+    });
+
+    var missing = users.filter(function(user) {
+      return existingEmails.indexOf(user.email) === -1;
+    });
+
+    if (options.dryRun) {
+
+      summary.createdUsers = missing.map(function(user) {
+        return { email: user.email };
+      });
+
+      return importData(true);
+
+    }
+
+    var message = { message: 'Restore from ' + path.basename(archive) };
+
+    return (rules ? instance.setRules(rules, message) : Q())
+    .then(function() {
+      return authConfig ? instance.setAuthConfig(authConfig, message) : null;
+    })
+    .then(function() {
+      return instance.removeData('/');
+    })
+    .then(function() {
+      return importData(false);
+    })
+    .then(function() {
+
+      return missing.reduce(function(promise, user) {
+
+        return promise.then(function() {
+
+          var password = userRecords.generatePassword();
+
+          return instance.createUser(user.email, password)
+          .then(function() {
+            summary.createdUsers.push({ email: user.email, password: password });
+          });
+
+        });
+
+      }, Q());
+
+    });
+
+  })
+  .then(function() {
+    return summary;
+  });
+
+}
+
+
+module.exports = {
+  create: create,
+  list: list,
+  prune: prune,
+  restore: restore
+};
@@ -1,7 +1,21 @@
 
 'use strict';
 
-var Q = require('q');
+var Q = require('q'),
+  path = require('path'),
+  chalk = require('chalk'),
+  Table = require('cli-table'),
+  manifest = require('../manifest'),
+  drift = require('../drift'),
+  errors = require('../errors');
+
+var MANIFEST_COLORS = {
+  added: chalk.green,
+  removed: chalk.red,
+  changed: chalk.yellow,
+  warning: chalk.yellow,
+  path: chalk.bold
+};
 
 function escape(str) {
   return (str + '').replace(/([^0-9a-z-])/gi, '\\$1');
@@ -18,14 +32,14 @@ module.exports = {
       return Q.delay(1000)
       .then(function() {
         return instance.getAuthTokens();
-      });
+      })
+      .then(function(tokens) {
 
-    })
-    .then(function(tokens) {
+        console.log('FB_NAME=' + escape(name));
+        console.log('FIREBASE_URL=' + escape(instance.toString().replace(/^https?:\/\//, '')));
+        console.log('FIREBASE_AUTH_SECRET=' + escape(tokens[0]));
 
-      console.log('FB_NAME=' + escape(name));
-      console.log('FIREBASE_URL=' + escape(name) + '.firebaseio.com');
-      console.log('FIREBASE_AUTH_SECRET=' + escape(tokens[0]));
+      });
 
     });
 
@@ -41,6 +55,256 @@ module.exports = {
 
   },
 
+  list: function(account) {
+
+    var format = this.format || 'table';
+
+    return account.listDatabases()
+    .then(function(dbs) {
+
+      if (format === 'json') {
+        console.log(JSON.stringify(dbs, undefined, 2));
+        return;
+      } else if (format !== 'table') {
+        throw new Error('Unknown format "' + format + '" for list');
+      }
+
+      // show every piece of metadata any instance has
+      var extraKeys = [];
+      dbs.forEach(function(db) {
+        Object.keys(db).forEach(function(key) {
+          if (key !== 'name' && key !== 'url' && extraKeys.indexOf(key) === -1) {
+            extraKeys.push(key);
+          }
+        });
+      });
+
+      var table = new Table({
+        head: ['Name', 'URL'].concat(extraKeys)
+      });
+
+      dbs.forEach(function(db) {
+
+        table.push([db.name, db.url].concat(extraKeys.map(function(key) {
+
+          var value = db[key];
+          if (value === undefined || value === null) {
+            return '';
+          } else if (/At$/.test(key) && typeof value === 'number') {
+            return new Date(value).toISOString();
+          } else if (typeof value === 'object') {
+            return JSON.stringify(value);
+          } else {
+            return String(value);
+          }
+
+        })));
+
+      });
+
+      console.log('');
+      console.log(table.toString());
+      console.log(dbs.length + ' Firebase(s).');
+
+    });
+
+  },
+
+  clone: function(account, sourceName, targetName) {
+
+    if (!sourceName || !targetName) {
+      throw new Error('clone needs a source and a target instance name');
+    }
+
+    console.log('Cloning', sourceName, 'into', targetName + '...');
+    return account.cloneDatabase(sourceName, targetName, {
+      data: this.withData,
+      users: this.withUsers || this.regeneratePasswords,
+      regeneratePasswords: this.regeneratePasswords,
+      password: this.password,
+      pageSize: this.pageSize
+    })
+    .then(function(summary) {
+
+      if (summary.created) {
+        console.log('Created', targetName + '.');
+      }
+      console.log('Copied security rules' + (summary.authConfig ? ' and auth config.' : '.'));
+      if (this.withData) {
+        console.log('Copied', summary.entries, 'data entries.');
+      }
+
+      if (summary.users.length > 0) {
+
+        var table = new Table({
+          head: ['Email', 'Password', 'Status']
+        });
+
+        summary.users.forEach(function(user) {
+          table.push([user.email, user.password, user.created ? 'created' : 'reset']);
+        });
+
+        console.log(table.toString());
+
+      } else if (this.withUsers) {
+        console.log('No users needed copying.');
+      }
+
+      console.log('... done!');
+
+    }.bind(this));
+
+  },
+
+  plan: function(account, filename) {
+
+    if (!filename) {
+      throw new Error('plan needs a manifest file');
+    }
+
+    var format = this.format || 'text';
+
+    if (format !== 'text' && format !== 'json') {
+      throw new Error('Unknown format "' + format + '" for plan');
+    }
+
+    return manifest.plan(account, manifest.load(filename))
+    .then(function(instances) {
+
+      if (format === 'json') {
+        console.log(JSON.stringify(instances, undefined, 2));
+      } else {
+        process.stdout.write(manifest.format(instances, MANIFEST_COLORS));
+      }
+
+      // like rules diff, so CI can tell when apply has work to do
+      if (instances.some(function(instance) {
+        return instance.changes.some(function(change) {
+          return change.action !== 'warn';
+        });
+      })) {
+        process.exitCode = 2;
+      }
+
+    });
+
+  },
+
+  apply: function(account, filename) {
+
+    if (!filename) {
+      throw new Error('apply needs a manifest file');
+    }
+
+    var format = this.format || 'text';
+
+    if (format !== 'text' && format !== 'json') {
+      throw new Error('Unknown format "' + format + '" for apply');
+    }
+
+    return manifest.apply(account, manifest.load(filename), {
+      message: this.message || 'apply ' + path.basename(filename)
+    })
+    .then(function(instances) {
+
+      if (format === 'json') {
+        console.log(JSON.stringify(instances, undefined, 2));
+        return;
+      }
+
+      process.stdout.write(manifest.format(instances, MANIFEST_COLORS));
+
+      var users = [];
+      instances.forEach(function(instance) {
+        instance.users.forEach(function(user) {
+          users.push([instance.name, user.email, user.password]);
+        });
+      });
+
+      if (users.length > 0) {
+
+        var table = new Table({
+          head: ['Instance', 'Email', 'Password']
+        });
+        users.forEach(function(row) {
+          table.push(row);
+        });
+        console.log(table.toString());
+
+      }
+
+      var changed = instances.filter(function(instance) {
+        return instance.changes.some(function(change) {
+          return change.action !== 'warn';
+        });
+      });
+      console.log(changed.length === 0 ? 'Everything is up to date.' :
+        'Changed ' + changed.length + ' of ' + instances.length + ' instance(s).');
+
+    });
+
+  },
+
+  drift: function(account, filename) {
+
+    if (!filename) {
+      throw new Error('drift needs a manifest file');
+    }
+
+    var format = this.format || 'text';
+
+    if (['text', 'json', 'junit'].indexOf(format) === -1) {
+      throw new Error('Unknown format "' + format + '" for drift');
+    }
+
+    var instances = manifest.load(filename).instances,
+      reports = [];
+
+    return instances.reduce(function(previous, spec) {
+
+      return previous.then(function() {
+        return account.getDatabase(spec.name);
+      })
+      .then(function(instance) {
+        return instance.checkDrift(spec);
+      }, function(err) {
+
+        if (!(err instanceof errors.NotFoundError)) {
+          throw err;
+        }
+
+        return {
+          instance: spec.name,
+          drifted: true,
+          checks: [{ name: 'instance', drifted: true, problems: ['the instance does not exist'] }]
+        };
+
+      })
+      .then(function(report) {
+        reports.push(report);
+      });
+
+    }, Q.resolve())
+    .then(function() {
+
+      if (format === 'json') {
+        console.log(JSON.stringify(reports, undefined, 2));
+      } else if (format === 'junit') {
+        process.stdout.write(drift.toJUnit(reports));
+      } else {
+        process.stdout.write(drift.format(reports, { ok: chalk.green, drifted: chalk.red }));
+      }
+
+      if (reports.some(function(report) {
+        return report.drifted;
+      })) {
+        process.exitCode = 2;
+      }
+
+    });
+
+  },
+
   delete: function(account, name) {
 
     console.log('Deleting database', name + '...');
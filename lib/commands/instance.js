@@ -2,8 +2,19 @@
 'use strict';
 
 var fs = require('fs'),
+  childProcess = require('child_process'),
+  Q = require('q'),
   Table = require('cli-table'),
-  FirebaseAccount = require('../../account');
+  chalk = require('chalk'),
+  FirebaseAccount = require('../../account'),
+  Exporter = require('../exporter'),
+  backup = require('../backup'),
+  rulesLoader = require('../rules-loader'),
+  rulesDiff = require('../rules-diff'),
+  rulesValidator = require('../rules-validator'),
+  audit = require('../audit'),
+  userRecords = require('../user-records'),
+  Simulator = require('../rules-simulator');
 
 function escape(str) {
   return (str + '').replace(/([^0-9a-z-])/gi, '\\$1');
@@ -17,47 +28,811 @@ function RequiredSubcommandError(command) {
   return new Error('You must supply a sub-command to ' + command);
 }
 
+// Reads a whole file, or stdin if filename is missing or "-".
+function readInput(filename) {
+
+  if (filename && filename !== '-') {
+    return Q.nfcall(fs.readFile, filename, 'utf8');
+  }
+
+  var deferred = Q.defer(),
+    chunks = [];
+
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+  process.stdin.on('end', function() {
+    deferred.resolve(chunks.join(''));
+  });
+  process.stdin.on('error', deferred.reject);
+  process.stdin.resume();
+
+  return deferred.promise;
+
+}
+
+function exportStream(instance, path, filename, options) {
+
+  var toFile = filename && filename !== '-',
+    format = options.format || 'ndjson',
+    resumeAfter,
+    output;
+
+  if (options.resume) {
+
+    if (!toFile) {
+      throw new Error('You must export to a file to use --resume');
+    }
+
+    var resumePoint = Exporter.findResumePoint(filename);
+    if (resumePoint && resumePoint.path !== null) {
+      resumeAfter = resumePoint.path;
+      console.error('Resuming export after', resumeAfter);
+    }
+    if (resumePoint) {
+      fs.truncateSync(filename, resumePoint.offset);
+    }
+
+  }
+
+  output = toFile ?
+    fs.createWriteStream(filename, { flags: options.resume ? 'a' : 'w' }) :
+    process.stdout;
+
+  return instance.exportStream(path, output, {
+    format: format,
+    pageSize: options.pageSize,
+    resumeAfter: resumeAfter,
+    onProgress: toFile ? function(stats) {
+      if (stats.entries % 100 === 0) {
+        console.error('Exported', stats.entries, 'entries, up to', stats.lastPath);
+      }
+    } : undefined
+  })
+  .then(function(stats) {
+
+    if (!toFile) {
+      return;
+    }
+
+    var deferred = Q.defer();
+    output.end(deferred.resolve);
+
+    return deferred.promise
+    .then(function() {
+      console.log(
+        'Exported', stats.entries, 'entries in', stats.requests,
+        'requests to', filename, 'successfully.'
+      );
+    });
+
+  });
+
+}
+
+function parseJson(str, source) {
+
+  try {
+    return JSON.parse(str);
+  } catch(e) {
+    throw new Error('Could not parse JSON from ' + source + ': ' + e.message);
+  }
+
+}
+
+// Enough of a secret to tell it apart from the others, but not to use it.
+// Shows at most 4 characters at either end, and never more than a quarter
+// of the secret in all.
+function maskSecret(secret) {
+
+  var shown = Math.min(4, Math.floor(secret.length / 8));
+
+  return secret.slice(0, shown) + new Array(secret.length - 2 * shown + 1).join('*') +
+    secret.slice(secret.length - shown);
+
+}
+
+// listUsers options from the command line; users are listed by ID unless
+// --sort says otherwise.
+function userFilters(options) {
+
+  return {
+    email: options.email,
+    createdAfter: options.createdAfter,
+    createdBefore: options.createdBefore,
+    sort: options.sort || 'id'
+  };
+
+}
+
+// Users as text for scripts: JSON, CSV or NDJSON of { uid, email, created }.
+function formatUsers(users, format) {
+
+  var rows = users.map(function(user) {
+    return {
+      uid: 'simplelogin:' + user.id,
+      email: user.email,
+      created: new Date(user.time_created).toISOString()
+    };
+  });
+
+  if (format === 'json') {
+    return JSON.stringify(rows, undefined, 2) + '\n';
+  } else if (format === 'csv') {
+    return userRecords.toCsv(rows, ['uid', 'email', 'created']);
+  } else if (format === 'ndjson') {
+    return rows.map(function(row) {
+      return JSON.stringify(row) + '\n';
+    }).join('');
+  }
+
+  throw new Error('Unknown format "' + format + '" for users');
+
+}
+
+function exportUsers(instance, filename, options) {
+
+  var toFile = filename && filename !== '-',
+    format = options.format ||
+      (toFile && /\.(csv|ndjson)$/i.test(filename) ?
+        filename.match(/\.(csv|ndjson)$/i)[1].toLowerCase() :
+        'json');
+
+  return instance.listUsers(userFilters(options))
+  .then(function(users) {
+
+    var output = formatUsers(users, format);
+
+    if (!toFile) {
+      process.stdout.write(output);
+      return;
+    }
+
+    fs.writeFileSync(filename, output);
+    console.log('Exported', users.length, 'user(s) of', instance.name, 'to', filename + '.');
+
+  });
+
+}
+
+// Where user import writes generated passwords if not told: beside the input.
+function credentialsFile(filename) {
+
+  if (!filename || filename === '-') {
+    return 'credentials.csv';
+  }
+
+  return filename.replace(/(\.[^.\/]*)?$/, '.credentials.csv');
+
+}
+
+function importUsers(instance, filename, options) {
+
+  var format = options.format || 'table',
+    output = options.output || credentialsFile(filename);
+
+  if (!filename) {
+    throw new Error('You must supply a CSV or JSON file to user import, or - for STDIN');
+  } else if (format !== 'table' && format !== 'json') {
+    throw new Error('Unknown format "' + format + '" for user import');
+  } else if (options.inputFormat && ['csv', 'json'].indexOf(options.inputFormat) === -1) {
+    throw new Error('Unknown input format "' + options.inputFormat + '" for user import');
+  }
+
+  return readInput(filename)
+  .then(function(source) {
+
+    var records = userRecords.parse(source, {
+      format: options.inputFormat,
+      file: filename === '-' ? undefined : filename
+    });
+
+    return instance.importUsers(records, {
+      concurrency: options.concurrency,
+      onConflict: options.onConflict
+    });
+
+  })
+  .then(function(results) {
+
+    var generated = results.filter(function(result) {
+      return result.generated;
+    });
+
+    if (generated.length > 0) {
+      // the file holds passwords, so only the owner may read it
+      fs.writeFileSync(output, userRecords.toCsv(generated, ['email', 'password']), {
+        mode: parseInt('600', 8)
+      });
+    }
+
+    if (format === 'json') {
+
+      console.log(JSON.stringify(results.map(function(result) {
+        return {
+          email: result.email,
+          status: result.status,
+          generated: result.generated,
+          error: result.error
+        };
+      }), undefined, 2));
+
+    } else {
+
+      var table = new Table({
+        head: ['Email', 'Result', 'Detail']
+      });
+
+      results.forEach(function(result) {
+
+        var status = result.status === 'failed' ? chalk.red(result.status) : result.status;
+
+        table.push([
+          result.email,
+          status,
+          result.error || (result.generated ? 'password in ' + output : '')
+        ]);
+
+      });
+
+      console.log(table.toString());
+
+      console.log(['created', 'reset', 'skipped', 'failed'].map(function(status) {
+        return results.filter(function(result) {
+          return result.status === status;
+        }).length + ' ' + status;
+      }).join(', ') + ' of ' + results.length + ' user(s) of ' + instance.name + '.');
+
+      if (generated.length > 0) {
+        console.log('Wrote', generated.length, 'generated password(s) to', output + '.');
+      }
+
+    }
+
+    if (results.some(function(result) {
+      return result.status === 'failed';
+    })) {
+      process.exitCode = 2;
+    }
+
+  });
+
+}
+
+function printRuleChanges(changes) {
+
+  process.stdout.write(rulesDiff.format(changes, {
+    added: chalk.green,
+    removed: chalk.red,
+    path: chalk.bold
+  }));
+
+}
+
+// Reports what a rules edit changed.
+function reportRuleEdit(instance) {
+
+  return function(changes) {
+
+    if (changes.length === 0) {
+      console.log('No changes to the security rules of', instance.name + '.');
+    } else {
+      printRuleChanges(changes);
+      console.log('Changed', changes.length, 'rule(s) of', instance.name + '.');
+    }
+
+  };
+
+}
+
+function printHistory(entries, format, what) {
+
+  if (format === 'json') {
+    console.log(JSON.stringify(entries, undefined, 2));
+    return;
+  } else if (format !== 'table') {
+    throw new Error('Unknown format "' + format + '" for history');
+  } else if (entries.length === 0) {
+    console.log('No saved versions of the', what, 'yet.');
+    return;
+  }
+
+  var table = new Table({
+    head: ['Version', 'Replaced at', 'By', 'Hash', 'Message']
+  });
+
+  entries.slice().reverse().forEach(function(entry) {
+    table.push([entry.version, entry.timestamp, entry.user, entry.hash, entry.message]);
+  });
+
+  console.log(table.toString());
+
+}
+
+function parseVersion(version) {
+
+  if (version !== undefined && !/^\d+$/.test(version)) {
+    throw new Error('A version must be a number, not "' + version + '"');
+  }
+  return version === undefined ? undefined : parseInt(version, 10);
+
+}
+
+// The rules subcommands, each called with the command options as "this" and
+// the instance and the arguments after the subcommand.
+var rulesCommands = {
+
+  get: function(instance, filename) {
+
+    return instance.getRules()
+    .then(function(rulesObj) {
+
+      var rulesJson = JSON.stringify(rulesObj, undefined, 2);
+
+      if (filename) {
+
+        fs.writeFileSync(filename, rulesJson);
+        console.log('Wrote auth config to', filename, 'successfully.');
+
+      } else {
+        console.log(rulesJson);
+      }
+
+    });
+
+  },
+
+  set: function(instance, filename) {
+
+    if (!filename) {
+      throw new Error('You must specify a filename for rules set');
+    }
+
+    return instance.setRules(rulesLoader.load(filename), {
+      validate: this.validate,
+      message: this.message || 'rules set ' + filename
+    })
+    .then(function() {
+      console.log('Sent security rules from ', filename, 'successfully.');
+    });
+
+  },
+
+  diff: function(instance, filename) {
+
+    var format = this.format || 'text';
+
+    if (!filename) {
+      throw new Error('You must specify a filename for rules diff');
+    }
+
+    return instance.diffRules(rulesLoader.load(filename))
+    .then(function(changes) {
+
+      if (format === 'json') {
+        console.log(JSON.stringify(changes, undefined, 2));
+      } else if (format !== 'text') {
+        throw new Error('Unknown format "' + format + '" for rules diff');
+      } else if (changes.length === 0) {
+        console.log('No changes to the security rules of', instance.name + '.');
+      } else {
+
+        printRuleChanges(changes);
+        console.log(changes.length, 'rule(s) would change.');
+
+      }
+
+      // like diff(1), so CI can hold back a deploy
+      if (changes.length > 0) {
+        process.exitCode = 2;
+      }
+
+    });
+
+  },
+
+  lint: function(instance, filename) {
+
+    var format = this.format || 'text',
+      rules = filename ? rulesLoader.load(filename) : undefined,
+      source = filename || 'the security rules of ' + instance.name;
+
+    return instance.validateRules(rules)
+    .then(function(result) {
+
+      var problems = result.errors.concat(result.warnings);
+
+      if (format === 'json') {
+        console.log(JSON.stringify(result, undefined, 2));
+      } else if (format !== 'text') {
+        throw new Error('Unknown format "' + format + '" for rules lint');
+      } else if (problems.length === 0) {
+        console.log('No problems found in', source + '.');
+      } else {
+
+        process.stdout.write(rulesValidator.format(problems, {
+          error: chalk.red,
+          warning: chalk.yellow
+        }));
+        console.log(
+          result.errors.length, 'error(s) and', result.warnings.length,
+          'warning(s) in', source + '.'
+        );
+
+      }
+
+      if (result.errors.length > 0) {
+        process.exitCode = 2;
+      }
+
+    });
+
+  },
+
+  simulate: function(instance, filename, operation, path, value) {
+
+    var format = this.format || 'text';
+
+    if (!filename || ['read', 'write'].indexOf(operation) === -1 || !path) {
+      throw new Error('Usage: rules simulate [filename] read|write [path] [value]');
+    }
+
+    var auth = this.auth ? parseJson(this.auth, '--auth') : null,
+      newData = operation === 'write' ? parseJson(value || 'null', 'the value') : undefined,
+      rules = rulesLoader.load(filename),
+      snapshot = this.snapshot ?
+        readInput(this.snapshot).then(function(str) {
+          return parseJson(str, this.snapshot);
+        }.bind(this)) :
+        instance.exportData('/');
+
+    return snapshot
+    .then(function(data) {
+
+      var simulator = new Simulator(rules, data),
+        result = operation === 'read' ?
+          simulator.canRead(path, auth) :
+          simulator.canWrite(path, newData, auth);
+
+      if (format === 'json') {
+        console.log(JSON.stringify(result, undefined, 2));
+      } else if (format !== 'text') {
+        throw new Error('Unknown format "' + format + '" for rules simulate');
+      } else {
+
+        result.trace.forEach(function(entry) {
+
+          var mark = entry.result ? chalk.green('pass') : chalk.red('fail');
+          console.log(
+            mark, entry.location, entry.key, '(' + entry.path + '):',
+            JSON.stringify(entry.rule) + (entry.error ? ' ' + chalk.red(entry.error) : '')
+          );
+
+        });
+
+        if (result.trace.length === 0) {
+          console.log('No', '.' + operation, 'rule applies to', result.path + '.');
+        }
+        console.log(
+          operation === 'read' ? 'Read of' : 'Write to', result.path,
+          result.allowed ? chalk.green('allowed') : chalk.red('denied')
+        );
+
+      }
+
+      if (!result.allowed) {
+        process.exitCode = 2;
+      }
+
+    });
+
+  },
+
+  patch: function(instance, path, filename) {
+
+    if (!path) {
+      throw new Error('Usage: rules patch [path] [filename=STDIN]');
+    }
+
+    var options = { validate: this.validate, message: this.message || 'rules patch ' + path },
+      fragment = filename && filename !== '-' ?
+        Q.fcall(rulesLoader.load, filename) :
+        readInput().then(function(str) {
+          return rulesLoader.parse(str, { filename: 'stdin' });
+        });
+
+    return fragment
+    .then(function(fragment) {
+      return instance.patchRules(path, fragment, options);
+    })
+    .then(reportRuleEdit(instance));
+
+  },
+
+  remove: function(instance, path) {
+
+    if (!path) {
+      throw new Error('You must specify a path for rules remove');
+    }
+
+    return instance.removeRulesAt(path, {
+      validate: this.validate,
+      message: this.message || 'rules remove ' + path
+    })
+    .then(reportRuleEdit(instance));
+
+  },
+
+  // "rules index add [path] [fields...]", fields separated by spaces or commas
+  index: function(instance, subcommand, path) {
+
+    var fields = Array.prototype.slice.call(arguments, 3).join(',').split(',')
+    .filter(Boolean);
+
+    if (subcommand !== 'add') {
+      throw subcommand ? new UnknownCommandError('rules index', subcommand) :
+        new RequiredSubcommandError('rules index');
+    } else if (!path || fields.length === 0) {
+      throw new Error('Usage: rules index add [path] [fields...]');
+    }
+
+    return instance.addIndex(path, fields, {
+      validate: this.validate,
+      message: this.message || 'rules index add ' + path + ' ' + fields.join(',')
+    })
+    .then(reportRuleEdit(instance));
+
+  },
+
+  history: function(instance) {
+
+    return instance.getRulesHistory()
+    .then(function(entries) {
+      printHistory(entries, this.format || 'table', 'security rules of ' + instance.name);
+    }.bind(this));
+
+  },
+
+  rollback: function(instance, version) {
+
+    return instance.rollbackRules(parseVersion(version), {
+      validate: this.validate,
+      message: this.message
+    })
+    .then(function(entry) {
+      console.log('Rolled the security rules of', instance.name, 'back to version',
+        entry.version, '(' + entry.hash + ').');
+    });
+
+  },
+
+  // "rules generate [path] [filename]", like data get
+  generate: function(instance, path, filename) {
+
+    if (!this.schema) {
+      throw new Error('You must specify a JSON Schema with --schema for rules generate');
+    }
+
+    return instance.rulesFromSchema(rulesLoader.load(this.schema), { path: path })
+    .then(function(merged) {
+
+      var rulesJson = JSON.stringify(merged, undefined, 2);
+
+      if (filename) {
+
+        fs.writeFileSync(filename, rulesJson);
+        console.log('Wrote generated security rules to', filename, 'successfully.');
+
+      } else {
+        console.log(rulesJson);
+      }
+
+    });
+
+  }
+
+};
+
 module.exports = {
 
-  'rules': function(instance, command, filename) {
+  'rules': function(instance, command) {
+
+    if (!command) {
+      throw new RequiredSubcommandError('rules');
+    } else if (!rulesCommands.hasOwnProperty(command)) {
+      throw new UnknownCommandError('rules', command);
+    }
+
+    return rulesCommands[command].apply(this,
+      [instance].concat(Array.prototype.slice.call(arguments, 2)));
+
+  },
+
+  'data': function(instance, command, path, filename) {
 
     if (command === 'get') {
 
-      return instance.getRules()
-      .then(function(rulesObj) {
+      return instance.exportData(path)
+      .then(function(data) {
 
-        var rulesJson = JSON.stringify(rulesObj, undefined, 2);
+        var dataJson = JSON.stringify(data, undefined, 2);
 
-        if (filename) {
+        if (filename && filename !== '-') {
 
-          fs.writeFileSync(filename, rulesJson);
-          console.log('Wrote auth config to', filename, 'successfully.');
+          fs.writeFileSync(filename, dataJson);
+          console.log('Wrote data at', path || '/', 'to', filename, 'successfully.');
 
         } else {
-          console.log(rulesJson);
+          console.log(dataJson);
         }
 
       });
 
-    } else if (command === 'set') {
+    } else if (command === 'export') {
 
-      if (filename) {
+      if (!this.stream) {
+        return module.exports.data.call(this, instance, 'get', path, filename);
+      }
 
-        return instance.setRules(JSON.parse(fs.readFileSync(filename)))
-        .then(function() {
-          console.log('Sent security rules from ', filename, 'successfully.');
+      return exportStream(instance, path, filename, this);
+
+    } else if (command === 'set' || command === 'update') {
+
+      if (!path) {
+        throw new Error('You must specify a path for data ' + command);
+      }
+
+      return readInput(filename)
+      .then(function(str) {
+
+        return instance.importData(path, parseJson(str, filename || 'stdin'), {
+          mode: command
         });
 
-      } else {
-        throw new Error('You must specify a filename for rules set');
+      })
+      .then(function() {
+        console.log('Wrote data to', path, 'successfully.');
+      });
+
+    } else if (command === 'remove') {
+
+      if (!path) {
+        throw new Error('You must specify a path for data remove');
       }
 
+      return instance.removeData(path)
+      .then(function() {
+        console.log('Removed data at', path, 'successfully.');
+      });
+
     } else if (!command) {
-      throw new RequiredSubcommandError('rules');
+      throw new RequiredSubcommandError('data');
     } else {
-      throw new UnknownCommandError('rules', command);
+      throw new UnknownCommandError('data', command);
+    }
+
+  },
+
+  'backup': function(instance, directory) {
+
+    var options = this;
+    directory = directory || '.';
+
+    console.log('Backing up', instance.name, 'into', directory + '...');
+    return backup.create(instance, directory, {
+      gzip: options.gzip,
+      pageSize: options.pageSize
+    })
+    .then(function(manifest) {
+
+      console.log(
+        'Backed up', manifest.entries, 'data entries and', manifest.users,
+        'users to', manifest.path
+      );
+
+      if (options.keep !== undefined || options.maxAge !== undefined) {
+
+        backup.prune(directory, {
+          instance: instance.name,
+          keep: options.keep,
+          maxAgeDays: options.maxAge
+        })
+        .forEach(function(removed) {
+          console.log('Deleted old backup', removed.path);
+        });
+
+      }
+
+    });
+
+  },
+
+  'restore': function(instance, archive) {
+
+    var dryRun = this.dryRun;
+
+    if (!archive) {
+      throw new Error('You must specify a backup directory for restore');
+    }
+
+    return backup.restore(instance, archive, { dryRun: dryRun })
+    .then(function(summary) {
+
+      var verb = dryRun ? 'Would restore' : 'Restored';
+
+      console.log(
+        verb, 'the backup of', summary.source, 'taken at', summary.createdAt,
+        'into', summary.target + ':'
+      );
+      console.log('  data entries:', summary.entries, '(replacing all current data)');
+      console.log('  security rules:', summary.rules ? 'yes' : 'no');
+      console.log('  auth config:', summary.authConfig ? 'yes' : 'no');
+      console.log(
+        '  users:', summary.users, 'in backup,',
+        summary.createdUsers.length, dryRun ? 'to create' : 'created'
+      );
+
+      if (!dryRun && summary.createdUsers.length > 0) {
+
+        var table = new Table({ head: ['Email address', 'New password'] });
+        summary.createdUsers.forEach(function(user) {
+          table.push([user.email, user.password]);
+        });
+
+        console.log('');
+        console.log('Passwords can\'t be backed up, so new users got new passwords:');
+        console.log(table.toString());
+
+      }
+
+    });
+
+  },
+
+  'audit': function(instance) {
+
+    var format = this.format || 'text';
+
+    if (format !== 'text' && format !== 'json') {
+      throw new Error('Unknown format "' + format + '" for audit');
     }
 
+    return instance.audit({
+      maxSessionLengthSeconds: this.maxSession,
+      maxSecrets: this.maxSecrets
+    })
+    .then(function(report) {
+
+      var findings = report.findings;
+
+      if (format === 'json') {
+        console.log(JSON.stringify(report, undefined, 2));
+      } else if (findings.length === 0) {
+        console.log('No findings for', instance.name + '.');
+      } else {
+
+        process.stdout.write(audit.format(findings, {
+          high: chalk.red,
+          medium: chalk.yellow,
+          low: chalk.cyan
+        }));
+        console.log(audit.SEVERITIES.map(function(severity) {
+          return findings.filter(function(finding) {
+            return finding.severity === severity;
+          }).length + ' ' + severity;
+        }).join(', ') + ' finding(s) for ' + instance.name + '.');
+
+      }
+
+      if (findings.some(function(finding) {
+        return finding.severity === 'high';
+      })) {
+        process.exitCode = 2;
+      }
+
+    });
+
   },
 
   'auth-config': function(instance, command, filename) {
@@ -88,7 +863,9 @@ module.exports = {
 
       if (filename) {
 
-        return instance.setAuthConfig(JSON.parse(fs.readFileSync(filename)))
+        return instance.setAuthConfig(JSON.parse(fs.readFileSync(filename)), {
+          message: this.message || 'auth-config set ' + filename
+        })
         .then(function() {
           console.log('Sent auth config from', filename, 'successfully.');
         });
@@ -97,6 +874,21 @@ module.exports = {
         throw new Error('You must specify a filename for auth-config set');
       }
 
+    } else if (command === 'history') {
+
+      return instance.getAuthConfigHistory()
+      .then(function(entries) {
+        printHistory(entries, this.format || 'table', 'auth config of ' + instance.name);
+      }.bind(this));
+
+    } else if (command === 'rollback') {
+
+      return instance.rollbackAuthConfig(parseVersion(filename), { message: this.message })
+      .then(function(entry) {
+        console.log('Rolled the auth config of', instance.name, 'back to version',
+          entry.version, '(' + entry.hash + ').');
+      });
+
     } else if (!command) {
       throw new RequiredSubcommandError('auth-config');
     } else {
@@ -109,6 +901,119 @@ module.exports = {
 
     if (command === 'list') {
 
+      var format = this.format || 'table',
+        reveal = this.reveal;
+
+      if (format !== 'table' && format !== 'json') {
+        throw new Error('Unknown format "' + format + '" for token list');
+      }
+
+      return instance.listAuthTokens({ refresh: true })
+      .then(function(secrets) {
+
+        secrets.forEach(function(entry) {
+          if (!reveal) {
+            entry.secret = maskSecret(entry.secret);
+          }
+        });
+
+        if (format === 'json') {
+          console.log(JSON.stringify(secrets, undefined, 2));
+          return;
+        }
+
+        var table = new Table({
+          head: ['Secret', 'Fingerprint', 'Added', 'Added by']
+        });
+
+        secrets.forEach(function(entry) {
+          table.push([
+            entry.secret,
+            entry.fingerprint,
+            entry.addedAt || 'unknown',
+            entry.addedBy || ''
+          ]);
+        });
+
+        console.log(table.toString());
+        console.log(secrets.length + ' secret(s).' + (reveal ? '' :
+          ' Use --reveal to show them in full.'));
+
+      });
+
+    } else if (command === 'mint') {
+
+      var uid = token;
+
+      if (!uid && !this.admin) {
+        throw new Error('Usage: token mint [uid], or token mint --admin');
+      }
+
+      var claims = this.claims ? parseJson(this.claims, '--claims') : {};
+
+      return instance.createCustomToken(uid, claims, {
+        expires: this.expires ? Math.floor(Date.now() / 1000) + this.expires : undefined,
+        admin: this.admin,
+        debug: this.debug
+      })
+      .then(function(customToken) {
+        console.log('FIREBASE_AUTH_TOKEN=' + escape(customToken));
+      });
+
+    } else if (command === 'rotate') {
+
+      var hook = this.hook,
+        graceMs = (this.grace || 0) * 1000;
+
+      // progress goes to stderr, so stdout is only the new secret
+      var steps = {
+        added: 'Added a new secret.',
+        verified: 'Checked it with an authenticated read.',
+        'rolled-back': 'The check failed, so the new secret was removed again. ' +
+          'The old secret still works.',
+        distributed: 'Distributed the new secret.',
+        waiting: 'Waiting ' + graceMs / 1000 + ' seconds before removing the old secret...',
+        removed: 'Removed the old secret.'
+      };
+
+      return instance.rotateAuthToken({
+        oldToken: token,
+        graceMs: graceMs,
+        verify: this.verify !== false,
+        distribute: hook && function(newToken, oldToken) {
+
+          var env = {};
+          Object.keys(process.env).forEach(function(key) {
+            env[key] = process.env[key];
+          });
+          env.FIREBASE_AUTH_SECRET = newToken;
+          env.FIREBASE_OLD_AUTH_SECRET = oldToken;
+
+          console.error('Running', hook + '...');
+          return Q.nfcall(childProcess.exec, hook, { env: env })
+          .spread(function(stdout, stderr) {
+            process.stderr.write(stdout + stderr);
+          }, function(err) {
+            throw new Error('The hook failed, so both secrets were kept: ' + err.message.trim());
+          });
+
+        },
+        onProgress: function(step) {
+          console.error(steps[step]);
+        }
+      })
+      .then(function(result) {
+        console.log('FIREBASE_AUTH_SECRET=' + escape(result.newToken));
+      }, function(err) {
+
+        if (err.rollbackError) {
+          console.error('The check failed, and the new secret could not be removed again: ' +
+            err.rollbackError.message);
+        }
+        throw err;
+
+      });
+
     } else if (command === 'add') {
 
       return instance.addAuthToken()
@@ -135,9 +1040,16 @@ module.exports = {
 
     if (command === 'list') {
 
-      return instance.listUsers()
+      return instance.listUsers(userFilters(this))
       .then(function(users) {
 
+        var format = this.format || 'table';
+
+        if (format !== 'table') {
+          process.stdout.write(formatUsers(users, format));
+          return;
+        }
+
         var totalCols = process.stdout.isTTY ? process.stdout.columns : 80;
         totalCols -= 6;
 
@@ -150,11 +1062,7 @@ module.exports = {
           ]
         });
 
-        users
-        .sort(function(a, b) {
-          return a.id - b.id;
-        })
-        .forEach(function(user) {
+        users.forEach(function(user) {
 
           table.push([
             'simplelogin:' + user.id,
@@ -167,8 +1075,10 @@ module.exports = {
         console.log('');
         console.log(table.toString());
 
-      });
+      }.bind(this));
 
+    } else if (command === 'export') {
+      return exportUsers(instance, email, this);
     } else if (command === 'add') {
 
       if (!email) {
@@ -176,7 +1086,7 @@ module.exports = {
       } else {
 
         var hadPassword = (password !== undefined);
-        password = password || Math.random().toString(36).slice(2, 8);
+        password = password || userRecords.generatePassword();
 
         return instance.createUser(email, password)
         .then(function(user) {
@@ -193,6 +1103,8 @@ module.exports = {
 
       }
 
+    } else if (command === 'import') {
+      return importUsers(instance, email, this);
     } else if (command === 'remove') {
       return instance.removeUser(email);
     } else if (command === 'reset') {
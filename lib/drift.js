@@ -0,0 +1,250 @@
+'use strict';
+
+var rulesDiff = require('./rules-diff'),
+  History = require('./history');
+
+
+// Auth config keys that aren't providers.
+var SETTINGS = ['domains', 'sessionLengthSeconds'];
+
+
+function check(name, problems) {
+  return { name: name, drifted: problems.length > 0, problems: problems };
+}
+
+function providersOf(config) {
+
+  return Object.keys(config || {}).filter(function(key) {
+    return SETTINGS.indexOf(key) === -1;
+  });
+
+}
+
+function union(a, b) {
+
+  return a.concat(b.filter(function(item) {
+    return a.indexOf(item) === -1;
+  }));
+
+}
+
+function checkRules(expected, live) {
+
+  return check('rules', rulesDiff.diff(live || {}, expected).map(function(change) {
+
+    var where = change.path + ' ' + change.key;
+
+    if (change.type === 'added') {
+      return where + ' is missing';
+    } else if (change.type === 'removed') {
+      return where + ' is unexpected: ' + JSON.stringify(change.before);
+    }
+    return where + ' is ' + JSON.stringify(change.before) + ', expected ' +
+      JSON.stringify(change.after);
+
+  }));
+
+}
+
+// Compares providers setting by setting. Only "enabled" is shown, since the
+// rest are keys and secrets that have no place in a CI log.
+function checkProviders(expected, live) {
+
+  var problems = [];
+
+  union(providersOf(expected), providersOf(live)).sort().forEach(function(provider) {
+
+    var want = expected[provider],
+      have = (live || {})[provider];
+
+    if (want === undefined) {
+      problems.push(provider + ' is unexpected');
+      return;
+    } else if (have === undefined) {
+      problems.push(provider + ' is missing');
+      return;
+    }
+
+    union(Object.keys(want || {}), Object.keys(have || {})).sort().forEach(function(key) {
+
+      var wantValue = (want || {})[key],
+        haveValue = (have || {})[key];
+
+      if (History.hash(wantValue === undefined ? null : wantValue) ===
+        History.hash(haveValue === undefined ? null : haveValue)) {
+        return;
+      }
+
+      problems.push(key === 'enabled' ?
+        provider + ' is ' + (haveValue ? 'enabled' : 'disabled') + ', expected ' +
+          (wantValue ? 'enabled' : 'disabled') :
+        provider + '.' + key + ' differs');
+
+    });
+
+  });
+
+  return check('authConfig.providers', problems);
+
+}
+
+function checkDomains(expected, live) {
+
+  var want = expected || [],
+    have = live || [];
+
+  return check('authConfig.domains', want.filter(function(domain) {
+    return have.indexOf(domain) === -1;
+  }).map(function(domain) {
+    return domain + ' is missing';
+  }).concat(have.filter(function(domain) {
+    return want.indexOf(domain) === -1;
+  }).map(function(domain) {
+    return domain + ' is unexpected';
+  })));
+
+}
+
+
+/**
+ * Compares live settings with expected ones. Only what's expected is
+ * checked: leave out rules, authConfig or secrets to skip them.
+ * @param {Object} expected The expected settings.
+ * @param {Object} [expected.rules] The rules, with or without a top-level
+ * "rules" key.
+ * @param {Object} [expected.authConfig] The auth config, of which the
+ * providers and domains are compared.
+ * @param {Number} [expected.secrets] How many secrets there should be.
+ * @param {Object} live The live settings, in the same shape, where secrets
+ * is the Array of secrets.
+ * @returns {Object} { drifted, checks }, where each check has a name (rules,
+ * authConfig.providers, authConfig.domains or secrets), whether it drifted,
+ * and an Array of problems, as sentences.
+ */
+function compare(expected, live) {
+
+  var checks = [];
+
+  if (expected.rules !== undefined) {
+    checks.push(checkRules(expected.rules, live.rules));
+  }
+
+  if (expected.authConfig !== undefined) {
+    checks.push(checkProviders(expected.authConfig || {}, live.authConfig));
+    checks.push(checkDomains((expected.authConfig || {}).domains,
+      (live.authConfig || {}).domains));
+  }
+
+  if (expected.secrets !== undefined) {
+    checks.push(check('secrets', live.secrets.length === expected.secrets ? [] : [
+      'there are ' + live.secrets.length + ' secrets, expected ' + expected.secrets
+    ]));
+  }
+
+  return {
+    drifted: checks.some(function(result) {
+      return result.drifted;
+    }),
+    checks: checks
+  };
+
+}
+
+
+/**
+ * Describes drift reports for people.
+ * @param {Array} reports Reports from {@link FirebaseInstance#checkDrift},
+ * each with the instance name.
+ * @param {Object} [colors] Functions to color passing and drifted checks,
+ * e.g. chalk's.
+ * @returns {String}
+ */
+function format(reports, colors) {
+
+  colors = colors || {};
+
+  var ok = colors.ok || String,
+    drifted = colors.drifted || String;
+
+  return reports.map(function(report) {
+
+    return report.instance + ': ' + (report.drifted ? drifted('drifted') : ok('ok')) + '\n' +
+      report.checks.map(function(result) {
+
+        return '  ' + (result.drifted ? drifted('fail') : ok('pass')) + ' ' + result.name + '\n' +
+          result.problems.map(function(problem) {
+            return '      ' + problem + '\n';
+          }).join('');
+
+      }).join('');
+
+  }).join('');
+
+}
+
+
+function escapeXml(str) {
+
+  return String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+}
+
+/**
+ * Turns drift reports into JUnit XML, one test suite per instance and one
+ * test case per check, so CI servers can show drift like failing tests.
+ * @param {Array} reports Reports from {@link FirebaseInstance#checkDrift},
+ * each with the instance name.
+ * @returns {String}
+ */
+function toJUnit(reports) {
+
+  function count(checks) {
+    return checks.filter(function(result) {
+      return result.drifted;
+    }).length;
+  }
+
+  var all = [];
+  reports.forEach(function(report) {
+    all = all.concat(report.checks);
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<testsuites name="firebase-admin drift" tests="' + all.length + '" failures="' +
+    count(all) + '">\n' +
+    reports.map(function(report) {
+
+      return '  <testsuite name="' + escapeXml(report.instance) + '" tests="' +
+        report.checks.length + '" failures="' + count(report.checks) + '">\n' +
+        report.checks.map(function(result) {
+
+          var testcase = '    <testcase classname="' + escapeXml(report.instance) +
+            '" name="' + escapeXml(result.name) + '"';
+
+          if (!result.drifted) {
+            return testcase + '/>\n';
+          }
+
+          return testcase + '>\n' +
+            '      <failure message="' + escapeXml(result.problems[0]) + '">' +
+            escapeXml(result.problems.join('\n')) + '</failure>\n' +
+            '    </testcase>\n';
+
+        }).join('') +
+        '  </testsuite>\n';
+
+    }).join('') +
+    '</testsuites>\n';
+
+}
+
+
+module.exports = {
+  compare: compare,
+  format: format,
+  toJUnit: toJUnit
+};
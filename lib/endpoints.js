@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Holds the base URLs of the services firebase-admin talks to.
+ * Any endpoint left out falls back to the public Firebase service.
+ * The database endpoint is a template: "{name}" is replaced with the name
+ * of the instance.
+ * @constructor
+ * @param {Object} [endpoints] Base URLs to override.
+ * @param {String} [endpoints.admin] The admin API, e.g. https://admin.firebase.com
+ * @param {String} [endpoints.auth] The Simple Login API, e.g. https://auth.firebase.com
+ * @param {String} [endpoints.database] The database URL template,
+ * e.g. https://{name}.firebaseio.com
+ */
+function Endpoints(endpoints) {
+
+  endpoints = endpoints || {};
+
+  Object.keys(Endpoints.defaults).forEach(function(key) {
+    this[key] = stripTrailingSlash(endpoints[key] || Endpoints.defaults[key]);
+  }, this);
+
+}
+
+Endpoints.defaults = {
+  admin: 'https://admin.firebase.com',
+  auth: 'https://auth.firebase.com',
+  database: 'https://{name}.firebaseio.com'
+};
+
+function stripTrailingSlash(str) {
+  return str.replace(/\/+$/, '');
+}
+
+function join(base, path) {
+  return base + (path ? '/' + path.replace(/^\/+/, '') : '');
+}
+
+/**
+ * Builds a URL on the admin API.
+ * @param {String} [path] The path under the admin API.
+ * @returns {String} The full URL.
+ */
+Endpoints.prototype.adminUrl = function(path) {
+  return join(this.admin, path);
+};
+
+/**
+ * Builds a URL on the Simple Login API.
+ * @param {String} [path] The path under the Simple Login API.
+ * @returns {String} The full URL.
+ */
+Endpoints.prototype.authUrl = function(path) {
+  return join(this.auth, path);
+};
+
+/**
+ * Builds a URL on an instance's database.
+ * @param {String} name The name of the instance.
+ * @param {String} [path] The path under the database root.
+ * @returns {String} The full URL.
+ */
+Endpoints.prototype.databaseUrl = function(name, path) {
+  return join(this.database.replace(/\{name\}/g, name), path);
+};
+
+/**
+ * Returns the plain endpoint settings, suitable for passing to another
+ * Endpoints constructor.
+ * @returns {Object}
+ */
+Endpoints.prototype.toJSON = function() {
+
+  return Object.keys(Endpoints.defaults).reduce(function(obj, key) {
+    obj[key] = this[key];
+    return obj;
+  }.bind(this), {});
+
+};
+
+module.exports = Endpoints;
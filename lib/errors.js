@@ -0,0 +1,274 @@
+'use strict';
+
+var util = require('util');
+
+/**
+ * The base class of every error firebase-admin raises.
+ * @constructor
+ * @param {String} message A description of the error.
+ * @param {Object} [details] What's known about the failed request.
+ * @param {Number} [details.status] The HTTP status of the response.
+ * @param {String} [details.endpoint] The URL the request went to.
+ * @param {String} [details.instance] The name of the Firebase instance involved.
+ * @param {*} [details.body] The raw response body.
+ * @param {String} [details.code] The error code reported by Firebase or Node.
+ */
+function FirebaseAdminError(message, details) {
+
+  details = details || {};
+
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+
+  this.message = message;
+  this.status = details.status;
+  this.endpoint = details.endpoint;
+  this.instance = details.instance;
+  this.body = details.body;
+
+  if (details.code) {
+    this.code = details.code;
+  }
+
+}
+util.inherits(FirebaseAdminError, Error);
+
+FirebaseAdminError.prototype.name = 'FirebaseAdminError';
+
+/**
+ * The process exit code the command-line tool uses for this kind of error.
+ */
+FirebaseAdminError.prototype.exitCode = 1;
+
+
+function define(name, exitCode) {
+
+  var ErrorClass = function(message, details) {
+    FirebaseAdminError.call(this, message, details);
+  };
+  util.inherits(ErrorClass, FirebaseAdminError);
+
+  ErrorClass.prototype.name = name;
+  ErrorClass.prototype.exitCode = exitCode;
+
+  return ErrorClass;
+
+}
+
+/**
+ * The admin token, personal token or user credentials were rejected.
+ * @constructor
+ * @augments FirebaseAdminError
+ */
+var AuthenticationError = define('AuthenticationError', 3);
+
+/**
+ * The instance, user, secret or path doesn't exist.
+ * @constructor
+ * @augments FirebaseAdminError
+ */
+var NotFoundError = define('NotFoundError', 4);
+
+/**
+ * Firebase is throttling requests.
+ * @constructor
+ * @augments FirebaseAdminError
+ */
+var RateLimitError = define('RateLimitError', 5);
+
+/**
+ * Firebase refused the data sent to it, e.g. malformed rules or a taken name.
+ * @constructor
+ * @augments FirebaseAdminError
+ */
+var ValidationError = define('ValidationError', 6);
+
+/**
+ * The instance has already been deleted through this library.
+ * @constructor
+ * @augments FirebaseAdminError
+ */
+var DeletedInstanceError = define('DeletedInstanceError', 7);
+
+/**
+ * Firebase failed with a 5xx status.
+ * @constructor
+ * @augments FirebaseAdminError
+ */
+var ServerError = define('ServerError', 8);
+
+/**
+ * The request never got a response, e.g. the connection was refused or
+ * timed out. The Node error code is kept in `code`.
+ * @constructor
+ * @augments FirebaseAdminError
+ */
+var NetworkError = define('NetworkError', 9);
+
+/**
+ * Something changed what a read-modify-write was about to replace, e.g. the
+ * security rules were set by someone else in the meantime.
+ * @constructor
+ * @augments FirebaseAdminError
+ */
+var ConflictError = define('ConflictError', 11);
+
+/**
+ * A local file, such as a rules file, couldn't be parsed. The message starts
+ * with file:line:column where those are known; the reason is the message
+ * without them.
+ * @constructor
+ * @augments FirebaseAdminError
+ * @param {String} message A description of the error.
+ * @param {Object} [details] Where the error is.
+ * @param {String} [details.file] The file being parsed.
+ * @param {Number} [details.line] The line of the error, counting from 1.
+ * @param {Number} [details.column] The column of the error, counting from 1.
+ */
+function ParseError(message, details) {
+
+  details = details || {};
+
+  var location = [details.file, details.line, details.column]
+  .filter(function(part) {
+    return part !== undefined && part !== null;
+  })
+  .join(':');
+
+  FirebaseAdminError.call(this, (location ? location + ': ' : '') + message, details);
+
+  this.reason = message;
+  this.file = details.file;
+  this.line = details.line;
+  this.column = details.column;
+
+}
+util.inherits(ParseError, FirebaseAdminError);
+
+ParseError.prototype.name = 'ParseError';
+ParseError.prototype.exitCode = 10;
+
+
+// Simple Login reports failures as { error: { code, message } }.
+var AUTH_CODES = {
+  INVALID_TOKEN: AuthenticationError,
+  INVALID_CREDENTIALS: AuthenticationError,
+  INVALID_PASSWORD: AuthenticationError,
+  AUTHENTICATION_DISABLED: AuthenticationError,
+  INVALID_USER: NotFoundError,
+  INVALID_FIREBASE: NotFoundError,
+  INVALID_EMAIL: ValidationError,
+  EMAIL_TAKEN: ValidationError,
+  INVALID_ARGUMENTS: ValidationError
+};
+
+
+/**
+ * Picks the error class for an HTTP status.
+ * @param {Number} status
+ * @returns {Function} The error constructor.
+ */
+function classForStatus(status) {
+
+  if (status === 401 || status === 403) {
+    return AuthenticationError;
+  } else if (status === 404) {
+    return NotFoundError;
+  } else if (status === 429) {
+    return RateLimitError;
+  } else if (status === 400 || status === 422) {
+    return ValidationError;
+  } else if (status === 409 || status === 412) {
+    return ConflictError;
+  } else if (status >= 500) {
+    return ServerError;
+  } else {
+    return FirebaseAdminError;
+  }
+
+}
+
+
+/**
+ * Turns a failed response into the matching error, or returns null if the
+ * response is a success.
+ * @param {Object} response The HTTP response.
+ * @param {*} body The parsed response body.
+ * @param {Object} context Extra details to attach, like endpoint and instance.
+ * @returns {FirebaseAdminError|null}
+ */
+function fromResponse(response, body, context) {
+
+  var details = {
+    status: response.statusCode,
+    endpoint: context.endpoint,
+    instance: context.instance,
+    body: body
+  };
+
+  var bodyError = body && body.error,
+    message, ErrorClass;
+
+  if (bodyError && typeof bodyError === 'object') {
+    details.code = bodyError.code;
+    message = bodyError.message || bodyError.code;
+  } else if (bodyError) {
+    message = bodyError;
+  }
+
+  if (response.statusCode > 299) {
+
+    ErrorClass = AUTH_CODES[details.code] || classForStatus(response.statusCode);
+    message = message || 'Firebase responded with status ' + response.statusCode;
+
+  } else if (bodyError) {
+    // the request went through but Firebase refused what it was asked to do
+    ErrorClass = AUTH_CODES[details.code] || ValidationError;
+  } else if (body && body.success === false) {
+    ErrorClass = AuthenticationError;
+    message = 'Bad credentials or server error.';
+  } else if (body && typeof body.status === 'string' && body.status !== 'ok') {
+    ErrorClass = ValidationError;
+    message = body.status;
+  } else {
+    return null;
+  }
+
+  return new ErrorClass(message, details);
+
+}
+
+
+/**
+ * Wraps a Node network error.
+ * @param {Error} err The original error.
+ * @param {Object} context Extra details to attach, like endpoint and instance.
+ * @returns {NetworkError}
+ */
+function fromNetworkError(err, context) {
+
+  var error = new NetworkError(err.message, {
+    endpoint: context.endpoint,
+    instance: context.instance,
+    code: err.code
+  });
+  error.cause = err;
+  return error;
+
+}
+
+
+module.exports = {
+  FirebaseAdminError: FirebaseAdminError,
+  AuthenticationError: AuthenticationError,
+  NotFoundError: NotFoundError,
+  RateLimitError: RateLimitError,
+  ValidationError: ValidationError,
+  DeletedInstanceError: DeletedInstanceError,
+  ServerError: ServerError,
+  NetworkError: NetworkError,
+  ConflictError: ConflictError,
+  ParseError: ParseError,
+  fromResponse: fromResponse,
+  fromNetworkError: fromNetworkError
+};
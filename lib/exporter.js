@@ -0,0 +1,420 @@
+'use strict';
+
+var fs = require('fs'),
+  Q = require('q'),
+  paths = require('./paths');
+
+
+/**
+ * Exports an instance's data in pieces, so trees too big for a single GET
+ * can still be backed up. The tree is walked with shallow queries; nodes
+ * with many children, or deeper than maxDepth, are fetched a page of
+ * children at a time by key range.
+ *
+ * Output is either newline-delimited JSON, one {"path", "value"} object per
+ * line, or a single merged JSON document. Only NDJSON exports can be resumed.
+ * @constructor
+ * @param {FirebaseInstance} instance The instance to export.
+ * @param {Object} [options] Export options.
+ * @param {String} [options.format=ndjson] 'ndjson' or 'json'.
+ * @param {Number} [options.pageSize=100] How many children to fetch per request.
+ * @param {Number} [options.maxDepth=2] How deep to walk with shallow queries
+ * before paging.
+ * @param {String} [options.resumeAfter] The path of the last line written by
+ * an interrupted NDJSON export; everything up to and including it is skipped.
+ * @param {Function} [options.onProgress] Called with the export stats after
+ * every entry written.
+ */
+function Exporter(instance, options) {
+
+  options = options || {};
+
+  this.instance = instance;
+  this.format = options.format || 'ndjson';
+  this.pageSize = options.pageSize || 100;
+  this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : 2;
+  this.resumeAfter = options.resumeAfter !== undefined ?
+    paths.split(options.resumeAfter) :
+    null;
+  this.onProgress = options.onProgress;
+
+  if (['ndjson', 'json'].indexOf(this.format) === -1) {
+    throw new Error('Unknown export format "' + this.format + '"');
+  } else if (this.resumeAfter && this.format !== 'ndjson') {
+    throw new Error('Only NDJSON exports can be resumed');
+  }
+
+  this.stats = {
+    requests: 0,
+    entries: 0,
+    lastPath: null
+  };
+
+}
+
+
+/**
+ * Promises to export everything under path to a writable stream.
+ * The stream is not ended afterwards.
+ * @param {String} path The path to export. Use '/' for the whole database.
+ * @param {stream.Writable} output Where to write the export.
+ * @returns {external:Promise} A promise that resolves with the export stats
+ * ({ requests, entries, lastPath }) and rejects with an Error if there's an error.
+ */
+Exporter.prototype.run = function(path, output) {
+
+  this._output = output;
+  this._base = paths.split(path);
+
+  // merged JSON state: counts[i] is the number of keys written at depth i
+  this._open = [];
+  this._counts = [];
+  this._wroteRoot = false;
+
+  return this._walk([], 0)
+  .then(function() {
+    return this.format === 'json' ? this._finishJson() : null;
+  }.bind(this))
+  .then(function() {
+    return this.stats;
+  }.bind(this));
+
+};
+
+
+// -1: already exported, 0: partly exported, 1: not exported yet.
+Exporter.prototype._position = function(segments) {
+
+  var resume = this.resumeAfter;
+
+  if (!resume) {
+    return 1;
+  }
+
+  for (var i = 0; i < Math.min(segments.length, resume.length); i++) {
+
+    var comparison = paths.compareKeys(segments[i], resume[i]);
+    if (comparison !== 0) {
+      return comparison < 0 ? -1 : 1;
+    }
+
+  }
+
+  return segments.length < resume.length ? 0 : -1;
+
+};
+
+
+Exporter.prototype._get = function(segments, qs) {
+
+  this.stats.requests++;
+
+  return this.instance._dataRequest('GET', paths.join(this._base.concat(segments)), {
+    qs: qs
+  });
+
+};
+
+
+Exporter.prototype._walk = function(segments, depth) {
+
+  return this._get(segments, { shallow: 'true' })
+  .then(function(shallow) {
+
+    if (shallow === null || typeof shallow !== 'object') {
+      return this._emit(segments, shallow);
+    }
+
+    var keys = Object.keys(shallow).sort(paths.compareKeys),
+      page = keys.length > this.pageSize || depth >= this.maxDepth;
+
+    // decide before skipping anything, so a resumed export walks the same way
+    keys = keys.filter(function(key) {
+      return this._position(segments.concat(key)) >= 0;
+    }, this);
+
+    if (page) {
+      return this._page(segments, keys, depth);
+    }
+
+    return keys.reduce(function(promise, key) {
+
+      return promise.then(function() {
+        return this._walk(segments.concat(key), depth + 1);
+      }.bind(this));
+
+    }.bind(this), Q());
+
+  }.bind(this));
+
+};
+
+
+Exporter.prototype._page = function(segments, keys, depth) {
+
+  var pages = [], page = [];
+
+  keys.forEach(function(key) {
+
+    // a child the interrupted export was halfway through gets walked
+    if (this._position(segments.concat(key)) === 0) {
+
+      if (page.length > 0) {
+        pages.push(page);
+      }
+      pages.push(key);
+      page = [];
+
+    } else {
+
+      page.push(key);
+      if (page.length === this.pageSize) {
+        pages.push(page);
+        page = [];
+      }
+
+    }
+
+  }, this);
+
+  if (page.length > 0) {
+    pages.push(page);
+  }
+
+  return pages.reduce(function(promise, page) {
+
+    return promise.then(function() {
+
+      if (!Array.isArray(page)) {
+        return this._walk(segments.concat(page), depth + 1);
+      }
+
+      return this._get(segments, {
+        orderBy: '"$key"',
+        startAt: JSON.stringify(page[0]),
+        endAt: JSON.stringify(page[page.length - 1])
+      })
+      .then(function(values) {
+
+        values = values || {};
+
+        return page.reduce(function(promise, key) {
+
+          return promise.then(function() {
+            if (values[key] !== undefined && values[key] !== null) {
+              return this._emit(segments.concat(key), values[key]);
+            }
+          }.bind(this));
+
+        }.bind(this), Q());
+
+      }.bind(this));
+
+    }.bind(this));
+
+  }.bind(this), Q());
+
+};
+
+
+Exporter.prototype._write = function(str) {
+
+  var deferred = Q.defer(),
+    output = this._output,
+    state = output._writableState;
+
+  if (output.destroyed || (state && (state.errorEmitted || state.ended))) {
+    return Q.reject(new Error('The output closed before the export finished'));
+  }
+
+  // a stream that fails or is closed never drains. Listen before writing:
+  // some versions of Node emit a failed write's error within write().
+  function onDrain() {
+    stopListening();
+    deferred.resolve();
+  }
+  function onError(err) {
+    stopListening();
+    deferred.reject(err);
+  }
+  function onClose() {
+    onError(new Error('The output closed before the export finished'));
+  }
+  function stopListening() {
+    output.removeListener('drain', onDrain);
+    output.removeListener('error', onError);
+    output.removeListener('close', onClose);
+  }
+
+  output.on('drain', onDrain);
+  output.on('error', onError);
+  output.on('close', onClose);
+
+  if (output.write(str)) {
+    onDrain();
+  }
+  return deferred.promise;
+
+};
+
+
+Exporter.prototype._emit = function(segments, value) {
+
+  var written;
+
+  if (this.format === 'ndjson') {
+
+    written = this._write(JSON.stringify({
+      path: paths.join(segments),
+      value: value
+    }) + '\n');
+
+  } else {
+    written = this._write(this._jsonFragment(segments, value));
+  }
+
+  return written.then(function() {
+
+    this.stats.entries++;
+    this.stats.lastPath = paths.join(segments);
+
+    if (this.onProgress) {
+      this.onProgress(this.stats);
+    }
+
+  }.bind(this));
+
+};
+
+
+// Entries arrive depth-first in key order, so the merged document can be
+// written as we go: close the objects we've left, open the ones we've entered.
+Exporter.prototype._jsonFragment = function(segments, value) {
+
+  if (segments.length === 0) {
+    this._wroteRoot = true;
+    return JSON.stringify(value);
+  }
+
+  var parents = segments.slice(0, -1),
+    out = '',
+    common = 0;
+
+  if (this._counts.length === 0) {
+    out += '{';
+    this._counts.push(0);
+  }
+
+  while (common < this._open.length && common < parents.length &&
+    this._open[common] === parents[common]) {
+    common++;
+  }
+
+  while (this._open.length > common) {
+    this._open.pop();
+    this._counts.pop();
+    out += '}';
+  }
+
+  for (var i = common; i < parents.length; i++) {
+
+    out += (this._counts[i] > 0 ? ',' : '') + JSON.stringify(parents[i]) + ':{';
+    this._counts[i]++;
+    this._open.push(parents[i]);
+    this._counts.push(0);
+
+  }
+
+  out += (this._counts[parents.length] > 0 ? ',' : '') +
+    JSON.stringify(segments[segments.length - 1]) + ':' + JSON.stringify(value);
+  this._counts[parents.length]++;
+
+  return out;
+
+};
+
+
+Exporter.prototype._finishJson = function() {
+
+  if (this._wroteRoot) {
+    return this._write('\n');
+  } else if (this._counts.length === 0) {
+    return this._write('null\n');
+  }
+
+  var out = '';
+  for (var i = 0; i < this._counts.length; i++) {
+    out += '}';
+  }
+
+  return this._write(out + '\n');
+
+};
+
+
+/**
+ * Finds where an interrupted NDJSON export left off.
+ * @param {String} filename The export file.
+ * @returns {Object|null} null if the file doesn't exist or is empty;
+ * otherwise { path, offset }, where path is the path of the last complete
+ * line (null if there is none) and offset is the byte length of the complete
+ * lines, so anything after it can be truncated.
+ */
+Exporter.findResumePoint = function(filename) {
+
+  if (!fs.existsSync(filename)) {
+    return null;
+  }
+
+  var size = fs.statSync(filename).size;
+  if (size === 0) {
+    return null;
+  }
+
+  var fd = fs.openSync(filename, 'r'),
+    chunkSize = 65536,
+    position = size,
+    tail = Buffer.alloc(0),
+    newlines = [];
+
+  try {
+
+    // read backwards until we have the last two newlines, or the whole file
+    while (position > 0 && newlines.length < 2) {
+
+      var length = Math.min(chunkSize, position),
+        chunk = Buffer.alloc(length);
+
+      position -= length;
+      fs.readSync(fd, chunk, 0, length, position);
+      tail = Buffer.concat([chunk, tail]);
+
+      newlines = [];
+      for (var i = tail.length - 1; i >= 0 && newlines.length < 2; i--) {
+        if (tail[i] === 10) {
+          newlines.push(i);
+        }
+      }
+
+    }
+
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (newlines.length === 0) {
+    return { path: null, offset: 0 };
+  }
+
+  var start = newlines.length > 1 ? newlines[1] + 1 : 0,
+    line = tail.slice(start, newlines[0]).toString('utf8');
+
+  return {
+    path: JSON.parse(line).path,
+    offset: position + newlines[0] + 1
+  };
+
+};
+
+
+module.exports = Exporter;
@@ -0,0 +1,274 @@
+'use strict';
+
+var fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  crypto = require('crypto'),
+  Q = require('q'),
+  errors = require('./errors');
+
+
+var NAMES = {
+  rules: 'security rules',
+  authConfig: 'auth config'
+};
+
+
+// History can hold OAuth client secrets, so only its owner may read it.
+var DIRECTORY_MODE = parseInt('700', 8),
+  FILE_MODE = parseInt('600', 8);
+
+function mkdirp(directory) {
+
+  if (!fs.existsSync(directory)) {
+    mkdirp(path.dirname(directory));
+    fs.mkdirSync(directory, DIRECTORY_MODE);
+  }
+
+}
+
+// JSON with sorted keys, so equal content always hashes the same.
+function canonical(value) {
+
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonical).join(',') + ']';
+  } else if (value !== null && typeof value === 'object') {
+
+    return '{' + Object.keys(value).sort().map(function(key) {
+      return JSON.stringify(key) + ':' + canonical(value[key]);
+    }).join(',') + '}';
+
+  }
+
+  return JSON.stringify(value);
+
+}
+
+
+/**
+ * Keeps history entries as JSON files, one per version, under
+ * directory/instance/kind/.
+ * @constructor
+ * @param {String} directory Where to keep them.
+ */
+function FileStore(directory) {
+  this.directory = directory;
+}
+
+FileStore.prototype._directory = function(instance, kind) {
+  return path.join(this.directory, instance, kind);
+};
+
+/**
+ * Promises to save an entry as the next version.
+ * @param {String} instance The instance name.
+ * @param {String} kind What the entry holds, e.g. rules.
+ * @param {Object} entry The entry, without a version.
+ * @returns {external:Promise} A promise that resolves with the entry,
+ * version included.
+ */
+FileStore.prototype.append = function(instance, kind, entry) {
+
+  var directory = this._directory(instance, kind);
+
+  return this.list(instance, kind)
+  .then(function(entries) {
+
+    mkdirp(directory);
+
+    var saved = { version: entries.length > 0 ? entries[entries.length - 1].version + 1 : 1 };
+    Object.keys(entry).forEach(function(key) {
+      saved[key] = entry[key];
+    });
+
+    // "wx" fails rather than overwrite a version someone else just saved
+    fs.writeFileSync(
+      path.join(directory, saved.version + '.json'),
+      JSON.stringify(saved, undefined, 2),
+      { flag: 'wx', mode: FILE_MODE }
+    );
+
+    return saved;
+
+  });
+
+};
+
+/**
+ * Promises to list the saved entries.
+ * @param {String} instance The instance name.
+ * @param {String} kind What the entries hold, e.g. rules.
+ * @returns {external:Promise} A promise that resolves with the entries,
+ * oldest first.
+ */
+FileStore.prototype.list = function(instance, kind) {
+
+  var directory = this._directory(instance, kind);
+
+  return Q.fcall(function() {
+
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(directory)
+    .filter(function(name) {
+      return /^\d+\.json$/.test(name);
+    })
+    .map(function(name) {
+      return JSON.parse(fs.readFileSync(path.join(directory, name), 'utf8'));
+    })
+    .sort(function(a, b) {
+      return a.version - b.version;
+    });
+
+  });
+
+};
+
+
+/**
+ * Records the versions of rules and auth config that changes replace, so
+ * they can be rolled back to, and when secrets were added and removed.
+ * @constructor
+ * @param {Object} store Where to keep entries: anything with append() and
+ * list() methods like {@link FileStore}'s.
+ * @param {Object} [options] History options.
+ * @param {String} [options.user] Who to record as making changes; by default
+ * the user and host name of this machine.
+ */
+function History(store, options) {
+
+  options = options || {};
+
+  this.store = store;
+  this.user = options.user || History.currentUser();
+
+}
+
+/**
+ * Where history is kept when it's turned on without a store.
+ */
+History.defaultDirectory = path.join(os.homedir(), '.firebase-admin', 'history');
+
+/**
+ * Makes a History from an account's history option.
+ * @param {Boolean|String|Object} [option] True for a {@link FileStore} in
+ * {@link History.defaultDirectory}, a directory for a FileStore there, or a
+ * store. By default, none.
+ * @returns {History|null}
+ */
+History.fromOption = function(option) {
+
+  if (!option) {
+    return null;
+  } else if (option instanceof History) {
+    return option;
+  } else if (typeof option === 'object') {
+    return new History(option);
+  }
+
+  return new History(new FileStore(option === true ? History.defaultDirectory : option));
+
+};
+
+/**
+ * The user and host name of this machine, as user@host.
+ * @returns {String}
+ */
+History.currentUser = function() {
+
+  var user = process.env.USER || process.env.USERNAME;
+
+  if (!user) {
+    try {
+      user = os.userInfo().username;
+    } catch(e) {
+      user = 'unknown';
+    }
+  }
+
+  return user + '@' + os.hostname();
+
+};
+
+/**
+ * A short hash of some content that ignores the order of object keys.
+ * @param {*} content
+ * @returns {String} The first 12 hex digits of its SHA-1.
+ */
+History.hash = function(content) {
+  return crypto.createHash('sha1').update(canonical(content)).digest('hex').slice(0, 12);
+};
+
+/**
+ * Promises to save a version about to be replaced.
+ * @param {String} instance The instance name.
+ * @param {String} kind What changed: rules or authConfig.
+ * @param {*} content The version being replaced.
+ * @param {String} [message] What the change is for.
+ * @returns {external:Promise} A promise that resolves with the saved entry.
+ */
+History.prototype.record = function(instance, kind, content, message) {
+
+  return Q.when(this.store.append(instance, kind, {
+    timestamp: new Date().toISOString(),
+    user: this.user,
+    message: message || '',
+    hash: History.hash(content),
+    content: content
+  }));
+
+};
+
+/**
+ * Promises to list the saved versions.
+ * @param {String} instance The instance name.
+ * @param {String} kind rules or authConfig.
+ * @returns {external:Promise} A promise that resolves with the entries,
+ * oldest first.
+ */
+History.prototype.list = function(instance, kind) {
+  return Q.when(this.store.list(instance, kind));
+};
+
+/**
+ * Promises to get one saved version.
+ * @param {String} instance The instance name.
+ * @param {String} kind rules or authConfig.
+ * @param {Number} [version] The version; by default the latest.
+ * @returns {external:Promise} A promise that resolves with the entry and
+ * rejects with a NotFoundError if there's no such version.
+ */
+History.prototype.get = function(instance, kind, version) {
+
+  return this.list(instance, kind)
+  .then(function(entries) {
+
+    var entry = version === undefined ?
+      entries[entries.length - 1] :
+      entries.filter(function(entry) {
+        return entry.version === Number(version);
+      })[0];
+
+    var name = NAMES[kind] || kind;
+
+    if (!entry) {
+      throw new errors.NotFoundError(
+        version === undefined ?
+          'There are no saved versions of the ' + name + ' of ' + instance :
+          'There is no version ' + version + ' of the ' + name + ' of ' + instance,
+        { instance: instance }
+      );
+    }
+
+    return entry;
+
+  });
+
+};
+
+
+History.FileStore = FileStore;
+
+module.exports = History;
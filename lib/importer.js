@@ -0,0 +1,157 @@
+'use strict';
+
+var stream = require('stream'),
+  util = require('util'),
+  StringDecoder = require('string_decoder').StringDecoder,
+  Q = require('q');
+
+
+/**
+ * A writable stream that takes the NDJSON an {@link Exporter} produces and
+ * writes it into an instance, a batch of entries per request. Pipe an export
+ * file or another instance's export into it. Existing data is left alone,
+ * so clear the instance first if it should end up an exact copy.
+ * @constructor
+ * @augments stream.Writable
+ * @param {FirebaseInstance} instance The instance to write into.
+ * @param {Object} [options] Import options.
+ * @param {Number} [options.batchSize=500] Entries to write per request.
+ * @param {Boolean} [options.dryRun=false] Only count the entries.
+ * @example
+ * var importer = new Importer(instance);
+ * importer.on('finish', function() {
+ *   console.log('Imported', importer.entries, 'entries.');
+ * });
+ * fs.createReadStream('backup.ndjson').pipe(importer);
+ */
+function Importer(instance, options) {
+
+  options = options || {};
+
+  stream.Writable.call(this);
+
+  this.instance = instance;
+  this.batchSize = options.batchSize || 500;
+  this.dryRun = !!options.dryRun;
+  this.entries = 0;
+
+  this._decoder = new StringDecoder('utf8');
+  this._pending = '';
+  this._batch = [];
+
+}
+util.inherits(Importer, stream.Writable);
+
+
+Importer.prototype._take = function(lines) {
+
+  lines.forEach(function(line) {
+    if (line.trim().length > 0) {
+      this._batch.push(JSON.parse(line));
+    }
+  }, this);
+
+};
+
+
+Importer.prototype._writeBatch = function() {
+
+  var batch = this._batch,
+    update = {},
+    root;
+
+  this._batch = [];
+  this.entries += batch.length;
+
+  if (this.dryRun || batch.length === 0) {
+    /* jshint newcap:false */
+    return Q();
+  }
+
+  batch.forEach(function(entry) {
+
+    if (entry.path === '/') {
+      root = entry;
+    } else {
+      update[entry.path.replace(/^\/+/, '')] = entry.value;
+    }
+
+  });
+
+  return (root ? this.instance.importData('/', root.value) : Q())
+  .then(function() {
+
+    if (Object.keys(update).length > 0) {
+      return this.instance.importData('/', update, { mode: 'update' });
+    }
+
+  }.bind(this));
+
+};
+
+
+Importer.prototype._write = function(chunk, encoding, callback) {
+
+  var lines = (this._pending + this._decoder.write(chunk)).split('\n');
+  this._pending = lines.pop();
+
+  try {
+    this._take(lines);
+  } catch(e) {
+    return callback(e);
+  }
+
+  if (this._batch.length < this.batchSize) {
+    return callback();
+  }
+
+  this._writeBatch()
+  .then(function() {
+    callback();
+  }, callback);
+
+};
+
+
+Importer.prototype._final = function(callback) {
+
+  try {
+    this._take([this._pending + this._decoder.end()]);
+  } catch(e) {
+    return callback(e);
+  }
+
+  this._pending = '';
+
+  this._writeBatch()
+  .then(function() {
+    callback();
+  }, callback);
+
+};
+
+
+/**
+ * Promises to import everything a readable stream produces.
+ * @param {stream.Readable} input NDJSON export data.
+ * @returns {external:Promise} A promise that resolves with the number of
+ * entries imported and rejects with an Error if there's an error.
+ */
+Importer.prototype.importFrom = function(input) {
+
+  var deferred = Q.defer();
+
+  input.on('error', deferred.reject);
+  this.on('error', deferred.reject);
+  this.on('finish', function() {
+    deferred.resolve(this.entries);
+  }.bind(this));
+
+  input.pipe(this);
+
+  return deferred.promise;
+
+};
+
+
+module.exports = Importer;
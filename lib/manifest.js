@@ -0,0 +1,461 @@
+'use strict';
+
+var fs = require('fs'),
+  path = require('path'),
+  Q = require('q'),
+  yaml = require('js-yaml'),
+  JSON5 = require('json5'),
+  errors = require('./errors'),
+  rulesLoader = require('./rules-loader'),
+  rulesDiff = require('./rules-diff'),
+  History = require('./history'),
+  userRecords = require('./user-records');
+
+
+var SETTINGS = ['rules', 'authConfig', 'secrets', 'users'];
+
+// What a new instance starts with, so plans for it are accurate.
+var NEW_INSTANCE = {
+  rules: { '.read': true, '.write': true },
+  authConfig: null,
+  secrets: 1,
+  users: []
+};
+
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Reads a YAML or JSON (with comments) file.
+function readFile(filename) {
+
+  var source = fs.readFileSync(filename, 'utf8');
+
+  try {
+
+    return rulesLoader.formatOf(filename) === 'yaml' ?
+      yaml.safeLoad(source, { filename: filename }) :
+      JSON5.parse(source);
+
+  } catch(e) {
+
+    throw new errors.ParseError(
+      e.reason || e.message.replace(/^JSON5: /, '').replace(/ at \d+:\d+$/, ''),
+      {
+        file: filename,
+        line: e.mark ? e.mark.line + 1 : e.lineNumber,
+        column: e.mark ? e.mark.column + 1 : e.columnNumber
+      }
+    );
+
+  }
+
+}
+
+
+/**
+ * Loads a manifest describing instances. Its "instances" key maps instance
+ * names to their settings, all optional:
+ *
+ * - rules: a rules file, relative to the manifest, or the rules themselves
+ * - authConfig: an auth config file (JSON or YAML), or the config itself
+ * - secrets: how many secrets the instance should have, at least 1
+ * - users: Simple Login users to create, as emails or { email, password }
+ * @param {String} filename The manifest, YAML or JSON.
+ * @returns {Object} { file, instances }, where instances is an Array of
+ * { name, rules, authConfig, secrets, users } with files already loaded.
+ * @throws {ParseError} If the manifest or a file it names can't be parsed,
+ * or doesn't say what it should.
+ * @example
+ * # environments.yml
+ * instances:
+ *   my-app-staging:
+ *     rules: rules/staging.bolt
+ *     authConfig: auth.json
+ *     secrets: 2
+ *     users:
+ *       - qa@example.com
+ *       - { email: admin@example.com, password: correct-horse }
+ */
+function load(filename) {
+
+  var manifest = readFile(filename),
+    directory = path.dirname(filename);
+
+  function invalid(message) {
+    return new errors.ParseError(message, { file: filename });
+  }
+
+  if (!isObject(manifest) || !isObject(manifest.instances)) {
+    throw invalid('A manifest needs an "instances" map of instance names to settings');
+  }
+
+  var instances = Object.keys(manifest.instances).map(function(name) {
+
+    var settings = manifest.instances[name] || {},
+      spec = { name: name };
+
+    if (!isObject(settings)) {
+      throw invalid('The settings of ' + name + ' must be a map');
+    }
+
+    Object.keys(settings).forEach(function(key) {
+      if (SETTINGS.indexOf(key) === -1) {
+        throw invalid('Unknown setting "' + key + '" for ' + name + '; settings are ' +
+          SETTINGS.join(', '));
+      }
+    });
+
+    if (settings.rules !== undefined) {
+
+      spec.rules = typeof settings.rules === 'string' ?
+        rulesLoader.load(path.resolve(directory, settings.rules)) :
+        settings.rules;
+
+      if (!isObject(spec.rules)) {
+        throw invalid('The rules of ' + name + ' must be a file name or a map');
+      } else if (spec.rules.rules && Object.keys(spec.rules).length === 1) {
+        spec.rules = spec.rules.rules;
+      }
+
+    }
+
+    if (settings.authConfig !== undefined) {
+
+      spec.authConfig = typeof settings.authConfig === 'string' ?
+        readFile(path.resolve(directory, settings.authConfig)) :
+        settings.authConfig;
+
+      if (!isObject(spec.authConfig)) {
+        throw invalid('The authConfig of ' + name + ' must be a file name or a map');
+      }
+
+    }
+
+    if (settings.secrets !== undefined) {
+
+      if (typeof settings.secrets !== 'number' || settings.secrets % 1 !== 0 ||
+        settings.secrets < 1) {
+        throw invalid('The secrets of ' + name + ' must be a whole number, at least 1');
+      }
+      spec.secrets = settings.secrets;
+
+    }
+
+    if (settings.users !== undefined) {
+
+      if (!Array.isArray(settings.users)) {
+        throw invalid('The users of ' + name + ' must be a list');
+      }
+
+      spec.users = settings.users.map(function(user) {
+
+        user = typeof user === 'string' ? { email: user } : user;
+        if (!isObject(user) || typeof user.email !== 'string') {
+          throw invalid('Every user of ' + name + ' needs an email');
+        }
+        return { email: user.email, password: user.password };
+
+      });
+
+    }
+
+    return spec;
+
+  });
+
+  return { file: filename, instances: instances };
+
+}
+
+
+// Reads what the spec has opinions about from a live instance.
+function readLive(instance, spec) {
+
+  return Q.all([
+    spec.rules !== undefined ? instance.getRules() : null,
+    spec.authConfig !== undefined ? instance.getAuthConfig() : null,
+    spec.secrets !== undefined ? instance.getAuthTokens() : [],
+    spec.users !== undefined ? instance.listUsers() : []
+  ])
+  .spread(function(rules, authConfig, secrets, users) {
+
+    return {
+      rules: rules,
+      authConfig: authConfig,
+      secrets: secrets.length,
+      users: users.map(function(user) {
+        return user.email;
+      })
+    };
+
+  });
+
+}
+
+// The changes that would make live state match a spec.
+function changesFor(spec, live) {
+
+  var changes = [];
+
+  if (spec.rules !== undefined) {
+
+    var ruleChanges = rulesDiff.diff(live.rules || {}, spec.rules);
+    if (ruleChanges.length > 0) {
+      changes.push({ resource: 'rules', action: 'update', changes: ruleChanges });
+    }
+
+  }
+
+  if (spec.authConfig !== undefined && (live.authConfig === null ||
+    History.hash(live.authConfig) !== History.hash(spec.authConfig))) {
+    changes.push({ resource: 'authConfig', action: 'update' });
+  }
+
+  if (spec.secrets > live.secrets) {
+    changes.push({ resource: 'secrets', action: 'add', count: spec.secrets - live.secrets });
+  } else if (spec.secrets < live.secrets) {
+
+    // removing a secret could lock out whatever uses it, so leave that to people
+    changes.push({
+      resource: 'secrets',
+      action: 'warn',
+      message: 'has ' + live.secrets + ' secrets but the manifest says ' + spec.secrets +
+        '; remove the extras with "token remove"'
+    });
+
+  }
+
+  var missing = (spec.users || []).filter(function(user) {
+    return live.users.indexOf(user.email) === -1;
+  });
+
+  if (missing.length > 0) {
+    changes.push({ resource: 'users', action: 'add', users: missing.map(function(user) {
+      return user.email;
+    }) });
+  }
+
+  return changes;
+
+}
+
+// Resolves with the instance, or null if it doesn't exist.
+function find(account, name) {
+
+  return account.getDatabase(name)
+  .catch(function(err) {
+
+    if (err instanceof errors.NotFoundError) {
+      return null;
+    }
+    throw err;
+
+  });
+
+}
+
+// Runs a function on each item in turn, resolving with the results.
+function series(items, fn) {
+
+  var results = [];
+
+  return items.reduce(function(previous, item) {
+
+    return previous.then(function() {
+      return fn(item);
+    })
+    .then(function(result) {
+      results.push(result);
+    });
+
+  }, Q.resolve())
+  .then(function() {
+    return results;
+  });
+
+}
+
+
+/**
+ * Promises to work out what applying a manifest would change, without
+ * changing anything.
+ * @param {FirebaseAccount} account The account the instances belong to.
+ * @param {Object} manifest A manifest from {@link load}.
+ * @returns {external:Promise} A promise that resolves with an Array of
+ * { name, exists, changes } for every instance in the manifest, where each
+ * change has a resource (instance, rules, authConfig, secrets or users), an
+ * action (create, update, add or warn) and details, and rejects with an
+ * Error if there's an error.
+ */
+function plan(account, manifest) {
+
+  return series(manifest.instances, function(spec) {
+
+    return find(account, spec.name)
+    .then(function(instance) {
+
+      if (!instance) {
+        return {
+          name: spec.name,
+          exists: false,
+          changes: [{ resource: 'instance', action: 'create' }]
+          .concat(changesFor(spec, NEW_INSTANCE))
+        };
+      }
+
+      return readLive(instance, spec)
+      .then(function(live) {
+        return { name: spec.name, exists: true, changes: changesFor(spec, live) };
+      });
+
+    });
+
+  });
+
+}
+
+
+/**
+ * Promises to make live instances match a manifest: creates missing
+ * instances, sets rules and auth config that differ, adds secrets and
+ * creates missing users. It's idempotent: applying the same manifest again
+ * changes nothing. It never deletes instances, secrets or users.
+ * @param {FirebaseAccount} account The account the instances belong to.
+ * @param {Object} manifest A manifest from {@link load}.
+ * @param {Object} [options] Apply options.
+ * @param {String} [options.message] The history message for rules and auth
+ * config changes.
+ * @returns {external:Promise} A promise that resolves with what was changed,
+ * as {@link plan} describes it, where users holds the email and password of
+ * every user created, and rejects with an Error if there's an error.
+ */
+function apply(account, manifest, options) {
+
+  options = options || {};
+
+  var setOptions = { message: options.message };
+
+  return series(manifest.instances, function(spec) {
+
+    var result = { name: spec.name, exists: true, changes: [], users: [] },
+      instance;
+
+    return find(account, spec.name)
+    .then(function(found) {
+
+      if (found) {
+        return found;
+      }
+
+      result.exists = false;
+      result.changes.push({ resource: 'instance', action: 'create' });
+      return account.createDatabase(spec.name);
+
+    })
+    .then(function(ready) {
+
+      instance = ready;
+      return readLive(instance, spec);
+
+    })
+    .then(function(live) {
+
+      return series(changesFor(spec, live), function(change) {
+
+        result.changes.push(change);
+
+        if (change.resource === 'rules') {
+          return instance.setRules(spec.rules, setOptions);
+        } else if (change.resource === 'authConfig') {
+          return instance.setAuthConfig(spec.authConfig, setOptions);
+        } else if (change.resource === 'secrets' && change.action === 'add') {
+
+          return series(new Array(change.count).join('.').split('.'), function() {
+            return instance.addAuthToken();
+          });
+
+        } else if (change.resource === 'users') {
+
+          return series(spec.users.filter(function(user) {
+            return change.users.indexOf(user.email) !== -1;
+          }), function(user) {
+
+            var password = user.password || userRecords.generatePassword();
+
+            return instance.createUser(user.email, password)
+            .then(function() {
+              result.users.push({ email: user.email, password: password });
+            });
+
+          });
+
+        }
+
+      });
+
+    })
+    .then(function() {
+      return result;
+    });
+
+  });
+
+}
+
+
+/**
+ * Describes a plan or the result of apply, one line per change, with the
+ * rules changes under each rules update.
+ * @param {Array} instances What {@link plan} or {@link apply} resolved with.
+ * @param {Object} [colors] Functions to color added, removed and changed
+ * lines, warnings and rule paths, e.g. chalk's.
+ * @returns {String}
+ */
+function format(instances, colors) {
+
+  colors = colors || {};
+
+  var added = colors.added || String,
+    changed = colors.changed || String,
+    warning = colors.warning || String;
+
+  return instances.map(function(instance) {
+
+    if (instance.changes.length === 0) {
+      return instance.name + ': up to date\n';
+    }
+
+    return instance.name + ':\n' + instance.changes.map(function(change) {
+
+      if (change.resource === 'instance') {
+        return added('  + create the instance') + '\n';
+      } else if (change.resource === 'rules') {
+
+        return changed('  ~ security rules: ' + change.changes.length + ' rule(s) change') +
+          '\n' + rulesDiff.format(change.changes, colors).replace(/^(?=.)/gm, '      ');
+
+      } else if (change.resource === 'authConfig') {
+        return changed('  ~ auth config: replace') + '\n';
+      } else if (change.resource === 'secrets' && change.action === 'add') {
+        return added('  + secrets: add ' + change.count) + '\n';
+      } else if (change.resource === 'secrets') {
+        return warning('  ! secrets: ' + change.message) + '\n';
+      }
+
+      return added('  + users: create ' + change.users.join(', ')) + '\n';
+
+    }).join('');
+
+  }).join('');
+
+}
+
+
+module.exports = {
+  load: load,
+  plan: plan,
+  apply: apply,
+  format: format
+};
@@ -0,0 +1,736 @@
+'use strict';
+
+var http = require('http'),
+  url = require('url'),
+  crypto = require('crypto'),
+  querystring = require('querystring'),
+  Q = require('q'),
+  paths = require('./paths');
+
+
+function randomToken(length) {
+  return crypto.randomBytes(length).toString('hex').slice(0, length);
+}
+
+function readBody(req, callback) {
+
+  var chunks = [];
+
+  req.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+
+  req.on('end', function() {
+
+    var raw = Buffer.concat(chunks).toString('utf8'),
+      type = req.headers['content-type'] || '';
+
+    if (raw.length === 0) {
+      callback(null, undefined);
+    } else if (type.indexOf('application/x-www-form-urlencoded') === 0) {
+      callback(null, querystring.parse(raw));
+    } else {
+
+      var body;
+      try {
+        body = JSON.parse(raw);
+      } catch(e) {
+        return callback(e);
+      }
+      callback(null, body);
+
+    }
+
+  });
+
+}
+
+// Drops nulls and empty objects the way Firebase does.
+function normalize(value) {
+
+  if (value === null || value === undefined) {
+    return null;
+  } else if (typeof value !== 'object') {
+    return value;
+  }
+
+  var result = {};
+  Object.keys(value).forEach(function(key) {
+
+    var child = normalize(value[key]);
+    if (child !== null) {
+      result[key] = child;
+    }
+
+  });
+
+  return Object.keys(result).length > 0 ? result : null;
+
+}
+
+// Firebase hands objects with mostly-sequential integer keys back as arrays.
+function toArrays(value) {
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  var keys = Object.keys(value),
+    max = -1,
+    allIntegers = keys.every(function(key) {
+      if (/^(0|[1-9][0-9]*)$/.test(key)) {
+        max = Math.max(max, parseInt(key, 10));
+        return true;
+      }
+      return false;
+    });
+
+  var result = allIntegers && keys.length > (max + 1) / 2 ? [] : {};
+  if (Array.isArray(result)) {
+    for (var i = 0; i <= max; i++) {
+      result[i] = null;
+    }
+  }
+
+  keys.forEach(function(key) {
+    result[key] = toArrays(value[key]);
+  });
+
+  return result;
+
+}
+
+function getAt(node, path) {
+
+  for (var i = 0; i < path.length; i++) {
+
+    if (node === null || typeof node !== 'object' || !node.hasOwnProperty(path[i])) {
+      return null;
+    }
+    node = node[path[i]];
+
+  }
+
+  return node;
+
+}
+
+// Returns a new tree with value at path.
+function setAt(node, path, value) {
+
+  if (path.length === 0) {
+    return normalize(value);
+  }
+
+  var copy = {};
+  if (node !== null && typeof node === 'object') {
+    Object.keys(node).forEach(function(key) {
+      copy[key] = node[key];
+    });
+  }
+
+  copy[path[0]] = setAt(copy[path[0]] === undefined ? null : copy[path[0]],
+    path.slice(1), value);
+
+  return normalize(copy);
+
+}
+
+// Applies the shallow, orderBy="$key", startAt, endAt and limit parameters.
+function query(value, params) {
+
+  var parse = function(param) {
+    try {
+      return JSON.parse(param);
+    } catch(e) {
+      return param;
+    }
+  };
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  var keys = Object.keys(value);
+
+  if (params.orderBy !== undefined) {
+
+    if (parse(params.orderBy) !== '$key') {
+      throw new Error('Only orderBy="$key" is supported.');
+    }
+
+    keys.sort(paths.compareKeys);
+
+    if (params.startAt !== undefined) {
+      var startAt = String(parse(params.startAt));
+      keys = keys.filter(function(key) {
+        return paths.compareKeys(key, startAt) >= 0;
+      });
+    }
+
+    if (params.endAt !== undefined) {
+      var endAt = String(parse(params.endAt));
+      keys = keys.filter(function(key) {
+        return paths.compareKeys(key, endAt) <= 0;
+      });
+    }
+
+    if (params.limitToFirst !== undefined) {
+      keys = keys.slice(0, parseInt(params.limitToFirst, 10));
+    } else if (params.limitToLast !== undefined) {
+      keys = keys.slice(-parseInt(params.limitToLast, 10));
+    }
+
+  }
+
+  var result = {};
+  keys.forEach(function(key) {
+    result[key] = params.shallow === 'true' && value[key] !== null &&
+      typeof value[key] === 'object' ? true : value[key];
+  });
+
+  return keys.length > 0 ? result : null;
+
+}
+
+// A rough version of the checks Firebase makes, kept independent of
+// rules-validator so the tests can catch its mistakes.
+function checkExpression(expr) {
+
+  if (typeof expr === 'boolean') {
+    return null;
+  } else if (typeof expr !== 'string') {
+    return 'Rule expressions must be strings or booleans.';
+  }
+
+  var depth = 0;
+  for (var i = 0; i < expr.length; i++) {
+
+    if (expr[i] === '(') {
+      depth++;
+    } else if (expr[i] === ')' && --depth < 0) {
+      return 'Unbalanced parentheses.';
+    }
+
+  }
+
+  if (depth !== 0) {
+    return 'Unbalanced parentheses.';
+  } else if (expr.trim().length === 0 || /[<>=!&|+\-*\/%.(]\s*$/.test(expr)) {
+    return 'Unexpected end of expression.';
+  }
+
+  return null;
+
+}
+
+function checkRules(rules, path) {
+
+  if (rules === null || typeof rules !== 'object') {
+    return path + ': rules must be an object.';
+  }
+
+  var keys = Object.keys(rules);
+  for (var i = 0; i < keys.length; i++) {
+
+    var key = keys[i],
+      childPath = path + '/' + key,
+      problem;
+
+    if (key === '.read' || key === '.write' || key === '.validate') {
+      problem = checkExpression(rules[key]);
+      if (problem) {
+        return childPath + ': ' + problem;
+      }
+    } else if (key === '.indexOn') {
+      // anything goes for now
+    } else if (key.charAt(0) === '.') {
+      return childPath + ': Invalid key ' + key + '.';
+    } else {
+      problem = checkRules(rules[key], childPath);
+      if (problem) {
+        return problem;
+      }
+    }
+
+  }
+
+  return null;
+
+}
+
+
+/**
+ * An in-process, in-memory stand-in for the Firebase admin, database
+ * settings and Simple Login services, for running tests offline.
+ * Point a {@link FirebaseAccount} at it with the server's endpoints.
+ * @constructor
+ * @param {Object} [options] Server options.
+ * @param {String} [options.adminToken] The admin token the server accepts.
+ * A random one is generated if not supplied.
+ * @example
+ * var server = new MockServer();
+ * server.start().then(function() {
+ *   var account = new FirebaseAccount(server.adminToken, {
+ *     endpoints: server.endpoints
+ *   });
+ *   return account.createDatabase('test');
+ * });
+ */
+function MockServer(options) {
+
+  options = options || {};
+
+  this.adminToken = options.adminToken || randomToken(40);
+  this.databases = {};
+  this.endpoints = null;
+
+  this._server = http.createServer(this._handle.bind(this));
+
+}
+
+
+/**
+ * Promises to start listening for requests.
+ * @param {Number} [port] The port to listen on. A free port is picked if
+ * not supplied.
+ * @returns {external:Promise} A promise that resolves with the server once
+ * it's listening and rejects with an Error if it can't listen.
+ */
+MockServer.prototype.start = function(port) {
+
+  var deferred = Q.defer();
+
+  this._server.once('error', deferred.reject);
+  this._server.listen(port || 0, '127.0.0.1', function() {
+
+    var base = 'http://127.0.0.1:' + this._server.address().port;
+
+    this.endpoints = {
+      admin: base + '/admin',
+      auth: base + '/auth',
+      database: base + '/db/{name}'
+    };
+
+    this._server.removeListener('error', deferred.reject);
+    deferred.resolve(this);
+
+  }.bind(this));
+
+  return deferred.promise;
+
+};
+
+
+/**
+ * Promises to stop listening for requests.
+ * @returns {external:Promise} A promise that resolves once the server has
+ * closed.
+ */
+MockServer.prototype.stop = function() {
+
+  var deferred = Q.defer();
+
+  this._server.close(function() {
+    deferred.resolve();
+  });
+
+  return deferred.promise;
+
+};
+
+
+/**
+ * Throws away all databases and users.
+ */
+MockServer.prototype.reset = function() {
+  this.databases = {};
+};
+
+
+/**
+ * Creates a database directly, without going through the admin API.
+ * @param {String} name The name of the new database.
+ * @returns {Object} The database's state.
+ */
+MockServer.prototype.createDatabase = function(name) {
+
+  this.databases[name] = {
+    name: name,
+    createdAt: Date.now(),
+    personalToken: randomToken(40),
+    firebaseToken: randomToken(40),
+    secrets: [randomToken(40)],
+    rules: {
+      rules: {
+        '.read': true,
+        '.write': true
+      }
+    },
+    authConfig: '',
+    data: null,
+    users: [],
+    nextUserId: 1
+  };
+
+  return this.databases[name];
+
+};
+
+
+MockServer.prototype._handle = function(req, res) {
+
+  var parsed = url.parse(req.url, true),
+    segments = parsed.pathname.split('/').slice(1),
+    service = segments.shift();
+
+  function respond(statusCode, body) {
+
+    var payload = JSON.stringify(body === undefined ? null : body);
+
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+
+  }
+
+  readBody(req, function(err, body) {
+
+    if (err) {
+      return respond(400, { error: 'Invalid data; couldn\'t parse JSON object.' });
+    }
+
+    // the admin API tunnels PUT and DELETE through POST
+    var method = req.method;
+    if (service === 'admin' && body && body._method) {
+      method = body._method.toUpperCase();
+    }
+
+    var context = {
+      method: method,
+      segments: segments,
+      query: parsed.query,
+      body: body
+    };
+
+    if (service === 'admin') {
+      this._handleAdmin(context, respond);
+    } else if (service === 'auth') {
+      this._handleAuth(context, respond);
+    } else if (service === 'db') {
+      this._handleDatabase(context, respond);
+    } else {
+      respond(404, { error: 'Not found' });
+    }
+
+  }.bind(this));
+
+};
+
+
+MockServer.prototype._handleAdmin = function(context, respond) {
+
+  var segments = context.segments,
+    params = context.body || context.query,
+    name = segments[1],
+    db = this.databases[name];
+
+  if (params.token !== this.adminToken) {
+    return respond(403, { success: false, error: 'Invalid token.' });
+  } else if (segments[0] === 'account' && context.method === 'GET') {
+
+    var firebases = {};
+    Object.keys(this.databases).forEach(function(name) {
+      firebases[name] = {
+        role: 'admin',
+        createdAt: this.databases[name].createdAt
+      };
+    }, this);
+
+    return respond(200, { success: true, firebases: firebases });
+
+  } else if (segments[0] !== 'firebase' || !name) {
+    return respond(404, { error: 'Not found' });
+  }
+
+  if (segments.length === 2 && context.method === 'POST') {
+
+    if (db) {
+      respond(200, { success: false, error: 'That Firebase name is already taken.' });
+    } else if (!/^[a-z0-9][a-z0-9-]*$/i.test(name)) {
+      respond(200, { success: false, error: 'Invalid Firebase name.' });
+    } else {
+      this.createDatabase(name);
+      respond(200, { success: true });
+    }
+
+  } else if (segments.length === 2 && context.method === 'DELETE') {
+
+    if (db) {
+      delete this.databases[name];
+      respond(200, { success: true });
+    } else {
+      respond(404, { success: false, error: 'No such Firebase.' });
+    }
+
+  } else if (!db) {
+    respond(404, { success: false, error: 'No such Firebase.' });
+  } else if (segments[2] === 'token' && context.method === 'GET') {
+
+    respond(200, {
+      success: true,
+      personalToken: db.personalToken,
+      firebaseToken: db.firebaseToken
+    });
+
+  } else if (segments[2] === 'authConfig' && context.method === 'PUT') {
+
+    try {
+      JSON.parse(params.authConfig);
+    } catch(e) {
+      return respond(400, { success: false, error: 'Invalid auth config.' });
+    }
+
+    db.authConfig = params.authConfig;
+    respond(200, { success: true });
+
+  } else {
+    respond(404, { error: 'Not found' });
+  }
+
+};
+
+
+MockServer.prototype._handleDatabase = function(context, respond) {
+
+  var segments = context.segments,
+    db = this.databases[segments.shift()],
+    path = paths.split(decodeURIComponent(segments.join('/').replace(/\.json$/, '')));
+
+  if (!db) {
+    return respond(404, { error: 'Firebase not found.' });
+  } else if (path[0] !== '.settings') {
+    return this._handleData(db, path, context, respond);
+  } else if (context.query.auth !== db.personalToken) {
+    return respond(401, { error: 'Permission denied' });
+  }
+
+  var setting = path[1],
+    method = context.method;
+
+  if (!setting && method === 'GET') {
+
+    respond(200, {
+      rules: JSON.stringify(db.rules),
+      secrets: db.secrets,
+      authConfig: db.authConfig
+    });
+
+  } else if (setting === 'rules' && method === 'GET') {
+    respond(200, db.rules);
+  } else if (setting === 'rules' && method === 'PUT') {
+
+    var rules = context.body,
+      problem = rules && rules.rules ?
+        checkRules(rules.rules, '') :
+        'Rules must be under a top-level "rules" key.';
+
+    if (problem) {
+      respond(400, { error: problem });
+    } else {
+      db.rules = rules;
+      respond(200, { status: 'ok' });
+    }
+
+  } else if (setting === 'secrets' && !path[2] && method === 'GET') {
+    respond(200, db.secrets);
+  } else if (setting === 'secrets' && !path[2] && method === 'POST') {
+
+    var secret = randomToken(40);
+    db.secrets.push(secret);
+    respond(200, secret);
+
+  } else if (setting === 'secrets' && path[2] && method === 'DELETE') {
+
+    var index = db.secrets.indexOf(path[2]);
+    if (index === -1) {
+      respond(404, { error: 'No such secret.' });
+    } else {
+      db.secrets.splice(index, 1);
+      respond(200, null);
+    }
+
+  } else {
+    respond(404, { error: 'Not found' });
+  }
+
+};
+
+
+MockServer.prototype._handleData = function(db, path, context, respond) {
+
+  if (db.secrets.indexOf(context.query.auth) === -1) {
+    return respond(401, { error: 'Permission denied' });
+  }
+
+  var body = context.body === undefined ? null : context.body;
+
+  if (context.method === 'GET') {
+
+    var result;
+    try {
+      result = query(getAt(db.data, path), context.query);
+    } catch(e) {
+      return respond(400, { error: e.message });
+    }
+
+    respond(200, context.query.shallow === 'true' ? result : toArrays(result));
+
+  } else if (context.method === 'PUT') {
+
+    db.data = setAt(db.data, path, body);
+    respond(200, body);
+
+  } else if (context.method === 'PATCH') {
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      return respond(400, { error: 'Invalid data; update requires an object.' });
+    }
+
+    Object.keys(body).forEach(function(key) {
+      db.data = setAt(db.data, path.concat(paths.split(key)), body[key]);
+    });
+    respond(200, body);
+
+  } else if (context.method === 'DELETE') {
+
+    db.data = setAt(db.data, path, null);
+    respond(200, null);
+
+  } else {
+    respond(405, { error: 'Method not allowed' });
+  }
+
+};
+
+
+MockServer.prototype._handleAuth = function(context, respond) {
+
+  var segments = context.segments,
+    query = context.query,
+    name, db, user;
+
+  function fail(code, message) {
+    respond(200, { error: { code: code, message: message } });
+  }
+
+  function findUser(email) {
+
+    return db.users.filter(function(user) {
+      return user.email === email;
+    })[0];
+
+  }
+
+  if (segments[0] === 'auth' && segments[1] === 'firebase') {
+    name = query.firebase;
+  } else if (segments[0] === 'v2') {
+    name = segments[1];
+  }
+
+  db = this.databases[name];
+  if (!db) {
+    return fail('INVALID_FIREBASE', 'Invalid Firebase specified.');
+  }
+
+  if (segments[0] === 'auth' && segments[2] === 'create') {
+
+    if (!query.email || !/^[^@\s]+@[^@\s]+$/.test(query.email)) {
+      return fail('INVALID_EMAIL', 'The specified email address is invalid.');
+    } else if (!query.password) {
+      return fail('INVALID_PASSWORD', 'The specified password is invalid.');
+    } else if (findUser(query.email)) {
+      return fail('EMAIL_TAKEN', 'The specified email address is already in use.');
+    }
+
+    user = {
+      id: String(db.nextUserId++),
+      email: query.email,
+      password: query.password,
+      time_created: Date.now()
+    };
+    db.users.push(user);
+
+    respond(200, {
+      id: user.id,
+      uid: 'simplelogin:' + user.id,
+      email: user.email,
+      provider: 'password',
+      firebase: name,
+      token: randomToken(40)
+    });
+
+  } else if (segments[0] === 'auth' && segments[2] === 'reset_password') {
+
+    user = findUser(query.email);
+
+    if (!user) {
+      fail('INVALID_USER', 'The specified user does not exist.');
+    } else if (query.newPassword !== undefined) {
+
+      if (query.token !== this.adminToken) {
+        fail('INVALID_TOKEN', 'Invalid admin token.');
+      } else {
+        user.password = query.newPassword;
+        respond(200, { status: 'ok' });
+      }
+
+    } else {
+      respond(200, { status: 'ok' });
+    }
+
+  } else if (segments[0] === 'v2' && segments[2] === 'users') {
+
+    if (query.token !== this.adminToken) {
+      return respond(403, {
+        error: { code: 'INVALID_TOKEN', message: 'Invalid admin token.' }
+      });
+    }
+
+    if (segments.length === 3 && context.method === 'GET') {
+
+      respond(200, {
+        users: db.users.map(function(user) {
+          return {
+            id: user.id,
+            email: user.email,
+            time_created: user.time_created
+          };
+        })
+      });
+
+    } else if (segments.length === 4 && context.method === 'DELETE') {
+
+      user = findUser(decodeURIComponent(segments[3]));
+
+      if (!user) {
+        fail('INVALID_USER', 'The specified user does not exist.');
+      } else {
+        db.users.splice(db.users.indexOf(user), 1);
+        respond(200, { status: 'ok' });
+      }
+
+    } else {
+      respond(404, { error: 'Not found' });
+    }
+
+  } else {
+    respond(404, { error: 'Not found' });
+  }
+
+};
+
+
+module.exports = MockServer;
@@ -0,0 +1,73 @@
+'use strict';
+
+// Keys Firebase treats as numbers when ordering by key.
+var INTEGER_KEY = /^-?(0|[1-9][0-9]*)$/;
+var MAX_INT = 2147483647, MIN_INT = -2147483648;
+
+function asInteger(key) {
+
+  if (INTEGER_KEY.test(key)) {
+    var n = parseInt(key, 10);
+    if (n >= MIN_INT && n <= MAX_INT) {
+      return n;
+    }
+  }
+  return null;
+
+}
+
+
+/**
+ * Compares two keys the way Firebase orders them by key: 32-bit integer keys
+ * come first in numeric order, then every other key in lexicographic order.
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number} Negative, zero or positive, as for Array#sort.
+ */
+function compareKeys(a, b) {
+
+  var intA = asInteger(a), intB = asInteger(b);
+
+  if (intA !== null && intB !== null) {
+    return intA - intB;
+  } else if (intA !== null) {
+    return -1;
+  } else if (intB !== null) {
+    return 1;
+  } else {
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+
+}
+
+
+/**
+ * Splits a path into its segments, ignoring leading, trailing and doubled
+ * slashes.
+ * @param {String} [path]
+ * @returns {Array} The segments; empty for the root.
+ */
+function split(path) {
+
+  return (path || '').split('/').filter(function(part) {
+    return part.length > 0;
+  });
+
+}
+
+
+/**
+ * Joins path segments into an absolute path.
+ * @param {Array} segments
+ * @returns {String} The path, starting with a slash.
+ */
+function join(segments) {
+  return '/' + segments.join('/');
+}
+
+
+module.exports = {
+  compareKeys: compareKeys,
+  split: split,
+  join: join
+};
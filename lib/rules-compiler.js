@@ -0,0 +1,963 @@
+'use strict';
+
+var errors = require('./errors'),
+  expression = require('./rules-expression'),
+  rulesValidator = require('./rules-validator');
+
+
+var BUILTIN_TYPES = {
+  String: 'newData.isString()',
+  Number: 'newData.isNumber()',
+  Boolean: 'newData.isBoolean()',
+  Object: 'newData.hasChildren()',
+  Any: null,
+  Null: null,
+  Map: null
+};
+
+var STRING_MEMBERS = [
+  'length', 'contains', 'beginsWith', 'endsWith', 'replace',
+  'toLowerCase', 'toUpperCase', 'matches'
+];
+
+var PATH_METHODS = {
+  read: '.read',
+  write: '.write',
+  validate: '.validate',
+  index: '.indexOn'
+};
+
+var IDENTIFIER = /^[A-Za-z_$][\w$]*/,
+  FORBIDDEN = /[.#$\[\]\/]/;
+
+
+// Replaces comments with spaces, so offsets and line numbers don't change.
+function blankComments(source) {
+
+  return source.replace(
+    /\\.|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+    function(match) {
+      return /^\/[\/*]/.test(match) ? match.replace(/[^\n]/g, ' ') : match;
+    }
+  );
+
+}
+
+
+function identifier(name) {
+  return { type: 'Identifier', name: name };
+}
+
+function literal(value) {
+  return { type: 'Literal', value: value };
+}
+
+function member(object, property) {
+  return { type: 'Member', object: object, property: property };
+}
+
+function call(callee, args) {
+  return { type: 'Call', callee: callee, arguments: args };
+}
+
+function combine(operator, nodes) {
+
+  return nodes.reduce(function(left, right) {
+    return { type: 'Binary', operator: operator, left: left, right: right };
+  });
+
+}
+
+// Snapshots compare and compute by their values.
+function value(result) {
+  return result.snapshot ? call(member(result.node, 'val'), []) : result.node;
+}
+
+// A rule is a boolean if the expression is just true or false.
+function ruleOf(node) {
+  return node.type === 'Literal' && typeof node.value === 'boolean' ?
+    node.value :
+    expression.print(node);
+}
+
+function andRules(a, b) {
+
+  if (a === false || b === false) {
+    return false;
+  }
+  return ruleOf(combine('&&', [expression.parse(String(a)), expression.parse(String(b))]));
+
+}
+
+function wildcardOf(node) {
+
+  return Object.keys(node).filter(function(key) {
+    return key.charAt(0) === '$';
+  })[0];
+
+}
+
+// Merges generated rules into a node, taking the node's wildcard name.
+function mergeInto(target, source) {
+
+  Object.keys(source).forEach(function(key) {
+
+    var into = key;
+
+    if (key === '.validate' && target.hasOwnProperty(key)) {
+      target[key] = andRules(target[key], source[key]);
+      return;
+    } else if (key.charAt(0) === '.') {
+      target[key] = source[key];
+      return;
+    } else if (key.charAt(0) === '$') {
+      into = wildcardOf(target) || key;
+    }
+
+    target[into] = target[into] || {};
+    mergeInto(target[into], source[key]);
+
+  });
+
+}
+
+
+function Compiler(source, filename) {
+
+  this.source = blankComments(source);
+  this.filename = filename;
+  this.pos = 0;
+
+  this.functions = {};
+  this.types = {};
+  this.paths = [];
+
+}
+
+Compiler.prototype.fail = function(offset, message) {
+
+  var before = this.source.slice(0, offset).split('\n');
+
+  return new errors.ParseError(message, {
+    file: this.filename,
+    line: before.length,
+    column: before[before.length - 1].length + 1
+  });
+
+};
+
+
+// Reading the source
+
+Compiler.prototype.skipSpace = function() {
+
+  while (this.pos < this.source.length && /\s/.test(this.source[this.pos])) {
+    this.pos++;
+  }
+
+};
+
+Compiler.prototype.unexpected = function(expectation) {
+
+  this.skipSpace();
+
+  if (this.pos >= this.source.length) {
+    return this.fail(this.pos, 'Unexpected end of file, expected ' + expectation);
+  }
+
+  var rest = this.source.slice(this.pos),
+    found = (IDENTIFIER.exec(rest) || [rest[0]])[0];
+
+  return this.fail(this.pos, 'Unexpected "' + found + '", expected ' + expectation);
+
+};
+
+Compiler.prototype.peekWord = function() {
+
+  this.skipSpace();
+
+  var match = IDENTIFIER.exec(this.source.slice(this.pos));
+  return match ? match[0] : null;
+
+};
+
+Compiler.prototype.word = function(expectation) {
+
+  var word = this.peekWord();
+
+  if (!word) {
+    throw this.unexpected(expectation);
+  }
+
+  this.pos += word.length;
+  return word;
+
+};
+
+Compiler.prototype.isChar = function(ch) {
+
+  this.skipSpace();
+  return this.source[this.pos] === ch;
+
+};
+
+Compiler.prototype.expect = function(ch) {
+
+  if (!this.isChar(ch)) {
+    throw this.unexpected('"' + ch + '"');
+  }
+  this.pos++;
+
+};
+
+// Reads "{ expression }" or "{ return expression; }" into a syntax tree.
+Compiler.prototype.body = function() {
+
+  this.expect('{');
+
+  var open = this.pos - 1,
+    depth = 1,
+    i = this.pos;
+
+  for (; i < this.source.length && depth > 0; i++) {
+
+    var ch = this.source[i];
+
+    if (ch === '"' || ch === '\'') {
+
+      for (i++; i < this.source.length && this.source[i] !== ch; i++) {
+        if (this.source[i] === '\\') {
+          i++;
+        }
+      }
+
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+    }
+
+  }
+
+  if (depth > 0) {
+    throw this.fail(open, 'Unclosed "{"');
+  }
+
+  var text = this.source.slice(open + 1, i - 1)
+  .replace(/^(\s*)return\b/, '$1      ')
+  .replace(/;(\s*)$/, ' $1');
+
+  this.pos = i;
+
+  try {
+    return { ast: expression.parse(text), offset: open + 1 };
+  } catch(e) {
+
+    if (e.offset === undefined) {
+      throw e;
+    }
+    throw this.fail(open + 1 + e.offset, e.reason);
+
+  }
+
+};
+
+
+// Parsing statements
+
+Compiler.prototype.parseFile = function() {
+
+  for (;;) {
+
+    this.skipSpace();
+    if (this.pos >= this.source.length) {
+      return;
+    }
+
+    var keyword = this.peekWord();
+
+    if (keyword === 'function') {
+      this.parseFunction();
+    } else if (keyword === 'path') {
+      this.parsePath([]);
+    } else if (keyword === 'type') {
+      this.parseType();
+    } else {
+      throw this.unexpected('function, path or type');
+    }
+
+  }
+
+};
+
+Compiler.prototype.parseFunction = function() {
+
+  this.word('function');
+  this.skipSpace();
+
+  var start = this.pos,
+    name = this.word('a function name'),
+    params = [];
+
+  if (this.functions.hasOwnProperty(name)) {
+    throw this.fail(start, 'Function ' + name + ' is already defined');
+  }
+
+  this.expect('(');
+  while (!this.isChar(')')) {
+
+    if (params.length > 0) {
+      this.expect(',');
+    }
+    params.push(this.word('a parameter name'));
+
+  }
+  this.expect(')');
+
+  var body = this.body();
+
+  this.functions[name] = { params: params, ast: body.ast, offset: body.offset };
+
+};
+
+Compiler.prototype.parsePath = function(parentSegments) {
+
+  this.word('path');
+  this.skipSpace();
+
+  var start = this.pos,
+    raw = (/^(\/(\{[A-Za-z_]\w*\}|[^\s{};\/]*))+/.exec(this.source.slice(this.pos)) || [])[0];
+
+  if (!raw) {
+    throw this.unexpected('a path like /users/{uid}');
+  }
+  this.pos += raw.length;
+
+  var segments = parentSegments.concat(raw.split('/').filter(Boolean).map(function(segment) {
+
+    var capture = /^\{([A-Za-z_]\w*)\}$/.exec(segment);
+
+    if (capture) {
+      return '$' + capture[1];
+    } else if (!/^\$[A-Za-z_]\w*$/.test(segment) && FORBIDDEN.test(segment)) {
+      throw this.fail(start, 'Invalid path segment "' + segment + '"');
+    }
+    return segment;
+
+  }, this));
+
+  var entry = { segments: segments, start: start, methods: {} };
+  this.paths.push(entry);
+
+  if (this.peekWord() === 'is') {
+    this.word('is');
+    entry.type = this.parseTypeExpression();
+  }
+
+  if (this.isChar(';')) {
+    this.pos++;
+  } else if (this.isChar('{')) {
+
+    this.pos++;
+
+    while (!this.isChar('}')) {
+
+      var methodStart = this.pos,
+        method = this.peekWord();
+
+      if (method === 'path') {
+        this.parsePath(segments);
+        continue;
+      } else if (!PATH_METHODS.hasOwnProperty(method)) {
+        throw this.unexpected('read(), write(), validate(), index() or a nested path');
+      } else if (entry.methods[method]) {
+        throw this.fail(methodStart, 'Path has more than one ' + method + '()');
+      }
+
+      this.word(method);
+      this.expect('(');
+      this.expect(')');
+      entry.methods[method] = this.body();
+
+    }
+
+    this.pos++;
+
+  }
+
+};
+
+Compiler.prototype.parseType = function() {
+
+  this.word('type');
+  this.skipSpace();
+
+  var start = this.pos,
+    name = this.word('a type name'),
+    type = { properties: {}, start: start };
+
+  if (BUILTIN_TYPES.hasOwnProperty(name) || this.types.hasOwnProperty(name)) {
+    throw this.fail(start, 'Type ' + name + ' is already defined');
+  }
+
+  if (this.peekWord() === 'extends') {
+    this.word('extends');
+    type.base = this.parseTypeExpression();
+  }
+
+  this.expect('{');
+
+  while (!this.isChar('}')) {
+
+    var propertyStart = this.pos,
+      property;
+
+    if (this.isChar('"') || this.isChar('\'')) {
+
+      var quoted = /^(["'])(.*?)\1/.exec(this.source.slice(this.pos));
+      if (!quoted) {
+        throw this.fail(propertyStart, 'Unterminated string');
+      }
+      property = quoted[2];
+      this.pos += quoted[0].length;
+
+    } else {
+      property = this.word('a property name or validate()');
+    }
+
+    if (this.isChar('(')) {
+
+      if (property !== 'validate' || type.validate) {
+        throw this.fail(propertyStart, 'Types can only have one method, validate()');
+      }
+      this.expect('(');
+      this.expect(')');
+      type.validate = this.body();
+
+    } else {
+
+      if (FORBIDDEN.test(property) || property.length === 0) {
+        throw this.fail(propertyStart, 'Property "' + property + '" can\'t be a Firebase key');
+      }
+
+      this.expect(':');
+      type.properties[property] = this.parseTypeExpression();
+
+      if (this.isChar(',') || this.isChar(';')) {
+        this.pos++;
+      }
+
+    }
+
+  }
+
+  this.pos++;
+  this.types[name] = type;
+
+};
+
+// Name, Name | Null, Map<String, Name> or Name[]
+Compiler.prototype.parseTypeExpression = function() {
+
+  var members = [];
+
+  do {
+
+    if (members.length > 0) {
+      this.pos++;
+    }
+
+    this.skipSpace();
+
+    var term = { start: this.pos, name: this.word('a type'), params: [] };
+
+    if (this.isChar('<')) {
+
+      this.pos++;
+      term.params.push(this.parseTypeExpression());
+      while (this.isChar(',')) {
+        this.pos++;
+        term.params.push(this.parseTypeExpression());
+      }
+      this.expect('>');
+
+    }
+
+    while (this.isChar('[')) {
+
+      this.pos++;
+      this.expect(']');
+      term = {
+        start: term.start,
+        name: 'Map',
+        params: [
+          { members: [{ name: 'String', params: [] }] },
+          { members: [term] }
+        ]
+      };
+
+    }
+
+    members.push(term);
+
+  } while (this.isChar('|'));
+
+  return { members: members };
+
+};
+
+
+// Translating expressions
+
+// Returns the translated node, and whether it stands for a snapshot.
+Compiler.prototype.translate = function(node, scope) {
+
+  var self = this;
+
+  function fail(offset, message) {
+    return self.fail(scope.offset + offset, message);
+  }
+
+  function translateValue(child) {
+    return value(self.translate(child, scope));
+  }
+
+  switch (node.type) {
+
+  case 'Literal':
+  case 'Regex':
+    return { node: node, snapshot: false };
+
+  case 'Identifier':
+
+    var bare = node.name.replace(/^\$/, '');
+
+    if (node.name === 'this') {
+      return { node: identifier(scope.snapshot), snapshot: true };
+    } else if (['root', 'data', 'newData'].indexOf(node.name) !== -1) {
+      return { node: identifier(node.name), snapshot: true };
+    } else if (node.name === 'auth' || node.name === 'now') {
+      return { node: identifier(node.name), snapshot: false };
+    } else if (scope.params.hasOwnProperty(node.name)) {
+      return scope.params[node.name];
+    } else if (scope.captures.indexOf(bare) !== -1) {
+      return { node: identifier('$' + bare), snapshot: false };
+    }
+
+    throw fail(node.start, 'Unknown name "' + node.name + '"');
+
+  case 'Array':
+    return {
+      node: { type: 'Array', elements: node.elements.map(translateValue) },
+      snapshot: false
+    };
+
+  case 'Member':
+
+    var object = this.translate(node.object, scope);
+
+    if (!object.snapshot) {
+      return { node: member(object.node, node.property), snapshot: false };
+    } else if (STRING_MEMBERS.indexOf(node.property) !== -1) {
+      return { node: member(value(object), node.property), snapshot: false };
+    } else if (rulesValidator.SNAPSHOT_METHODS.indexOf(node.property) !== -1) {
+      throw fail(node.propertyStart,
+        node.property + ' is a method; call it with ' + node.property + '()');
+    }
+
+    return {
+      node: call(member(object.node, 'child'), [literal(node.property)]),
+      snapshot: true
+    };
+
+  case 'Index':
+
+    var indexed = this.translate(node.object, scope),
+      index = translateValue(node.index);
+
+    return indexed.snapshot ?
+      { node: call(member(indexed.node, 'child'), [index]), snapshot: true } :
+      { node: { type: 'Index', object: indexed.node, index: index }, snapshot: false };
+
+  case 'Call':
+    return this.translateCall(node, scope, fail);
+
+  case 'Unary':
+    return {
+      node: { type: 'Unary', operator: node.operator, argument: translateValue(node.argument) },
+      snapshot: false
+    };
+
+  case 'Binary':
+    return {
+      node: {
+        type: 'Binary',
+        operator: node.operator,
+        left: translateValue(node.left),
+        right: translateValue(node.right)
+      },
+      snapshot: false
+    };
+
+  case 'Conditional':
+    return {
+      node: {
+        type: 'Conditional',
+        test: translateValue(node.test),
+        consequent: translateValue(node.consequent),
+        alternate: translateValue(node.alternate)
+      },
+      snapshot: false
+    };
+
+  }
+
+  throw fail(node.start, 'Unsupported expression');
+
+};
+
+Compiler.prototype.translateCall = function(node, scope, fail) {
+
+  var callee = node.callee,
+    args = node.arguments;
+
+  if (callee.type === 'Identifier') {
+
+    var name = callee.name,
+      fn = this.functions[name];
+
+    // prior(this) is the data before the write
+    if (name === 'prior') {
+
+      if (args.length !== 1) {
+        throw fail(node.start, 'prior() takes one argument');
+      }
+      return this.translate(args[0], {
+        snapshot: 'data',
+        captures: scope.captures,
+        params: scope.params,
+        offset: scope.offset,
+        calls: scope.calls
+      });
+
+    } else if (!fn) {
+      throw fail(node.start, 'Unknown function "' + name + '"');
+    } else if (args.length !== fn.params.length) {
+      throw fail(node.start, name + '() takes ' + fn.params.length + ' argument(s), not ' +
+        args.length);
+    } else if (scope.calls.indexOf(name) !== -1) {
+      throw fail(node.start, name + '() calls itself; functions can\'t be recursive');
+    }
+
+    var params = {};
+    fn.params.forEach(function(param, i) {
+      params[param] = this.translate(args[i], scope);
+    }, this);
+
+    // functions are inlined; they see their parameters, not path captures
+    return this.translate(fn.ast, {
+      snapshot: scope.snapshot,
+      captures: [],
+      params: params,
+      offset: fn.offset,
+      calls: scope.calls.concat(name)
+    });
+
+  } else if (callee.type !== 'Member') {
+    throw fail(node.start, 'Only functions and methods can be called');
+  }
+
+  var object = this.translate(callee.object, scope),
+    method = callee.property,
+    translatedArgs = args.map(function(arg) {
+      return value(this.translate(arg, scope));
+    }, this);
+
+  if (!object.snapshot) {
+    return { node: call(member(object.node, method), translatedArgs), snapshot: false };
+  } else if (rulesValidator.SNAPSHOT_METHODS.indexOf(method) !== -1) {
+    return {
+      node: call(member(object.node, method), translatedArgs),
+      snapshot: method === 'child' || method === 'parent'
+    };
+  } else if (STRING_MEMBERS.indexOf(method) !== -1) {
+    return { node: call(member(value(object), method), translatedArgs), snapshot: false };
+  }
+
+  throw fail(callee.propertyStart, 'Unknown method "' + method + '"');
+
+};
+
+Compiler.prototype.condition = function(body, scope) {
+
+  return value(this.translate(body.ast, {
+    snapshot: scope.snapshot,
+    captures: scope.captures || [],
+    params: {},
+    offset: body.offset,
+    calls: []
+  }));
+
+};
+
+
+// Generating rules
+
+// The .validate conditions and children a type expression stands for.
+Compiler.prototype.typeRules = function(typeExpression, stack) {
+
+  var members = typeExpression.members.filter(function(term) {
+      return term.name !== 'Null';
+    }),
+    optional = members.length < typeExpression.members.length,
+    rules;
+
+  if (members.length === 0) {
+    rules = { conditions: [literal(false)], children: {} };
+  } else if (members.length === 1) {
+    rules = this.termRules(members[0], stack);
+  } else if (members.some(function(term) { return term.name === 'Any'; })) {
+    rules = { conditions: [], children: {} };
+  } else {
+
+    rules = { conditions: [], children: {} };
+
+    var alternatives = members.map(function(term) {
+
+      if (!BUILTIN_TYPES[term.name]) {
+        throw this.fail(term.start,
+          'Only String, Number, Boolean and Object can be combined with |');
+      }
+      return this.termRules(term, stack).conditions[0];
+
+    }, this);
+
+    rules.conditions.push(combine('||', alternatives));
+
+  }
+
+  rules.optional = optional;
+  return rules;
+
+};
+
+Compiler.prototype.termRules = function(term, stack) {
+
+  var name = term.name,
+    type = this.types[name];
+
+  if (name === 'Map') {
+
+    var key = term.params[0];
+
+    if (term.params.length !== 2) {
+      throw this.fail(term.start,
+        'Map takes a key and a value type, like Map<String, Number>');
+    } else if (key.members.length !== 1 || key.members[0].name !== 'String') {
+      throw this.fail(term.start, 'Map keys must be String');
+    }
+
+    return {
+      conditions: [expression.parse(BUILTIN_TYPES.Object)],
+      children: { $key: this.nodeOf(this.typeRules(term.params[1], stack)) }
+    };
+
+  } else if (term.params.length > 0) {
+    throw this.fail(term.start, 'Only Map takes type parameters');
+  } else if (BUILTIN_TYPES.hasOwnProperty(name)) {
+
+    return {
+      conditions: BUILTIN_TYPES[name] ? [expression.parse(BUILTIN_TYPES[name])] : [],
+      children: {}
+    };
+
+  } else if (!type) {
+    throw this.fail(term.start, 'Unknown type "' + name + '"');
+  } else if (stack.indexOf(name) !== -1) {
+    throw this.fail(term.start,
+      'Type ' + name + ' contains itself; recursive types can\'t be turned into rules');
+  }
+
+  stack = stack.concat(name);
+
+  var rules = type.base ?
+      this.typeRules(type.base, stack) :
+      { conditions: [], children: {} },
+    properties = Object.keys(type.properties),
+    required = [];
+
+  properties.forEach(function(property) {
+
+    var propertyRules = this.typeRules(type.properties[property], stack);
+
+    rules.children[property] = this.nodeOf(propertyRules);
+    if (!propertyRules.optional) {
+      required.push(literal(property));
+    }
+
+  }, this);
+
+  if (properties.length > 0) {
+
+    rules.children.$other = { '.validate': false };
+
+    if (required.length > 0) {
+      rules.conditions.push(call(member(identifier('newData'), 'hasChildren'), [
+        { type: 'Array', elements: required }
+      ]));
+    } else if (!type.base) {
+      rules.conditions.push(expression.parse(BUILTIN_TYPES.Object));
+    }
+
+  }
+
+  if (type.validate) {
+    rules.conditions.push(this.condition(type.validate, { snapshot: 'newData' }));
+  }
+
+  return rules;
+
+};
+
+Compiler.prototype.nodeOf = function(rules) {
+
+  var node = {};
+
+  if (rules.conditions.length > 0) {
+    node['.validate'] = ruleOf(combine('&&', rules.conditions));
+  }
+  Object.keys(rules.children).forEach(function(key) {
+    node[key] = rules.children[key];
+  });
+
+  return node;
+
+};
+
+Compiler.prototype.pathNode = function(tree, entry) {
+
+  var node = tree;
+
+  entry.segments.forEach(function(segment) {
+
+    var wildcard = wildcardOf(node);
+
+    if (segment.charAt(0) === '$' && wildcard && wildcard !== segment) {
+      throw this.fail(entry.start, 'Path uses ' + segment + ' where another uses ' +
+        wildcard + '; there can only be one wildcard per level');
+    }
+
+    node[segment] = node[segment] || {};
+    node = node[segment];
+
+  }, this);
+
+  return node;
+
+};
+
+Compiler.prototype.compile = function() {
+
+  this.parseFile();
+
+  var tree = {};
+
+  this.paths.forEach(function(entry) {
+
+    var node = this.pathNode(tree, entry),
+      captures = entry.segments.filter(function(segment) {
+        return segment.charAt(0) === '$';
+      }).map(function(segment) {
+        return segment.slice(1);
+      }),
+      methods = entry.methods,
+      generated = {};
+
+    if (entry.type) {
+      generated = this.nodeOf(this.typeRules(entry.type, []));
+    }
+
+    ['read', 'write', 'validate'].forEach(function(method) {
+
+      if (!methods[method]) {
+        return;
+      }
+
+      var key = PATH_METHODS[method];
+
+      if (node.hasOwnProperty(key) && method !== 'validate') {
+        throw this.fail(entry.start, 'Another path already sets ' + method + '() here');
+      }
+
+      var rule = ruleOf(this.condition(methods[method], {
+        snapshot: method === 'read' ? 'data' : 'newData',
+        captures: captures
+      }));
+
+      generated[key] = generated.hasOwnProperty(key) ? andRules(generated[key], rule) : rule;
+
+    }, this);
+
+    if (methods.index) {
+
+      var index = methods.index.ast,
+        fields = index.type === 'Array' ? index.elements : [index];
+
+      fields.forEach(function(field) {
+        if (field.type !== 'Literal' || typeof field.value !== 'string') {
+          throw this.fail(methods.index.offset + field.start,
+            'index() must be a child name or an array of them');
+        }
+      }, this);
+
+      generated['.indexOn'] = index.type === 'Array' ?
+        fields.map(function(field) { return field.value; }) :
+        index.value;
+
+    }
+
+    mergeInto(node, generated);
+
+  }, this);
+
+  return { rules: tree };
+
+};
+
+
+/**
+ * Compiles rules written in a small language, in the spirit of Bolt, into
+ * the JSON rules setRules() takes. A file holds any number of:
+ *
+ * - path statements, like path /users/{uid} is User { read() { isSignedIn() } },
+ *   with read(), write(), validate() and index() methods and nested paths.
+ *   {uid} becomes a $uid wildcard, and uid in expressions stands for it.
+ * - functions, like function isOwner(uid) { auth != null && auth.uid == uid },
+ *   which are inlined wherever they're called.
+ * - types, like type User { name: String, age: Number | Null,
+ *   validate() { this.name.length < 50 } }. Properties are required unless
+ *   they can be Null, and others are refused. String, Number, Boolean,
+ *   Object, Any, Null, Map<String, Type> and Type[] are built in, and a type
+ *   can extend another.
+ *
+ * In expressions, this is the new data (the current data in read()),
+ * prior(this) is the data before a write, and child snapshots read like
+ * properties: this.name.length < 50 becomes
+ * newData.child('name').val().length < 50.
+ * @param {String} source The rules source.
+ * @param {Object} [options] Compiler options.
+ * @param {String} [options.filename] Where the source came from, for errors.
+ * @returns {Object} The rules, with a top-level "rules" key.
+ * @throws {ParseError} With the line and column of the first problem.
+ */
+function compile(source, options) {
+
+  options = options || {};
+  return new Compiler(source, options.filename).compile();
+
+}
+
+
+module.exports = {
+  compile: compile
+};
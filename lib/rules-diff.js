@@ -0,0 +1,145 @@
+'use strict';
+
+var paths = require('./paths');
+
+/**
+ * The rule keys a diff looks at, in the order they're reported.
+ */
+var RULE_KEYS = ['.read', '.write', '.validate', '.indexOn'];
+
+
+function unwrap(rules) {
+
+  if (rules && typeof rules === 'object' && rules.rules &&
+    Object.keys(rules).length === 1) {
+    return rules.rules;
+  }
+  return rules || {};
+
+}
+
+// Rules are strings or booleans, and true means the same as "true".
+// Index order doesn't matter, and a single field needn't be in an array.
+function normalize(key, value) {
+
+  if (key === '.indexOn') {
+    return JSON.stringify([].concat(value).map(String).sort());
+  }
+  return String(value).trim();
+
+}
+
+function children(node) {
+
+  if (!node || typeof node !== 'object') {
+    return [];
+  }
+
+  return Object.keys(node).filter(function(key) {
+    return key.charAt(0) !== '.';
+  });
+
+}
+
+function walk(before, after, segments, changes) {
+
+  RULE_KEYS.forEach(function(key) {
+
+    var had = before && typeof before === 'object' && before.hasOwnProperty(key),
+      has = after && typeof after === 'object' && after.hasOwnProperty(key),
+      change = {
+        path: paths.join(segments),
+        key: key
+      };
+
+    if (had && !has) {
+      change.type = 'removed';
+      change.before = before[key];
+    } else if (has && !had) {
+      change.type = 'added';
+      change.after = after[key];
+    } else if (had && has && normalize(key, before[key]) !== normalize(key, after[key])) {
+      change.type = 'changed';
+      change.before = before[key];
+      change.after = after[key];
+    } else {
+      return;
+    }
+
+    changes.push(change);
+
+  });
+
+  var keys = children(before);
+  children(after).forEach(function(key) {
+    if (keys.indexOf(key) === -1) {
+      keys.push(key);
+    }
+  });
+
+  keys.sort().forEach(function(key) {
+    walk(before && before[key], after && after[key], segments.concat(key), changes);
+  });
+
+  return changes;
+
+}
+
+
+/**
+ * Works out how one set of security rules differs from another, rule by rule.
+ * Either set may have a top-level "rules" key.
+ * @param {Object} before The current rules.
+ * @param {Object} after The new rules.
+ * @returns {Array} The changes, depth first, each an Object with the path of
+ * the rule's node, its key ('.read', '.write', '.validate' or '.indexOn'),
+ * a type ('added', 'removed' or 'changed') and the before and after values
+ * as applicable. Empty if the rules are equivalent.
+ * @example
+ * rulesDiff.diff({ '.read': true }, { '.read': 'auth !== null' });
+ * // [{ path: '/', key: '.read', type: 'changed',
+ * //    before: true, after: 'auth !== null' }]
+ */
+function diff(before, after) {
+  return walk(unwrap(before), unwrap(after), [], []);
+}
+
+
+/**
+ * Formats a diff for people, one line per added or removed value, with the
+ * chalk-style colorizers supplied.
+ * @param {Array} changes The changes from {@link diff}.
+ * @param {Object} [colors] Functions to color added, removed and path text.
+ * @returns {String} The formatted diff, with a trailing newline unless empty.
+ */
+function format(changes, colors) {
+
+  colors = colors || {};
+
+  var added = colors.added || String,
+    removed = colors.removed || String,
+    heading = colors.path || String;
+
+  return changes.map(function(change) {
+
+    var lines = [heading(change.path + ' ' + change.key)];
+
+    if (change.type !== 'added') {
+      lines.push(removed('- ' + JSON.stringify(change.before)));
+    }
+    if (change.type !== 'removed') {
+      lines.push(added('+ ' + JSON.stringify(change.after)));
+    }
+
+    return lines.join('\n') + '\n';
+
+  }).join('');
+
+}
+
+
+module.exports = {
+  RULE_KEYS: RULE_KEYS,
+  diff: diff,
+  format: format
+};
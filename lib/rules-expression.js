@@ -0,0 +1,495 @@
+'use strict';
+
+var errors = require('./errors');
+
+
+// Longest first, so "===" isn't read as "==" and "=".
+var PUNCTUATORS = [
+  '===', '!==',
+  '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', '[', ']', '.', ',', '?', ':'
+];
+
+var BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3, '===': 3, '!==': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+
+var KEYWORDS = {
+  'true': true,
+  'false': false,
+  'null': null
+};
+
+
+function position(source, offset) {
+
+  var before = source.slice(0, offset).split('\n');
+  return {
+    line: before.length,
+    column: before[before.length - 1].length + 1
+  };
+
+}
+
+function fail(source, offset, message) {
+
+  var where = position(source, offset),
+    err = new errors.ParseError(message, where);
+
+  err.offset = offset;
+  return err;
+
+}
+
+
+function tokenize(source) {
+
+  var tokens = [],
+    i = 0,
+    match;
+
+  // a slash starts a regular expression unless it follows a value
+  function regexAllowed() {
+
+    var last = tokens[tokens.length - 1];
+    return !last || (last.type === 'punctuator' && [')', ']'].indexOf(last.value) === -1);
+
+  }
+
+  while (i < source.length) {
+
+    var rest = source.slice(i),
+      start = i;
+
+    if ((match = /^\s+/.exec(rest))) {
+      i += match[0].length;
+      continue;
+    }
+
+    if ((match = /^\d+(\.\d+)?/.exec(rest))) {
+
+      tokens.push({ type: 'number', value: parseFloat(match[0]), start: start });
+      i += match[0].length;
+
+    } else if ((match = /^[A-Za-z_$][\w$]*/.exec(rest))) {
+
+      tokens.push({ type: 'identifier', value: match[0], start: start });
+      i += match[0].length;
+
+    } else if (rest[0] === '"' || rest[0] === '\'') {
+
+      var quote = rest[0],
+        value = '',
+        j = 1;
+
+      while (j < rest.length && rest[j] !== quote) {
+
+        if (rest[j] === '\\' && j + 1 < rest.length) {
+          j++;
+          value += { n: '\n', t: '\t', r: '\r' }[rest[j]] || rest[j];
+        } else {
+          value += rest[j];
+        }
+        j++;
+
+      }
+
+      if (j >= rest.length) {
+        throw fail(source, start, 'Unterminated string');
+      }
+
+      tokens.push({ type: 'string', value: value, start: start });
+      i += j + 1;
+
+    } else if (rest[0] === '/' && regexAllowed()) {
+
+      match = /^\/((?:\\.|[^\\\/\n])+)\/([a-z]*)/.exec(rest);
+      if (!match) {
+        throw fail(source, start, 'Unterminated regular expression');
+      }
+
+      try {
+        new RegExp(match[1], match[2]);
+      } catch(e) {
+        throw fail(source, start, 'Invalid regular expression: ' + e.message);
+      }
+
+      tokens.push({ type: 'regex', pattern: match[1], flags: match[2], start: start });
+      i += match[0].length;
+
+    } else {
+
+      var punctuator = null;
+      for (var p = 0; p < PUNCTUATORS.length && !punctuator; p++) {
+        if (rest.indexOf(PUNCTUATORS[p]) === 0) {
+          punctuator = PUNCTUATORS[p];
+        }
+      }
+
+      if (!punctuator) {
+        throw fail(source, start, rest[0] === '=' ?
+          'Unexpected "=", did you mean "=="?' :
+          'Unexpected character "' + rest[0] + '"');
+      }
+
+      tokens.push({ type: 'punctuator', value: punctuator, start: start });
+      i += punctuator.length;
+
+    }
+
+  }
+
+  tokens.push({ type: 'end', start: source.length });
+  return tokens;
+
+}
+
+
+function Parser(source) {
+  this.source = source;
+  this.tokens = tokenize(source);
+  this.index = 0;
+}
+
+Parser.prototype.peek = function() {
+  return this.tokens[this.index];
+};
+
+Parser.prototype.next = function() {
+  return this.tokens[this.index++];
+};
+
+Parser.prototype.isPunctuator = function(value) {
+  var token = this.peek();
+  return token.type === 'punctuator' && token.value === value;
+};
+
+Parser.prototype.expect = function(value) {
+
+  var token = this.peek();
+  if (!this.isPunctuator(value)) {
+    throw this.unexpected(token, 'expected "' + value + '"');
+  }
+  return this.next();
+
+};
+
+Parser.prototype.unexpected = function(token, expectation) {
+
+  var found = token.type === 'end' ? 'end of expression' :
+    '"' + this.source.slice(token.start, this.tokens[this.index + 1] ?
+      this.tokens[this.index + 1].start : this.source.length).trim() + '"';
+
+  return fail(this.source, token.start,
+    'Unexpected ' + found + (expectation ? ', ' + expectation : ''));
+
+};
+
+Parser.prototype.parseExpression = function() {
+
+  var test = this.parseBinary(1);
+
+  if (!this.isPunctuator('?')) {
+    return test;
+  }
+
+  this.next();
+  var consequent = this.parseExpression();
+  this.expect(':');
+
+  return {
+    type: 'Conditional',
+    test: test,
+    consequent: consequent,
+    alternate: this.parseExpression(),
+    start: test.start
+  };
+
+};
+
+Parser.prototype.parseBinary = function(minPrecedence) {
+
+  var left = this.parseUnary();
+
+  for (;;) {
+
+    var token = this.peek(),
+      precedence = token.type === 'punctuator' && BINARY_PRECEDENCE[token.value];
+
+    if (!precedence || precedence < minPrecedence) {
+      return left;
+    }
+
+    this.next();
+    left = {
+      type: 'Binary',
+      operator: token.value,
+      left: left,
+      right: this.parseBinary(precedence + 1),
+      start: left.start
+    };
+
+  }
+
+};
+
+Parser.prototype.parseUnary = function() {
+
+  var token = this.peek();
+
+  if (this.isPunctuator('!') || this.isPunctuator('-')) {
+
+    this.next();
+    return {
+      type: 'Unary',
+      operator: token.value,
+      argument: this.parseUnary(),
+      start: token.start
+    };
+
+  }
+
+  return this.parsePostfix(this.parsePrimary());
+
+};
+
+Parser.prototype.parsePostfix = function(node) {
+
+  for (;;) {
+
+    var token = this.peek();
+
+    if (this.isPunctuator('.')) {
+
+      this.next();
+      var property = this.next();
+      if (property.type !== 'identifier') {
+        this.index--;
+        throw this.unexpected(property, 'expected a property name');
+      }
+
+      node = {
+        type: 'Member',
+        object: node,
+        property: property.value,
+        start: node.start,
+        propertyStart: property.start
+      };
+
+    } else if (this.isPunctuator('[')) {
+
+      this.next();
+      node = {
+        type: 'Index',
+        object: node,
+        index: this.parseExpression(),
+        start: node.start
+      };
+      this.expect(']');
+
+    } else if (this.isPunctuator('(')) {
+
+      this.next();
+      node = {
+        type: 'Call',
+        callee: node,
+        arguments: this.parseList(')'),
+        start: node.start
+      };
+
+    } else {
+      return node;
+    }
+
+  }
+
+};
+
+Parser.prototype.parseList = function(close) {
+
+  var items = [];
+
+  if (this.isPunctuator(close)) {
+    this.next();
+    return items;
+  }
+
+  for (;;) {
+
+    items.push(this.parseExpression());
+
+    if (this.isPunctuator(',')) {
+      this.next();
+    } else {
+      this.expect(close);
+      return items;
+    }
+
+  }
+
+};
+
+Parser.prototype.parsePrimary = function() {
+
+  var token = this.next();
+
+  if (token.type === 'number' || token.type === 'string') {
+    return { type: 'Literal', value: token.value, start: token.start };
+  } else if (token.type === 'regex') {
+    return { type: 'Regex', pattern: token.pattern, flags: token.flags, start: token.start };
+  } else if (token.type === 'identifier') {
+
+    if (KEYWORDS.hasOwnProperty(token.value)) {
+      return { type: 'Literal', value: KEYWORDS[token.value], start: token.start };
+    }
+    return { type: 'Identifier', name: token.value, start: token.start };
+
+  } else if (token.type === 'punctuator' && token.value === '(') {
+
+    var inner = this.parseExpression();
+    this.expect(')');
+    return inner;
+
+  } else if (token.type === 'punctuator' && token.value === '[') {
+    return { type: 'Array', elements: this.parseList(']'), start: token.start };
+  }
+
+  this.index--;
+  throw this.unexpected(token);
+
+};
+
+
+/**
+ * Parses a security rule expression into a syntax tree. Every node has a
+ * type and the offset in the source where it starts:
+ *
+ * - Literal: value (a string, number, boolean or null)
+ * - Regex: pattern, flags
+ * - Identifier: name
+ * - Array: elements
+ * - Member: object, property (a name)
+ * - Index: object, index (a node)
+ * - Call: callee, arguments
+ * - Unary: operator, argument
+ * - Binary: operator, left, right
+ * - Conditional: test, consequent, alternate
+ * @param {String} source The expression.
+ * @returns {Object} The root node.
+ * @throws {ParseError} With the line and column of the first syntax error
+ * and its offset in the source.
+ */
+function parse(source) {
+
+  var parser = new Parser(source);
+
+  if (parser.peek().type === 'end') {
+    throw fail(source, 0, 'Empty expression');
+  }
+
+  var node = parser.parseExpression();
+
+  if (parser.peek().type !== 'end') {
+    throw parser.unexpected(parser.peek());
+  }
+
+  return node;
+
+}
+
+
+/**
+ * Calls visit with every node of a syntax tree, parents before children.
+ * @param {Object} node The root node.
+ * @param {Function} visit Called with each node and its parent.
+ */
+function walk(node, visit, parent) {
+
+  visit(node, parent);
+
+  ['object', 'index', 'callee', 'argument', 'left', 'right',
+    'test', 'consequent', 'alternate'].forEach(function(key) {
+    if (node[key]) {
+      walk(node[key], visit, node);
+    }
+  });
+
+  (node.arguments || node.elements || []).forEach(function(child) {
+    walk(child, visit, node);
+  });
+
+}
+
+
+function precedenceOf(node) {
+
+  if (node.type === 'Conditional') {
+    return 0;
+  } else if (node.type === 'Binary') {
+    return BINARY_PRECEDENCE[node.operator];
+  } else if (node.type === 'Unary') {
+    return 7;
+  }
+  return 8;
+
+}
+
+function printWithin(node, minPrecedence) {
+
+  var source = print(node);
+  return precedenceOf(node) < minPrecedence ? '(' + source + ')' : source;
+
+}
+
+/**
+ * Turns a syntax tree, as parse() returns, back into an expression, with
+ * only the parentheses it needs.
+ * @param {Object} node The root node.
+ * @returns {String} The expression.
+ */
+function print(node) {
+
+  switch (node.type) {
+  case 'Literal':
+    return typeof node.value === 'string' ?
+      '\'' + node.value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')
+        .replace(/\n/g, '\\n') + '\'' :
+      String(node.value);
+  case 'Regex':
+    return '/' + node.pattern + '/' + node.flags;
+  case 'Identifier':
+    return node.name;
+  case 'Array':
+    return '[' + node.elements.map(print).join(', ') + ']';
+  case 'Member':
+    return printWithin(node.object, 8) + '.' + node.property;
+  case 'Index':
+    return printWithin(node.object, 8) + '[' + print(node.index) + ']';
+  case 'Call':
+    return printWithin(node.callee, 8) + '(' + node.arguments.map(print).join(', ') + ')';
+  case 'Unary':
+    var argument = printWithin(node.argument, 7);
+    return node.operator + (argument.charAt(0) === '-' ? ' ' : '') + argument;
+  case 'Binary':
+    return printWithin(node.left, precedenceOf(node)) + ' ' + node.operator + ' ' +
+      printWithin(node.right, precedenceOf(node) + 1);
+  case 'Conditional':
+    return printWithin(node.test, 1) + ' ? ' + print(node.consequent) + ' : ' +
+      print(node.alternate);
+  }
+
+  throw new Error('Unknown expression node type "' + node.type + '"');
+
+}
+
+
+module.exports = {
+  parse: parse,
+  walk: walk,
+  print: print
+};
@@ -0,0 +1,302 @@
+'use strict';
+
+var paths = require('./paths');
+
+var FORBIDDEN = /[.#$\[\]\/]/;
+
+var TYPE_CHECKS = {
+  string: 'newData.isString()',
+  number: 'newData.isNumber()',
+  integer: '(newData.isNumber() && newData.val() % 1 === 0)',
+  boolean: 'newData.isBoolean()',
+  object: 'newData.hasChildren()',
+  array: 'newData.hasChildren()'
+};
+
+
+// A Javascript literal for a string, number or boolean.
+function literal(value) {
+
+  if (typeof value === 'string') {
+    return '\'' + value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'') + '\'';
+  } else if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  throw new Error('Only strings, numbers and booleans can be enum values, not ' +
+    JSON.stringify(value));
+
+}
+
+function any(conditions) {
+  return conditions.length === 1 ? conditions[0] : '(' + conditions.join(' || ') + ')';
+}
+
+function typesOf(schema) {
+
+  return [].concat(schema.type || []).filter(function(type) {
+    return type !== 'null';
+  });
+
+}
+
+// Conditions that only apply to values of one type, e.g. minLength, are
+// guarded so values of other types aren't held to them.
+function guarded(conditions, type, types) {
+
+  if (conditions.length === 0) {
+    return [];
+  } else if (types.length === 1 && (types[0] === type ||
+    (type === 'number' && types[0] === 'integer'))) {
+    return conditions;
+  }
+
+  return ['(!' + TYPE_CHECKS[type] + ' || ' + conditions.join(' && ') + ')'];
+
+}
+
+function numberConditions(schema) {
+
+  var conditions = [];
+
+  if (schema.minimum !== undefined) {
+    conditions.push('newData.val() ' + (schema.exclusiveMinimum === true ? '>' : '>=') +
+      ' ' + schema.minimum);
+  }
+  if (typeof schema.exclusiveMinimum === 'number') {
+    conditions.push('newData.val() > ' + schema.exclusiveMinimum);
+  }
+  if (schema.maximum !== undefined) {
+    conditions.push('newData.val() ' + (schema.exclusiveMaximum === true ? '<' : '<=') +
+      ' ' + schema.maximum);
+  }
+  if (typeof schema.exclusiveMaximum === 'number') {
+    conditions.push('newData.val() < ' + schema.exclusiveMaximum);
+  }
+
+  return conditions;
+
+}
+
+function stringConditions(schema) {
+
+  var conditions = [];
+
+  if (schema.minLength !== undefined) {
+    conditions.push('newData.val().length >= ' + schema.minLength);
+  }
+  if (schema.maxLength !== undefined) {
+    conditions.push('newData.val().length <= ' + schema.maxLength);
+  }
+  if (schema.pattern !== undefined) {
+    conditions.push('newData.val().matches(/' +
+      schema.pattern.replace(/\\\//g, '/').replace(/\//g, '\\/') + '/)');
+  }
+
+  return conditions;
+
+}
+
+
+function Generator(document) {
+  this.document = document;
+  this.resolving = [];
+}
+
+// Follows local references like "#/definitions/address".
+Generator.prototype.resolve = function(schema) {
+
+  if (!schema.$ref) {
+    return schema;
+  }
+
+  if (schema.$ref.charAt(0) !== '#') {
+    throw new Error('Only local schema references are supported, not ' + schema.$ref);
+  } else if (this.resolving.indexOf(schema.$ref) !== -1) {
+    throw new Error('Recursive schema reference ' + schema.$ref +
+      ' can\'t be turned into rules');
+  }
+
+  var target = this.document;
+  schema.$ref.slice(1).split('/').filter(Boolean).forEach(function(part) {
+
+    part = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!target || typeof target !== 'object' || !target.hasOwnProperty(part)) {
+      throw new Error('Schema reference ' + schema.$ref + ' points nowhere');
+    }
+    target = target[part];
+
+  });
+
+  return target;
+
+};
+
+Generator.prototype.node = function(schema) {
+
+  var ref = schema.$ref;
+  schema = this.resolve(schema);
+
+  if (ref) {
+    this.resolving.push(ref);
+  }
+
+  var rules = {},
+    types = typesOf(schema),
+    required = schema.required || [],
+    conditions = [];
+
+  // hasChildren([...]) already says it's an object
+  if (types.length > 0 && !(required.length > 0 && types.join() === 'object')) {
+    conditions.push(any(types.map(function(type) {
+
+      if (!TYPE_CHECKS[type]) {
+        throw new Error('Unknown schema type "' + type + '"');
+      }
+      return TYPE_CHECKS[type];
+
+    })));
+  }
+
+  if (required.length > 0) {
+    conditions.push('newData.hasChildren([' + required.map(literal).join(', ') + '])');
+  }
+
+  conditions = conditions
+  .concat(guarded(stringConditions(schema), 'string', types))
+  .concat(guarded(numberConditions(schema), 'number', types));
+
+  var allowed = schema.enum || (schema.hasOwnProperty('const') ? [schema.const] : null);
+  if (allowed) {
+    conditions.push(any(allowed.map(function(value) {
+      return 'newData.val() === ' + literal(value);
+    })));
+  }
+
+  if (conditions.length > 0) {
+    rules['.validate'] = conditions.join(' && ');
+  }
+
+  Object.keys(schema.properties || {}).forEach(function(name) {
+
+    if (FORBIDDEN.test(name) || name.length === 0) {
+      throw new Error('Property "' + name + '" can\'t be a Firebase key');
+    }
+    rules[name] = this.node(schema.properties[name]);
+
+  }, this);
+
+  if (schema.additionalProperties === false) {
+    rules.$other = { '.validate': false };
+  } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    rules[schema.properties ? '$other' : '$key'] = this.node(schema.additionalProperties);
+  } else if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+    rules.$index = this.node(schema.items);
+  }
+
+  if (ref) {
+    this.resolving.pop();
+  }
+
+  return rules;
+
+};
+
+
+/**
+ * Turns a JSON Schema document into security rules holding only .validate
+ * rules. Types, required properties, string lengths and patterns, numeric
+ * ranges, enums and consts become expressions; properties become children;
+ * additionalProperties: false becomes a $other child that refuses
+ * everything, and additionalProperties or items schemas become wildcard
+ * children. Local $refs are followed.
+ * @param {Object} schema The JSON Schema document.
+ * @param {Object} [options] Generator options.
+ * @param {String} [options.path=/] Where in the database the schema applies.
+ * @returns {Object} The rules, without a top-level "rules" key.
+ * @throws {Error} If the schema can't be expressed as rules.
+ * @example
+ * rulesGenerator.fromSchema({
+ *   type: 'object',
+ *   required: ['name'],
+ *   properties: { name: { type: 'string', maxLength: 50 } },
+ *   additionalProperties: false
+ * }, { path: '/users/$uid' });
+ */
+function fromSchema(schema, options) {
+
+  options = options || {};
+
+  var rules = new Generator(schema).node(schema);
+
+  paths.split(options.path || '/').reverse().forEach(function(segment) {
+    var parent = {};
+    parent[segment] = rules;
+    rules = parent;
+  });
+
+  return rules;
+
+}
+
+
+function mergeNode(existing, generated) {
+
+  var merged = {};
+
+  if (existing && typeof existing === 'object' && !Array.isArray(existing)) {
+    Object.keys(existing).forEach(function(key) {
+      merged[key] = existing[key];
+    });
+  }
+
+  Object.keys(generated).forEach(function(key) {
+
+    if (key.charAt(0) === '.') {
+      merged[key] = generated[key];
+      return;
+    }
+
+    var target = key;
+
+    // there can only be one wildcard per level, so use the existing one's name
+    if (key.charAt(0) === '$') {
+      target = Object.keys(merged).filter(function(name) {
+        return name.charAt(0) === '$';
+      })[0] || key;
+    }
+
+    merged[target] = mergeNode(merged[target], generated[key]);
+
+  });
+
+  return merged;
+
+}
+
+
+/**
+ * Merges generated rules into existing ones, such as those getRules()
+ * returns. Generated .validate rules replace existing ones at the same
+ * place; everything else in the existing rules is kept. Generated wildcards
+ * take the name of an existing wildcard at the same level.
+ * @param {Object} rules The existing rules, with or without a top-level
+ * "rules" key.
+ * @param {Object} generated Rules from {@link fromSchema}.
+ * @returns {Object} The merged rules, without a top-level "rules" key.
+ */
+function merge(rules, generated) {
+
+  if (rules && typeof rules === 'object' && rules.rules && Object.keys(rules).length === 1) {
+    rules = rules.rules;
+  }
+
+  return mergeNode(rules, generated);
+
+}
+
+
+module.exports = {
+  fromSchema: fromSchema,
+  merge: merge
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+var fs = require('fs'),
+  path = require('path'),
+  JSON5 = require('json5'),
+  yaml = require('js-yaml'),
+  errors = require('./errors'),
+  rulesCompiler = require('./rules-compiler');
+
+
+var FORMATS = {
+  '.json': 'json',
+  '.json5': 'json',
+  '.rules': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.js': 'js',
+  '.bolt': 'bolt'
+};
+
+
+/**
+ * Works out the format of a rules file from its name.
+ * @param {String} filename The rules file.
+ * @returns {String} 'json', 'yaml', 'bolt' or 'js'. Unknown extensions are
+ * 'json'.
+ */
+function formatOf(filename) {
+  return FORMATS[path.extname(filename || '').toLowerCase()] || 'json';
+}
+
+
+function checkRules(rules, filename) {
+
+  if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new errors.ParseError('Security rules must be an object', { file: filename });
+  }
+
+  return rules;
+
+}
+
+
+/**
+ * Parses security rules source. JSON may have comments and trailing commas,
+ * as Firebase's own rules editor allows.
+ * @param {String} source The rules source.
+ * @param {Object} [options] Parsing options.
+ * @param {String} [options.format=json] 'json', 'yaml' or 'bolt', the rules
+ * language lib/rules-compiler.js compiles.
+ * @param {String} [options.filename] Where the source came from, for errors.
+ * @returns {Object} The rules.
+ * @throws {ParseError} If the source can't be parsed or isn't an object.
+ */
+function parse(source, options) {
+
+  options = options || {};
+
+  var format = options.format || 'json',
+    filename = options.filename;
+
+  if (format === 'yaml') {
+
+    try {
+      return checkRules(yaml.safeLoad(source, { filename: filename }), filename);
+    } catch(e) {
+
+      if (e instanceof errors.ParseError) {
+        throw e;
+      }
+
+      throw new errors.ParseError(e.reason || e.message, {
+        file: filename,
+        line: e.mark ? e.mark.line + 1 : undefined,
+        column: e.mark ? e.mark.column + 1 : undefined
+      });
+
+    }
+
+  } else if (format === 'json') {
+
+    var rules;
+
+    try {
+      rules = JSON5.parse(source);
+    } catch(e) {
+
+      throw new errors.ParseError(
+        e.message.replace(/^JSON5: /, '').replace(/ at \d+:\d+$/, ''),
+        { file: filename, line: e.lineNumber, column: e.columnNumber }
+      );
+
+    }
+
+    return checkRules(rules, filename);
+
+  } else if (format === 'bolt') {
+    return rulesCompiler.compile(source, { filename: filename });
+  }
+
+  throw new Error('Unknown rules format "' + format + '"');
+
+}
+
+
+/**
+ * Loads security rules from a file: JSON (with comments and trailing commas),
+ * YAML, the rules language in .bolt files, or a Javascript module exporting
+ * either the rules or a function that takes the environment variables and
+ * returns them.
+ * @param {String} filename The rules file.
+ * @param {Object} [options] Loading options.
+ * @param {Object} [options.env=process.env] What to pass a module's function.
+ * @returns {Object} The rules.
+ * @throws {ParseError} If the file can't be parsed or doesn't hold rules.
+ * @example
+ * // rules.js
+ * module.exports = function(env) {
+ *   return {
+ *     '.read': env.NODE_ENV !== 'production',
+ *     '.write': false
+ *   };
+ * };
+ *
+ * instance.setRules(rulesLoader.load('rules.js'));
+ */
+function load(filename, options) {
+
+  options = options || {};
+
+  var format = formatOf(filename);
+
+  if (format !== 'js') {
+
+    return parse(fs.readFileSync(filename, 'utf8'), {
+      format: format,
+      filename: filename
+    });
+
+  }
+
+  var modulePath = path.resolve(filename),
+    exported;
+
+  // always load the current version of the file
+  delete require.cache[modulePath];
+
+  try {
+    exported = require(modulePath);
+  } catch(e) {
+
+    if (e.code === 'MODULE_NOT_FOUND' && e.message.indexOf(modulePath) !== -1) {
+      throw e;
+    }
+
+    var position = /:(\d+)(?::(\d+))?\s*$/m.exec((e.stack || '').split('\n')[0]) || [];
+    throw new errors.ParseError(e.message, {
+      file: filename,
+      line: position[1] ? parseInt(position[1], 10) : undefined,
+      column: position[2] ? parseInt(position[2], 10) : undefined
+    });
+
+  }
+
+  if (typeof exported === 'function') {
+    exported = exported(options.env || process.env);
+  }
+
+  return checkRules(exported, filename);
+
+}
+
+
+module.exports = {
+  formatOf: formatOf,
+  parse: parse,
+  load: load
+};
@@ -0,0 +1,568 @@
+'use strict';
+
+var expression = require('./rules-expression'),
+  paths = require('./paths');
+
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function valueAt(value, segments) {
+
+  for (var i = 0; i < segments.length; i++) {
+
+    if (value === null || typeof value !== 'object' || !value.hasOwnProperty(segments[i])) {
+      return null;
+    }
+    value = value[segments[i]];
+
+  }
+
+  return value === undefined ? null : value;
+
+}
+
+// Returns a copy of tree with value at segments; null removes it, and
+// parents left empty go too, as in Firebase.
+function withValue(tree, segments, value) {
+
+  if (segments.length === 0) {
+    return value;
+  }
+
+  var copy = {},
+    key = segments[0];
+
+  if (tree !== null && typeof tree === 'object') {
+    Object.keys(tree).forEach(function(child) {
+      copy[child] = tree[child];
+    });
+  }
+
+  var child = withValue(valueAt(copy, [key]), segments.slice(1), value);
+
+  if (child === null || (isObject(child) && Object.keys(child).length === 0)) {
+    delete copy[key];
+  } else {
+    copy[key] = child;
+  }
+
+  return Object.keys(copy).length > 0 ? copy : null;
+
+}
+
+
+/**
+ * A read-only view of a location in a data tree, with the methods security
+ * rules can call on data, newData and root.
+ * @constructor
+ * @param {*} tree The whole data tree.
+ * @param {Array} segments The location's path segments.
+ */
+function Snapshot(tree, segments) {
+  this.tree = tree;
+  this.segments = segments;
+}
+
+Snapshot.prototype.val = function() {
+  return valueAt(this.tree, this.segments);
+};
+
+Snapshot.prototype.child = function(path) {
+
+  if (typeof path !== 'string') {
+    throw new Error('child() needs a string path');
+  }
+  return new Snapshot(this.tree, this.segments.concat(paths.split(path)));
+
+};
+
+Snapshot.prototype.parent = function() {
+
+  if (this.segments.length === 0) {
+    throw new Error('The root has no parent');
+  }
+  return new Snapshot(this.tree, this.segments.slice(0, -1));
+
+};
+
+Snapshot.prototype.exists = function() {
+  return this.val() !== null;
+};
+
+Snapshot.prototype.hasChild = function(path) {
+  return this.child(path).exists();
+};
+
+Snapshot.prototype.hasChildren = function(names) {
+
+  var value = this.val();
+
+  if (names === undefined) {
+    return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+  } else if (!Array.isArray(names)) {
+    throw new Error('hasChildren() needs an array of child names');
+  }
+
+  return names.every(function(name) {
+    return this.hasChild(name);
+  }, this);
+
+};
+
+Snapshot.prototype.getPriority = function() {
+  return null;
+};
+
+Snapshot.prototype.isNumber = function() {
+  return typeof this.val() === 'number';
+};
+
+Snapshot.prototype.isString = function() {
+  return typeof this.val() === 'string';
+};
+
+Snapshot.prototype.isBoolean = function() {
+  return typeof this.val() === 'boolean';
+};
+
+
+var STRING_METHODS = {
+  contains: function(str, part) {
+    return str.indexOf(part) !== -1;
+  },
+  beginsWith: function(str, part) {
+    return str.indexOf(part) === 0;
+  },
+  endsWith: function(str, part) {
+    return str.length >= part.length && str.slice(str.length - part.length) === part;
+  },
+  replace: function(str, from, to) {
+    return str.split(from).join(to);
+  },
+  toLowerCase: function(str) {
+    return str.toLowerCase();
+  },
+  toUpperCase: function(str) {
+    return str.toUpperCase();
+  },
+  matches: function(str, regex) {
+
+    if (!(regex instanceof RegExp)) {
+      throw new Error('matches() needs a regular expression');
+    }
+    return regex.test(str);
+
+  }
+};
+
+
+function member(object, property) {
+
+  if (object instanceof Snapshot) {
+
+    if (typeof Snapshot.prototype[property] !== 'function') {
+      throw new Error('Unknown snapshot method "' + property + '"');
+    }
+    return Snapshot.prototype[property].bind(object);
+
+  } else if (typeof object === 'string') {
+
+    if (property === 'length') {
+      return object.length;
+    } else if (STRING_METHODS[property]) {
+      return STRING_METHODS[property].bind(null, object);
+    }
+    throw new Error('Unknown string method "' + property + '"');
+
+  } else if (object === null || typeof object !== 'object') {
+    throw new Error('Cannot read "' + property + '" of ' + JSON.stringify(object));
+  }
+
+  return object.hasOwnProperty(property) ? object[property] : null;
+
+}
+
+var BINARY = {
+  '+': function(a, b) {
+    return a + b;
+  },
+  '-': function(a, b) {
+    return a - b;
+  },
+  '*': function(a, b) {
+    return a * b;
+  },
+  '/': function(a, b) {
+    return a / b;
+  },
+  '%': function(a, b) {
+    return a % b;
+  },
+  '<': function(a, b) {
+    return a < b;
+  },
+  '<=': function(a, b) {
+    return a <= b;
+  },
+  '>': function(a, b) {
+    return a > b;
+  },
+  '>=': function(a, b) {
+    return a >= b;
+  },
+  // rules compare without coercion, whichever operator is used
+  '==': function(a, b) {
+    return a === b;
+  },
+  '===': function(a, b) {
+    return a === b;
+  },
+  '!=': function(a, b) {
+    return a !== b;
+  },
+  '!==': function(a, b) {
+    return a !== b;
+  }
+};
+
+function evaluate(node, scope) {
+
+  switch (node.type) {
+
+  case 'Literal':
+    return node.value;
+
+  case 'Regex':
+    return new RegExp(node.pattern, node.flags);
+
+  case 'Array':
+    return node.elements.map(function(element) {
+      return evaluate(element, scope);
+    });
+
+  case 'Identifier':
+    if (!scope.hasOwnProperty(node.name)) {
+      throw new Error('Unknown variable "' + node.name + '"');
+    }
+    return scope[node.name];
+
+  case 'Member':
+    return member(evaluate(node.object, scope), node.property);
+
+  case 'Index':
+    return member(evaluate(node.object, scope), String(evaluate(node.index, scope)));
+
+  case 'Call':
+    var callee = evaluate(node.callee, scope);
+    if (typeof callee !== 'function') {
+      throw new Error('Not a method');
+    }
+    return callee.apply(null, node.arguments.map(function(argument) {
+      return evaluate(argument, scope);
+    }));
+
+  case 'Unary':
+    var argument = evaluate(node.argument, scope);
+    return node.operator === '!' ? !argument : -argument;
+
+  case 'Binary':
+    if (node.operator === '&&') {
+      return evaluate(node.left, scope) === true && evaluate(node.right, scope) === true;
+    } else if (node.operator === '||') {
+      return evaluate(node.left, scope) === true || evaluate(node.right, scope) === true;
+    }
+    return BINARY[node.operator](evaluate(node.left, scope), evaluate(node.right, scope));
+
+  case 'Conditional':
+    return evaluate(node.test, scope) === true ?
+      evaluate(node.consequent, scope) :
+      evaluate(node.alternate, scope);
+
+  }
+
+  throw new Error('Unknown expression ' + node.type);
+
+}
+
+
+/**
+ * Answers whether security rules would allow a read or a write, without
+ * deploying them, and explains why. Rules cascade as in Firebase: access
+ * granted by a .read or .write rule can't be taken away further down, and
+ * every .validate rule on the written data, and on its ancestors, must pass
+ * too. A rule that fails to evaluate, e.g. by reading a property of null,
+ * counts as false.
+ * @constructor
+ * @param {Object} rules The rules, as {@link FirebaseInstance#getRules}
+ * returns them; a top-level "rules" key is fine too.
+ * @param {*} [data=null] The data in the database.
+ * @param {Object} [options] Simulator options.
+ * @param {Number} [options.now=Date.now()] The value of "now" in rules.
+ * @example
+ * var simulator = new Simulator(rules, { users: { alice: { name: 'Alice' } } });
+ * var result = simulator.canWrite('/users/alice/name', 'Al', { uid: 'alice' });
+ * if (!result.allowed) {
+ *   console.log(result.trace);
+ * }
+ */
+function Simulator(rules, data, options) {
+
+  options = options || {};
+
+  if (isObject(rules) && rules.rules && Object.keys(rules).length === 1) {
+    rules = rules.rules;
+  }
+
+  this.rules = rules || {};
+  this.data = data === undefined ? null : data;
+  this.now = options.now;
+  this._parsed = {};
+
+}
+
+
+// A match pairs a data location with the rule node that applies there, the
+// rule node's path and the wildcard values captured on the way.
+function matchChild(match, key) {
+
+  var node = match.node,
+    next = isObject(node[key]) ? key : Object.keys(node).filter(function(child) {
+      return child.charAt(0) === '$' && isObject(node[child]);
+    })[0];
+
+  if (!next) {
+    return null;
+  }
+
+  var captures = {};
+  Object.keys(match.captures).forEach(function(name) {
+    captures[name] = match.captures[name];
+  });
+  if (next.charAt(0) === '$') {
+    captures[next] = key;
+  }
+
+  return {
+    node: node[next],
+    segments: match.segments.concat(key),
+    rulePath: match.rulePath.concat(next),
+    captures: captures
+  };
+
+}
+
+
+// The matches from the root down to segments, as far as there are rules.
+Simulator.prototype._match = function(segments) {
+
+  var match = { node: this.rules, segments: [], rulePath: [], captures: {} },
+    matches = [match];
+
+  for (var i = 0; i < segments.length; i++) {
+
+    match = matchChild(match, segments[i]);
+    if (!match) {
+      break;
+    }
+    matches.push(match);
+
+  }
+
+  return matches;
+
+};
+
+
+Simulator.prototype._evaluate = function(match, key, variables) {
+
+  var rule = match.node[key],
+    entry = {
+      path: paths.join(match.rulePath),
+      location: paths.join(match.segments),
+      key: key,
+      rule: rule
+    };
+
+  try {
+
+    var result = rule;
+
+    if (typeof rule === 'string') {
+
+      if (!this._parsed.hasOwnProperty(rule)) {
+        this._parsed[rule] = expression.parse(rule);
+      }
+
+      var scope = {};
+      [match.captures, variables].forEach(function(names) {
+        Object.keys(names).forEach(function(name) {
+          scope[name] = names[name];
+        });
+      });
+
+      result = evaluate(this._parsed[rule], scope);
+
+    }
+
+    entry.result = result === true;
+
+  } catch(e) {
+
+    entry.result = false;
+    entry.error = e.message;
+
+  }
+
+  return entry;
+
+};
+
+
+Simulator.prototype._variables = function(segments, auth, newTree) {
+
+  var variables = {
+    auth: auth || null,
+    now: this.now !== undefined ? this.now : Date.now(),
+    root: new Snapshot(this.data, []),
+    data: new Snapshot(this.data, segments)
+  };
+
+  if (newTree !== undefined) {
+    variables.newData = new Snapshot(newTree, segments);
+  }
+
+  return variables;
+
+};
+
+
+// Runs the .read or .write rules from the root down, stopping at the first
+// that grants access.
+Simulator.prototype._cascade = function(key, segments, auth, newTree, trace) {
+
+  return this._match(segments).some(function(match) {
+
+    if (match.node[key] === undefined) {
+      return false;
+    }
+
+    var entry = this._evaluate(match, key, this._variables(match.segments, auth, newTree));
+    trace.push(entry);
+    return entry.result;
+
+  }, this);
+
+};
+
+
+// Runs the .validate rules for every location whose new value isn't null,
+// from the root down to the written path and then everywhere below it.
+Simulator.prototype._validate = function(segments, auth, newTree, trace) {
+
+  var passed = true,
+    matches = this._match(segments),
+    last = matches[matches.length - 1];
+
+  var check = function(match) {
+
+    if (match.node['.validate'] === undefined || valueAt(newTree, match.segments) === null) {
+      return;
+    }
+
+    var variables = this._variables(match.segments, auth, newTree),
+      entry = this._evaluate(match, '.validate', variables);
+
+    trace.push(entry);
+    passed = passed && entry.result;
+
+  }.bind(this);
+
+  var descend = function(match) {
+
+    var value = valueAt(newTree, match.segments);
+    if (!isObject(value)) {
+      return;
+    }
+
+    Object.keys(value).sort(paths.compareKeys).forEach(function(key) {
+
+      var child = matchChild(match, key);
+      if (child) {
+        check(child);
+        descend(child);
+      }
+
+    });
+
+  };
+
+  matches.forEach(check);
+
+  // no rules reach the written path, so none apply below it
+  if (last.segments.length === segments.length) {
+    descend(last);
+  }
+
+  return passed;
+
+};
+
+
+/**
+ * Works out whether a read of path would be allowed.
+ * @param {String} path The path read.
+ * @param {Object} [auth=null] The auth payload of the reader, e.g. { uid }.
+ * @returns {Object} { allowed, type: 'read', path, trace }, where trace lists
+ * every rule evaluated, in order, with its rule path, the location it was
+ * evaluated at, its key, the rule, the result and any evaluation error.
+ */
+Simulator.prototype.canRead = function(path, auth) {
+
+  var segments = paths.split(path),
+    trace = [];
+
+  return {
+    allowed: this._cascade('.read', segments, auth, undefined, trace),
+    type: 'read',
+    path: paths.join(segments),
+    trace: trace
+  };
+
+};
+
+
+/**
+ * Works out whether setting the value at path would be allowed.
+ * @param {String} path The path written.
+ * @param {*} newData The value written; null for a removal.
+ * @param {Object} [auth=null] The auth payload of the writer, e.g. { uid }.
+ * @returns {Object} { allowed, type: 'write', path, trace }, as for
+ * {@link Simulator#canRead}. The .validate rules are only evaluated, and so
+ * only traced, if a .write rule allows the write.
+ */
+Simulator.prototype.canWrite = function(path, newData, auth) {
+
+  var segments = paths.split(path),
+    newTree = withValue(this.data, segments, newData === undefined ? null : newData),
+    trace = [],
+    allowed = this._cascade('.write', segments, auth, newTree, trace);
+
+  if (allowed) {
+    allowed = this._validate(segments, auth, newTree, trace);
+  }
+
+  return {
+    allowed: allowed,
+    type: 'write',
+    path: paths.join(segments),
+    trace: trace
+  };
+
+};
+
+
+Simulator.Snapshot = Snapshot;
+
+module.exports = Simulator;
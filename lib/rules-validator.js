@@ -0,0 +1,270 @@
+'use strict';
+
+var expression = require('./rules-expression'),
+  paths = require('./paths');
+
+var RULE_KEYS = ['.read', '.write', '.validate', '.indexOn'];
+
+var VARIABLES = ['auth', 'data', 'newData', 'root', 'now'];
+
+var SNAPSHOT_METHODS = [
+  'val', 'child', 'parent', 'hasChild', 'hasChildren', 'exists',
+  'getPriority', 'isNumber', 'isString', 'isBoolean'
+];
+
+var WILDCARD = /^\$[A-Za-z_]\w*$/,
+  FORBIDDEN = /[.#$\[\]\/]/;
+
+
+function isTrue(rule) {
+  return rule === true || (typeof rule === 'string' && rule.trim() === 'true');
+}
+
+// Whether an expression evaluates to a data snapshot.
+function isSnapshot(node) {
+
+  if (node.type === 'Identifier') {
+    return ['data', 'newData', 'root'].indexOf(node.name) !== -1;
+  }
+
+  return node.type === 'Call' && node.callee.type === 'Member' &&
+    ['child', 'parent'].indexOf(node.callee.property) !== -1 &&
+    isSnapshot(node.callee.object);
+
+}
+
+
+function Validator() {
+  this.errors = [];
+  this.warnings = [];
+}
+
+Validator.prototype.report = function(severity, segments, key, message, column) {
+
+  var problem = {
+    severity: severity,
+    path: paths.join(segments),
+    key: key,
+    message: message
+  };
+
+  if (column !== undefined) {
+    problem.column = column;
+  }
+
+  (severity === 'error' ? this.errors : this.warnings).push(problem);
+
+};
+
+Validator.prototype.error = function(segments, key, message, column) {
+  this.report('error', segments, key, message, column);
+};
+
+Validator.prototype.warning = function(segments, key, message, column) {
+  this.report('warning', segments, key, message, column);
+};
+
+Validator.prototype.checkExpression = function(rule, segments, key, scope) {
+
+  if (typeof rule === 'boolean') {
+    return;
+  } else if (typeof rule !== 'string') {
+    return this.error(segments, key, 'Rules must be strings or booleans');
+  }
+
+  var tree;
+
+  try {
+    tree = expression.parse(rule);
+  } catch(e) {
+    return this.error(segments, key, e.reason, e.offset + 1);
+  }
+
+  expression.walk(tree, function(node, parent) {
+
+    if (node.type === 'Identifier') {
+
+      if (node.name === 'newData' && key === '.read') {
+        this.error(segments, key, 'newData is only available in .write and .validate rules',
+          node.start + 1);
+      } else if (node.name.charAt(0) === '$' && scope.indexOf(node.name) === -1) {
+        this.error(segments, key, 'Unknown variable "' + node.name +
+          '": there is no ' + node.name + ' wildcard above this rule', node.start + 1);
+      } else if (node.name.charAt(0) !== '$' && VARIABLES.indexOf(node.name) === -1) {
+        this.error(segments, key, 'Unknown variable "' + node.name + '"', node.start + 1);
+      }
+
+    } else if (node.type === 'Member' && isSnapshot(node.object)) {
+
+      if (SNAPSHOT_METHODS.indexOf(node.property) === -1) {
+        this.error(segments, key, 'Unknown snapshot method "' + node.property + '"',
+          node.propertyStart + 1);
+      } else if (!parent || parent.type !== 'Call' || parent.callee !== node) {
+        this.error(segments, key, node.property + ' is a method; call it with ' +
+          node.property + '()', node.propertyStart + 1);
+      }
+
+    }
+
+  }.bind(this));
+
+};
+
+Validator.prototype.checkIndex = function(index, segments) {
+
+  var fields = Array.isArray(index) ? index : [index];
+
+  if (fields.length === 0 || fields.some(function(field) {
+    return typeof field !== 'string' || field.length === 0;
+  })) {
+    this.error(segments, '.indexOn', '.indexOn must be a child name or an array of them');
+  }
+
+};
+
+// grants maps '.read' and '.write' to the path of an ancestor that grants
+// them unconditionally, since rules below it can't take access away.
+Validator.prototype.checkNode = function(node, segments, scope, grants) {
+
+  if (node === null || typeof node !== 'object' || Array.isArray(node)) {
+    return this.error(segments, undefined, 'Rules must be an object');
+  }
+
+  var keys = Object.keys(node),
+    wildcards = keys.filter(function(key) {
+      return key.charAt(0) === '$';
+    });
+
+  if (wildcards.length > 1) {
+    this.error(segments, undefined, 'Only one $ wildcard is allowed per level, found ' +
+      wildcards.join(', '));
+  }
+
+  keys.forEach(function(key) {
+
+    if (key.charAt(0) !== '.') {
+      return;
+    }
+
+    if (RULE_KEYS.indexOf(key) === -1) {
+      return this.error(segments, key, 'Unknown rule "' + key + '"; rules are ' +
+        RULE_KEYS.join(', '));
+    }
+
+    if (key === '.indexOn') {
+      return this.checkIndex(node[key], segments);
+    }
+
+    this.checkExpression(node[key], segments, key, scope);
+
+    if (grants[key] !== undefined) {
+      this.warning(segments, key, 'Has no effect: ' + grants[key] + ' already grants ' +
+        key + ' with true, and rules below it can\'t take access away');
+    }
+
+  }, this);
+
+  var childGrants = {};
+  ['.read', '.write'].forEach(function(key) {
+    childGrants[key] = grants[key] !== undefined ? grants[key] :
+      (isTrue(node[key]) ? paths.join(segments) : undefined);
+  });
+
+  keys.forEach(function(key) {
+
+    if (key.charAt(0) === '.') {
+      return;
+    }
+
+    var childScope = scope;
+
+    if (key.charAt(0) === '$') {
+
+      if (!WILDCARD.test(key)) {
+        this.error(segments.concat(key), undefined, 'Invalid wildcard "' + key +
+          '"; use $ followed by a name');
+      } else if (scope.indexOf(key) !== -1) {
+        this.error(segments.concat(key), undefined, 'Wildcard ' + key +
+          ' is already used above and would hide it');
+      }
+      childScope = scope.concat(key);
+
+    } else if (FORBIDDEN.test(key) || key.length === 0) {
+      this.error(segments.concat(key), undefined,
+        'Invalid key "' + key + '"; keys can\'t be empty or contain . # $ [ ] or /');
+    }
+
+    this.checkNode(node[key], segments.concat(key), childScope, childGrants);
+
+  }, this);
+
+};
+
+
+/**
+ * Checks security rules without sending them anywhere: the structure of the
+ * tree, the syntax of every expression and the variables it uses, and
+ * patterns that probably don't do what was meant.
+ * @param {Object} rules The rules, with or without a top-level "rules" key.
+ * @returns {Object} { errors, warnings }, each an Array of problems with a
+ * severity, the path of the rule's node, its key (undefined for problems
+ * with the node itself), a message and, for expression errors, the column.
+ * Firebase would refuse rules with errors; warnings are only advice.
+ * @example
+ * var result = rulesValidator.validate({ '.read': 'auth.uid == $uid' });
+ * // result.errors[0].message: 'Unknown variable "$uid": there is no $uid
+ * // wildcard above this rule'
+ */
+function validate(rules) {
+
+  var validator = new Validator();
+
+  if (rules && typeof rules === 'object' && rules.rules &&
+    Object.keys(rules).length === 1) {
+    rules = rules.rules;
+  }
+
+  validator.checkNode(rules, [], [], {});
+
+  return {
+    errors: validator.errors,
+    warnings: validator.warnings
+  };
+
+}
+
+
+/**
+ * Formats problems for people, one per line.
+ * @param {Array} problems Problems from {@link validate}.
+ * @param {Object} [colors] Functions to color the error and warning labels.
+ * @returns {String} The formatted problems, with a trailing newline unless
+ * there are none.
+ */
+function format(problems, colors) {
+
+  colors = colors || {};
+
+  return problems.map(function(problem) {
+
+    var label = problem.severity === 'error' ?
+      (colors.error || String)('error  ') :
+      (colors.warning || String)('warning');
+
+    return label + ' ' + problem.path +
+      (problem.key ? ' ' + problem.key : '') +
+      (problem.column !== undefined ? ':' + problem.column : '') +
+      ': ' + problem.message + '\n';
+
+  }).join('');
+
+}
+
+
+module.exports = {
+  RULE_KEYS: RULE_KEYS,
+  VARIABLES: VARIABLES,
+  SNAPSHOT_METHODS: SNAPSHOT_METHODS,
+  validate: validate,
+  format: format
+};
@@ -0,0 +1,206 @@
+'use strict';
+
+var crypto = require('crypto'),
+  errors = require('./errors');
+
+
+var VERSION = 0,
+  MAX_UID_LENGTH = 256,
+  MAX_TOKEN_LENGTH = 1024,
+  DEFAULT_LIFETIME_SECONDS = 24 * 60 * 60;
+
+var HEADER = { typ: 'JWT', alg: 'HS256' };
+
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(str) {
+  return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function sign(input, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(input).digest());
+}
+
+// Dates, or seconds since the epoch as Firebase expects.
+function toSeconds(value, name) {
+
+  if (value instanceof Date) {
+    return Math.floor(value.getTime() / 1000);
+  } else if (typeof value === 'number' && isFinite(value)) {
+    return Math.floor(value);
+  }
+
+  throw new errors.ValidationError(name + ' must be a Date or seconds since the epoch');
+
+}
+
+function toDate(seconds) {
+  return seconds === undefined ? undefined : new Date(seconds * 1000);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTime(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+
+/**
+ * Signs a token in the format Firebase expects for fb.auth(): a JWT with
+ * HS256, whose "d" claim is what rules see as auth.
+ * @param {String} secret One of the instance's secrets.
+ * @param {Object} data What rules will see as auth. Unless options.admin is
+ * true, it needs a uid: a non-empty String of at most 256 characters.
+ * @param {Object} [options] Token options.
+ * @param {Date|Number} [options.expires] When the token expires, as a Date
+ * or seconds since the epoch; by default Firebase's 24 hours after issue.
+ * @param {Date|Number} [options.notBefore] When the token becomes valid.
+ * @param {Boolean} [options.admin] Whether the token bypasses all rules.
+ * @param {Boolean} [options.debug] Whether Firebase should explain how
+ * rules treat requests made with the token.
+ * @param {Date} [options.issuedAt] When the token was issued; by default now.
+ * @returns {String} The token.
+ * @throws {ValidationError} If the data or options are unusable, or the
+ * token would be longer than Firebase accepts.
+ */
+function create(secret, data, options) {
+
+  options = options || {};
+
+  if (typeof secret !== 'string' || secret.length === 0) {
+    throw new errors.ValidationError('A token needs a secret to be signed with');
+  } else if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new errors.ValidationError('Token data must be an object');
+  } else if (!options.admin && (typeof data.uid !== 'string' || data.uid.length === 0)) {
+    throw new errors.ValidationError('Tokens need a uid, unless they\'re admin tokens');
+  } else if (data.uid !== undefined && String(data.uid).length > MAX_UID_LENGTH) {
+    throw new errors.ValidationError('A uid can be at most ' + MAX_UID_LENGTH + ' characters');
+  }
+
+  var claims = {
+    v: VERSION,
+    iat: toSeconds(options.issuedAt || new Date(), 'issuedAt'),
+    d: data
+  };
+
+  if (options.expires !== undefined) {
+    claims.exp = toSeconds(options.expires, 'expires');
+  }
+  if (options.notBefore !== undefined) {
+    claims.nbf = toSeconds(options.notBefore, 'notBefore');
+  }
+  if (options.admin) {
+    claims.admin = true;
+  }
+  if (options.debug) {
+    claims.debug = true;
+  }
+
+  var input = base64url(Buffer.from(JSON.stringify(HEADER))) + '.' +
+    base64url(Buffer.from(JSON.stringify(claims)));
+
+  var token = input + '.' + sign(input, secret);
+
+  if (token.length > MAX_TOKEN_LENGTH) {
+    throw new errors.ValidationError('The token is ' + token.length +
+      ' characters long, more than the ' + MAX_TOKEN_LENGTH + ' Firebase accepts; ' +
+      'put less in its data');
+  }
+
+  return token;
+
+}
+
+
+/**
+ * Decodes a token and checks it was signed with one of some secrets and is
+ * valid now.
+ * @param {String} token The token.
+ * @param {Array} secrets The secrets it may have been signed with.
+ * @param {Object} [options] Verify options.
+ * @param {Date} [options.now] When to check validity at; by default now.
+ * @returns {Object} { uid, data, issuedAt, expires, notBefore, admin, debug },
+ * with Dates. A token without an expiry expires 24 hours after issue, as
+ * Firebase treats it.
+ * @throws {AuthenticationError} If the token is malformed, not signed with
+ * any of the secrets, expired or not yet valid.
+ */
+function verify(token, secrets, options) {
+
+  options = options || {};
+
+  var parts = typeof token === 'string' ? token.split('.') : [],
+    header,
+    claims;
+
+  try {
+
+    if (parts.length !== 3) {
+      throw new Error();
+    }
+    header = JSON.parse(fromBase64url(parts[0]).toString('utf8'));
+    claims = JSON.parse(fromBase64url(parts[1]).toString('utf8'));
+
+    if (!isObject(header) || !isObject(claims) || !isTime(claims.iat) ||
+      (claims.exp !== undefined && !isTime(claims.exp)) ||
+      (claims.nbf !== undefined && !isTime(claims.nbf))) {
+      throw new Error();
+    }
+
+  } catch(e) {
+    throw new errors.AuthenticationError('The token is malformed');
+  }
+
+  if (header.alg !== HEADER.alg) {
+    throw new errors.AuthenticationError('The token is signed with ' + header.alg +
+      ', not ' + HEADER.alg);
+  }
+
+  var input = parts[0] + '.' + parts[1],
+    signature = Buffer.from(parts[2]);
+
+  var signed = (secrets || []).some(function(candidate) {
+
+    var expected = Buffer.from(sign(input, candidate));
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(expected, signature);
+
+  });
+
+  if (!signed) {
+    throw new errors.AuthenticationError('The token was not signed with any current secret');
+  }
+
+  var now = Math.floor((options.now || new Date()).getTime() / 1000),
+    expires = claims.exp !== undefined ? claims.exp : claims.iat + DEFAULT_LIFETIME_SECONDS;
+
+  if (now >= expires) {
+    throw new errors.AuthenticationError('The token expired at ' +
+      toDate(expires).toISOString());
+  } else if (claims.nbf !== undefined && now < claims.nbf) {
+    throw new errors.AuthenticationError('The token is not valid until ' +
+      toDate(claims.nbf).toISOString());
+  }
+
+  return {
+    uid: claims.d ? claims.d.uid : undefined,
+    data: claims.d,
+    issuedAt: toDate(claims.iat),
+    expires: toDate(expires),
+    notBefore: toDate(claims.nbf),
+    admin: claims.admin === true,
+    debug: claims.debug === true
+  };
+
+}
+
+
+module.exports = {
+  create: create,
+  verify: verify
+};
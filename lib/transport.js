@@ -0,0 +1,232 @@
+'use strict';
+
+var request = require('request'),
+  Q = require('q'),
+  errors = require('./errors');
+
+// Errors raised before the server could have seen the request. These are
+// safe to retry even for requests that aren't idempotent.
+var UNSENT_ERRORS = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// Errors that may have happened after the server acted on the request.
+var TRANSIENT_ERRORS = UNSENT_ERRORS.concat([
+  'ECONNRESET',
+  'EPIPE',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT'
+]);
+
+// Query parameters that carry credentials.
+var CREDENTIAL_PARAMETERS = ['auth', 'token', 'secret', 'password', 'access_token'];
+
+// The URL of a request as it can be shown in errors and logs: secrets in the
+// path, as in .settings/secrets/<secret>.json, and credentials in the query
+// are masked.
+function redact(url) {
+
+  var parts = String(url).split('?');
+
+  parts[0] = parts[0].replace(/(\/\.settings\/secrets\/)[^\/?#]+?(\.json)?$/, '$1***$2');
+
+  if (parts.length > 1) {
+    parts[1] = parts.slice(1).join('?').split('&').map(function(parameter) {
+      var name = parameter.split('=')[0];
+      return CREDENTIAL_PARAMETERS.indexOf(name) === -1 ? parameter : name + '=***';
+    }).join('&');
+  }
+
+  return parts.slice(0, 2).join('?');
+
+}
+
+
+/**
+ * Sends HTTP requests to the Firebase services on behalf of
+ * {@link FirebaseAccount} and {@link FirebaseInstance}, retrying transient
+ * failures with exponential backoff and jitter.
+ * @constructor
+ * @param {Object} [options] Transport options. See
+ * {@link Transport.defaults} for the keys and their default values.
+ */
+function Transport(options) {
+
+  options = options || {};
+
+  Object.keys(Transport.defaults).forEach(function(key) {
+    this[key] = options[key] !== undefined ? options[key] : Transport.defaults[key];
+  }, this);
+
+  this._request = options.request || request;
+
+}
+
+/**
+ * Default transport settings.
+ * @property {Number} retries How many times to retry a failed request.
+ * @property {Number} minDelay Delay before the first retry, in milliseconds.
+ * Each following retry waits twice as long, give or take some jitter.
+ * @property {Number} maxDelay The longest delay between retries, in milliseconds.
+ * @property {Number} timeout How long a single attempt may take, in milliseconds.
+ * @property {Number} deadline How long a request may take in total,
+ * retries included, in milliseconds.
+ */
+Transport.defaults = {
+  retries: 3,
+  minDelay: 200,
+  maxDelay: 5000,
+  timeout: 30000,
+  deadline: 120000
+};
+
+
+function parseBody(body) {
+
+  if (typeof body === 'string' && body.length > 0) {
+    try {
+      return JSON.parse(body);
+    } catch(e) {
+      return body;
+    }
+  }
+  return body;
+
+}
+
+/**
+ * Decides whether a failed attempt should be tried again.
+ * @param {Error} err The network error, if any.
+ * @param {Object} response The HTTP response, if any.
+ * @param {Boolean} idempotent Whether the request may safely be repeated.
+ * @returns {Boolean}
+ */
+Transport.prototype.isRetryable = function(err, response, idempotent) {
+
+  if (err) {
+    return (idempotent ? TRANSIENT_ERRORS : UNSENT_ERRORS).indexOf(err.code) !== -1;
+  } else if (response.statusCode === 429) {
+    return true;
+  } else {
+    return idempotent && response.statusCode >= 500;
+  }
+
+};
+
+
+/**
+ * Works out how long to wait before the given retry.
+ * @param {Number} attempt The number of attempts made so far, starting at 1.
+ * @param {Object} [response] The HTTP response of the last attempt, whose
+ * Retry-After header is honored if present.
+ * @returns {Number} The delay in milliseconds.
+ */
+Transport.prototype.backoff = function(attempt, response) {
+
+  var retryAfter = response && parseInt(response.headers['retry-after'], 10);
+
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, this.maxDelay);
+  }
+
+  var ceiling = Math.min(this.maxDelay, this.minDelay * Math.pow(2, attempt - 1));
+
+  // "equal jitter": half the delay is fixed, the other half is random.
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+
+};
+
+
+/**
+ * Promises to send a request and check its response.
+ * Takes the same options as the request library, plus a few of its own.
+ * Responses with an error status, an "error" property, success: false or a
+ * status other than "ok" are treated as failures and turned into the
+ * matching {@link FirebaseAdminError}.
+ * @param {Object} options Request options.
+ * @param {String} [options.method=GET] The HTTP method.
+ * @param {String} [options.instance] The name of the instance the request
+ * is about, to report in errors.
+ * @param {Number} [options.retries] Overrides the transport's retry count.
+ * @param {Number} [options.timeout] Overrides the transport's per-attempt timeout.
+ * @param {Boolean} [options.checkBody=true] Set to false when the body is user
+ * data rather than a service response, so only the HTTP status is checked.
+ * @param {Boolean} [options.idempotent] Set to false for requests that must
+ * not be repeated if the server might have acted on them. Defaults to true
+ * for GET, PUT and DELETE and to false for POST.
+ * @returns {external:Promise} A promise that resolves with the parsed response
+ * body and rejects with a {@link FirebaseAdminError} if the request fails.
+ */
+Transport.prototype.request = function(options) {
+
+  var deferred = Q.defer(),
+    started = Date.now(),
+    attempt = 0,
+    method = (options.method || 'GET').toUpperCase(),
+    retries = options.retries !== undefined ? options.retries : this.retries,
+    timeout = options.timeout || this.timeout,
+    checkBody = options.checkBody !== false,
+    idempotent = options.idempotent !== undefined ?
+      options.idempotent :
+      method !== 'POST';
+
+  var requestOptions = {};
+  Object.keys(options).forEach(function(key) {
+    if (['retries', 'timeout', 'idempotent', 'instance', 'checkBody'].indexOf(key) === -1) {
+      requestOptions[key] = options[key];
+    }
+  });
+  requestOptions.method = method;
+
+  var context = {
+    endpoint: method + ' ' + redact(options.url),
+    instance: options.instance
+  };
+
+  var send = function() {
+
+    var remaining = this.deadline - (Date.now() - started);
+
+    attempt++;
+    requestOptions.timeout = Math.max(1, Math.min(timeout, remaining));
+
+    this._request(requestOptions, function(err, response, body) {
+
+      body = err ? undefined : parseBody(body);
+
+      if (attempt <= retries && this.isRetryable(err, response, idempotent)) {
+
+        var delay = this.backoff(attempt, response);
+
+        if (Date.now() - started + delay < this.deadline) {
+          return Q.delay(delay).then(send);
+        }
+
+      }
+
+      if (err) {
+        deferred.reject(errors.fromNetworkError(err, context));
+      } else {
+
+        var error = checkBody || response.statusCode > 299 ?
+          errors.fromResponse(response, body, context) :
+          null;
+
+        if (error) {
+          deferred.reject(error);
+        } else {
+          deferred.resolve(body);
+        }
+
+      }
+
+    }.bind(this));
+
+  }.bind(this);
+
+  send();
+
+  return deferred.promise;
+
+};
+
+
+module.exports = Transport;
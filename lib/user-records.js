@@ -0,0 +1,248 @@
+'use strict';
+
+var crypto = require('crypto'),
+  errors = require('./errors');
+
+
+/**
+ * Makes up a password for a user who wasn't given one, from a secure random
+ * source.
+ * @returns {String} 16 hexadecimal digits.
+ */
+function generatePassword() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+
+/**
+ * Guesses whether a file of user records is CSV or JSON from its name.
+ * @param {String} filename The file name.
+ * @returns {String} "csv" or "json".
+ */
+function formatOf(filename) {
+  return /\.csv$/i.test(filename || '') ? 'csv' : 'json';
+}
+
+
+// Splits CSV into rows of fields, following RFC 4180: fields may be quoted,
+// and quoted fields may hold commas, newlines and doubled quotes.
+function splitCsv(source, file) {
+
+  var rows = [],
+    row = [],
+    field = '',
+    quoted = false,
+    line = 1,
+    rowLine = 1,
+    i = 0;
+
+  function endField() {
+    row.push(field);
+    field = '';
+  }
+
+  function endRow() {
+
+    endField();
+    // skip blank lines
+    if (row.length > 1 || row[0] !== '') {
+      rows.push({ line: rowLine, fields: row });
+    }
+    row = [];
+    rowLine = line;
+
+  }
+
+  while (i < source.length) {
+
+    var ch = source[i];
+
+    if (quoted) {
+
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') {
+          line++;
+        }
+        field += ch;
+      }
+
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+
+      if (ch === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      line++;
+      endRow();
+
+    } else {
+      field += ch;
+    }
+
+    i++;
+
+  }
+
+  if (quoted) {
+    throw new errors.ParseError('Unterminated quoted field', { file: file, line: rowLine });
+  }
+  endRow();
+
+  return rows;
+
+}
+
+function parseCsv(source, file) {
+
+  var rows = splitCsv(source.replace(/^\uFEFF/, ''), file);
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  var header = rows[0].fields.map(function(name) {
+      return name.trim().toLowerCase();
+    }),
+    emailColumn = header.indexOf('email'),
+    passwordColumn = header.indexOf('password');
+
+  if (emailColumn === -1) {
+    throw new errors.ParseError('The first line must be a header with an "email" column', {
+      file: file,
+      line: rows[0].line
+    });
+  }
+
+  return rows.slice(1).map(function(row) {
+
+    var email = (row.fields[emailColumn] || '').trim(),
+      password = passwordColumn === -1 ? '' : (row.fields[passwordColumn] || '');
+
+    if (!email) {
+      throw new errors.ParseError('No email address', { file: file, line: row.line });
+    }
+
+    return password ? { email: email, password: password } : { email: email };
+
+  });
+
+}
+
+function parseJson(source, file) {
+
+  var records;
+
+  try {
+    records = JSON.parse(source);
+  } catch(e) {
+    throw new errors.ParseError(e.message, { file: file });
+  }
+
+  // { users: [...] }, as the Simple Login API lists them
+  if (records && !Array.isArray(records) && Array.isArray(records.users)) {
+    records = records.users;
+  }
+
+  if (!Array.isArray(records)) {
+    throw new errors.ParseError('Expected an array of users', { file: file });
+  }
+
+  return records.map(function(record, index) {
+
+    if (typeof record === 'string') {
+      record = { email: record };
+    }
+
+    if (!record || typeof record.email !== 'string' || !record.email.trim()) {
+      throw new errors.ParseError('User ' + (index + 1) + ' has no email address', {
+        file: file
+      });
+    } else if (record.password !== undefined && typeof record.password !== 'string') {
+      throw new errors.ParseError('The password of ' + record.email + ' must be a string', {
+        file: file
+      });
+    }
+
+    return record.password ?
+      { email: record.email.trim(), password: record.password } :
+      { email: record.email.trim() };
+
+  });
+
+}
+
+
+/**
+ * Parses user records for {@link FirebaseInstance#importUsers}.
+ * CSV needs a header line with an "email" column and may have a "password"
+ * column; other columns are ignored. JSON is an array of email addresses or
+ * objects with email and optional password, or an object with such an array
+ * in "users".
+ * @param {String} source The contents of the file.
+ * @param {Object} [options] Parse options.
+ * @param {String} [options.format] "csv" or "json"; by default from the file.
+ * @param {String} [options.file] The file name, for the format and errors.
+ * @returns {Array} Records of { email, password }, without a password if the
+ * record has none.
+ * @throws {ParseError} If the records can't be parsed or lack an email.
+ */
+function parse(source, options) {
+
+  options = options || {};
+
+  var format = options.format || formatOf(options.file);
+
+  if (format === 'csv') {
+    return parseCsv(source, options.file);
+  } else if (format === 'json') {
+    return parseJson(source, options.file);
+  }
+
+  throw new Error('Unknown format "' + format + '" for user records');
+
+}
+
+
+function csvField(value) {
+
+  value = value === undefined || value === null ? '' : String(value);
+
+  return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+
+}
+
+/**
+ * Writes rows as CSV with a header line.
+ * @param {Array} rows Objects to write.
+ * @param {Array} columns The keys of the rows to write, in order.
+ * @returns {String} The CSV, ending in a newline.
+ */
+function toCsv(rows, columns) {
+
+  return [columns].concat(rows.map(function(row) {
+    return columns.map(function(column) {
+      return row[column];
+    });
+  }))
+  .map(function(fields) {
+    return fields.map(csvField).join(',') + '\n';
+  })
+  .join('');
+
+}
+
+
+module.exports = {
+  generatePassword: generatePassword,
+  formatOf: formatOf,
+  parse: parse,
+  toCsv: toCsv
+};
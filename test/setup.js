@@ -1,4 +1,3 @@
-
 'use strict';
 
 // chai setup.
@@ -9,10 +8,28 @@ global.expect = global.chai.expect;
 
 global.params = {};
 
-if (!process.env.FIREBASE_ADMIN_TOKEN) {
-  console.error(
-    'You must set process.env.FIREBASE_ADMIN_TOKEN\n' +
-    'before running these tests.'
-  );
-  process.exit(1);
+// Without a real admin token, run the suite against the bundled mock server.
+// Specs that test history give it a directory of its own.
+
+if (process.env.FIREBASE_ADMIN_TOKEN) {
+
+  global.params.accountOptions = { history: false };
+  global.params.ready = require('q')();
+
+} else {
+
+  var MockServer = require('../lib/mock-server');
+
+  global.params.server = new MockServer();
+  global.params.ready = global.params.server.start()
+  .then(function(server) {
+
+    process.env.FIREBASE_ADMIN_TOKEN = server.adminToken;
+    global.params.accountOptions = {
+      endpoints: server.endpoints,
+      history: false
+    };
+
+  });
+
 }
@@ -4,6 +4,7 @@
 var Q = require('q');
 
 var FirebaseAccount = require('../../account.js'),
+  FirebaseInstance = require('../../instance.js'),
   account;
 
 describe('FirebaseAccount', function() {
@@ -11,7 +12,12 @@ describe('FirebaseAccount', function() {
   var newDb, token;
 
   before(function() {
-    token = process.env.FIREBASE_ADMIN_TOKEN;
+
+    return params.ready
+    .then(function() {
+      token = process.env.FIREBASE_ADMIN_TOKEN;
+    });
+
   });
 
   beforeEach(function() {
@@ -41,7 +47,22 @@ describe('FirebaseAccount', function() {
   describe('constructor', function() {
 
     it('takes a Firebase admin token', function() {
-      account = new FirebaseAccount(token);
+      account = new FirebaseAccount(token, params.accountOptions);
+    });
+
+    it('takes optional service endpoints', function() {
+
+      var customAccount = new FirebaseAccount(token, {
+        endpoints: {
+          database: 'http://localhost:4000/db/{name}/'
+        }
+      });
+
+      expect(customAccount.endpoints.databaseUrl('foo'))
+      .to.equal('http://localhost:4000/db/foo');
+      expect(customAccount.endpoints.adminUrl('firebase/foo'))
+      .to.equal(FirebaseAccount.defaultEndpoints.admin + '/firebase/foo');
+
     });
 
   });
@@ -65,6 +86,18 @@ describe('FirebaseAccount', function() {
 
     });
 
+    it('rejects with a ValidationError that names the instance', function() {
+
+      return account.createDatabase(newDb.name)
+      .then(function() {
+        throw new Error('createDatabase should have failed');
+      }, function(err) {
+        expect(err).to.be.an.instanceof(FirebaseAccount.ValidationError);
+        expect(err.instance).to.equal(newDb.name);
+      });
+
+    });
+
   });
 
   describe('#getDatabase', function() {
@@ -81,6 +114,193 @@ describe('FirebaseAccount', function() {
 
     });
 
+    it('rejects with a NotFoundError if no such Firebase exists', function() {
+
+      return expect(account.getDatabase('nonexistent'))
+      .to.be.rejectedWith(FirebaseAccount.NotFoundError);
+
+    });
+
+  });
+
+  describe('#listDatabases', function() {
+
+    it('promises to list every Firebase on the account', function() {
+
+      return account.listDatabases()
+      .then(function(dbs) {
+
+        var names = dbs.map(function(db) {
+          return db.name;
+        });
+        expect(names).to.include(newDb.name);
+
+        var db = dbs[names.indexOf(newDb.name)];
+        expect(db.url).to.equal(newDb.toString());
+
+      });
+
+    });
+
+  });
+
+  describe('#cloneDatabase', function() {
+
+    var source, targetName = Math.random().toString(36).slice(2);
+
+    var rules = {
+      '.read': true,
+      '.write': 'auth !== null'
+    };
+
+    before(function() {
+
+      return account.createDatabase(Math.random().toString(36).slice(2))
+      .then(function(db) {
+
+        source = db;
+        return Q.all([
+          source.setRules(rules),
+          source.importData('/', { greeting: 'hello', counts: { a: 1, b: 2 } }),
+          source.createUser('clone@example.com', 'secret')
+        ]);
+
+      });
+
+    });
+
+    after(function() {
+
+      return Q.all([
+        account.deleteDatabase(source),
+        account.getDatabase(targetName)
+        .then(function(target) {
+          return account.deleteDatabase(target);
+        })
+      ]);
+
+    });
+
+    it('creates the target and copies rules, data and users into it', function() {
+
+      var getDatabase = account.getDatabase;
+
+      // not every missing instance gets a NotFoundError
+      account.getDatabase = function(name) {
+        return name === targetName ?
+          Q.reject(new FirebaseAccount.AuthenticationError('Permission denied')) :
+          getDatabase.apply(account, arguments);
+      };
+
+      return account.cloneDatabase(source.name, targetName, {
+        data: true,
+        users: true
+      })
+      .fin(function() {
+        delete account.getDatabase;
+      })
+      .then(function(summary) {
+
+        expect(summary.created).to.equal(true);
+        expect(summary.users).to.have.length(1);
+        expect(summary.users[0].email).to.equal('clone@example.com');
+        expect(summary.users[0].created).to.equal(true);
+
+        return account.getDatabase(targetName);
+
+      })
+      .then(function(target) {
+
+        return Q.all([
+          target.getRules(),
+          target.exportData('/'),
+          target.listUsers()
+        ]);
+
+      })
+      .spread(function(targetRules, data, users) {
+
+        expect(targetRules).to.deep.equal(rules);
+        expect(data).to.deep.equal({ greeting: 'hello', counts: { a: 1, b: 2 } });
+        expect(users[0].email).to.equal('clone@example.com');
+
+      });
+
+    });
+
+    it('leaves existing users alone unless asked to regenerate passwords', function() {
+
+      return account.cloneDatabase(source.name, targetName, { users: true })
+      .then(function(summary) {
+
+        expect(summary.created).to.equal(false);
+        expect(summary.users).to.have.length(0);
+
+        return account.cloneDatabase(source.name, targetName, {
+          users: true,
+          regeneratePasswords: true,
+          password: 'newsecret'
+        });
+
+      })
+      .then(function(summary) {
+
+        expect(summary.users).to.deep.equal([
+          { email: 'clone@example.com', password: 'newsecret', created: false }
+        ]);
+
+      });
+
+    });
+
+    it('rejects if a batch of data fails partway through the export', function() {
+
+      var bulk = {},
+        failingName = Math.random().toString(36).slice(2),
+        importData = FirebaseInstance.prototype.importData,
+        bulkSource;
+
+      for (var i = 0; i < 1200; i++) {
+        bulk['entry' + i] = i;
+      }
+
+      FirebaseInstance.prototype.importData = function(path, data, options) {
+        return this.name === failingName && options && options.mode === 'update' ?
+          Q.reject(new Error('PATCH failed')) :
+          importData.apply(this, arguments);
+      };
+
+      return account.createDatabase(Math.random().toString(36).slice(2))
+      .then(function(db) {
+        bulkSource = db;
+        return importData.call(bulkSource, '/', { bulk: bulk });
+      })
+      .then(function() {
+        return expect(account.cloneDatabase(bulkSource.name, failingName, { data: true }))
+        .to.be.rejectedWith(/PATCH failed/);
+      })
+      .fin(function() {
+
+        FirebaseInstance.prototype.importData = importData;
+        return Q.all([
+          account.deleteDatabase(bulkSource),
+          account.getDatabase(failingName)
+          .then(function(target) {
+            return account.deleteDatabase(target);
+          })
+        ]);
+
+      });
+
+    });
+
+    it('rejects cloning an instance into itself', function() {
+
+      return expect(account.cloneDatabase(source.name, source.name))
+      .to.be.rejectedWith(FirebaseAccount.ValidationError);
+
+    });
+
   });
 
   describe('#deleteDatabase', function() {
@@ -96,6 +316,13 @@ describe('FirebaseAccount', function() {
       return (expect(account.deleteDatabase(newDb))).to.be.rejected;
 
     });
+
+    it('rejects with a DeletedInstanceError', function() {
+
+      return expect(account.deleteDatabase(newDb))
+      .to.be.rejectedWith(FirebaseAccount.DeletedInstanceError);
+
+    });
   });
 
   describe('bootstrapInstance', function() {
@@ -103,7 +330,7 @@ describe('FirebaseAccount', function() {
     var instancePromise;
 
     before(function() {
-      instancePromise = FirebaseAccount.bootstrapInstance(token);
+      instancePromise = FirebaseAccount.bootstrapInstance(token, params.accountOptions);
     });
 
     it('promises to create a new database with a random name immediately', function() {
@@ -0,0 +1,114 @@
+'use strict';
+
+var _ = require('lodash');
+
+var FirebaseAccount = require('../../account.js'),
+  audit = require('../../lib/audit.js');
+
+describe('audit', function() {
+
+  function checks(findings) {
+
+    return findings.map(function(finding) {
+      return finding.severity + ' ' + finding.check + (finding.path ? ' ' + finding.path : '');
+    });
+
+  }
+
+  describe('audit', function() {
+
+    it('finds .read and .write true at the root', function() {
+
+      expect(checks(audit.audit({ rules: { rules: { '.read': 'true', '.write': true } } })))
+      .to.deep.equal(['high global-read /', 'high global-write /']);
+      expect(checks(audit.audit({ rules: { '.read': 'auth != null || true' } })))
+      .to.deep.equal(['high global-read /']);
+
+    });
+
+    it('finds .write rules under wildcards that let anyone write', function() {
+
+      var findings = audit.audit({
+        rules: {
+          users: {
+            $uid: {
+              '.write': 'auth.uid === $uid',
+              posts: { '.write': 'newData.exists()' }
+            }
+          },
+          logs: { $entry: { '.write': true } },
+          comments: { $comment: { '.write': 'auth == null || true' } },
+          archive: {
+            $year: {
+              '.write': false,
+              $month: { '.write': 'false' },
+              $day: { '.write': '!true || (false && newData.exists())' }
+            }
+          },
+          public: { '.write': true }
+        }
+      });
+
+      expect(checks(findings)).to.deep.equal([
+        'high wildcard-write /users/$uid/posts',
+        'high wildcard-write /logs/$entry',
+        'high wildcard-write /comments/$comment'
+      ]);
+
+    });
+
+    it('passes the default auth config apart from its local domains', function() {
+
+      expect(checks(audit.audit({ authConfig: FirebaseAccount.defaultAuthConfig })))
+      .to.deep.equal(['medium local-domain', 'medium local-domain']);
+
+    });
+
+    it('finds OAuth providers enabled without credentials and long sessions', function() {
+
+      var config = _.cloneDeep(FirebaseAccount.defaultAuthConfig);
+      config.domains = ['example.com'];
+      config.sessionLengthSeconds = 90 * 24 * 60 * 60;
+      config.github = { enabled: true, key: 'abc', secret: '' };
+      config.password.enabled = true;
+
+      var findings = audit.audit({ authConfig: config });
+
+      expect(checks(findings)).to.deep.equal([
+        'medium oauth-credentials',
+        'low session-length'
+      ]);
+      expect(findings[0].message).to.equal('github login is enabled with an empty secret');
+
+      expect(audit.audit({ authConfig: config }, { maxSessionLengthSeconds: 1e8 }))
+      .to.have.length(1);
+
+    });
+
+    it('finds more secrets than allowed', function() {
+
+      expect(checks(audit.audit({ secrets: ['a', 'b', 'c', 'd'] })))
+      .to.deep.equal(['low secret-count']);
+      expect(audit.audit({ secrets: ['a', 'b', 'c', 'd'] }, { maxSecrets: 4 }))
+      .to.deep.equal([]);
+      expect(checks(audit.audit({ secrets: ['a'] }, { maxSecrets: 0 })))
+      .to.deep.equal(['low secret-count']);
+
+    });
+
+  });
+
+  describe('format', function() {
+
+    it('describes each finding on a line', function() {
+
+      expect(audit.format([
+        { severity: 'high', check: 'global-read', path: '/', message: 'Uh oh' },
+        { severity: 'low', check: 'secret-count', message: 'Too many' }
+      ])).to.equal('HIGH global-read /: Uh oh\nLOW secret-count: Too many\n');
+
+    });
+
+  });
+
+});
@@ -0,0 +1,307 @@
+'use strict';
+
+var fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  Q = require('q'),
+  _ = require('lodash');
+
+var FirebaseAccount = require('../../account.js'),
+  backup = require('../../lib/backup.js');
+
+describe('backup', function() {
+
+  var account, source, target, root, directory;
+
+  var data = {
+    posts: {
+      first: { title: 'Hello', body: 'World' },
+      second: { title: 'Again' }
+    },
+    version: 3
+  };
+
+  var rules = {
+    '.read': true,
+    '.write': false,
+    posts: {
+      '.write': 'auth !== null'
+    }
+  };
+
+  function newName() {
+    return Math.random().toString(36).slice(2);
+  }
+
+  function removeDirectory(dir) {
+
+    fs.readdirSync(dir).forEach(function(name) {
+
+      var child = path.join(dir, name);
+      if (fs.statSync(child).isDirectory()) {
+        removeDirectory(child);
+      } else {
+        fs.unlinkSync(child);
+      }
+
+    });
+    fs.rmdirSync(dir);
+
+  }
+
+  before(function() {
+
+    root = path.join(os.tmpdir(), 'firebase-admin-backup-' + newName());
+    // made by the first backup, parents and all
+    directory = path.join(root, 'backups', 'daily');
+
+    return params.ready
+    .then(function() {
+
+      account = new FirebaseAccount(
+        process.env.FIREBASE_ADMIN_TOKEN,
+        params.accountOptions
+      );
+
+      return Q.all([
+        account.createDatabase(newName()),
+        account.createDatabase(newName())
+      ]);
+
+    })
+    .spread(function(newSource, newTarget) {
+
+      source = newSource;
+      target = newTarget;
+
+      var config = _.cloneDeep(FirebaseAccount.defaultAuthConfig);
+      config.password.enabled = true;
+
+      return Q.all([
+        source.importData('/', data),
+        source.setRules(rules),
+        source.setAuthConfig(config),
+        source.createUser('backup@example.com', 'secret')
+      ]);
+
+    });
+
+  });
+
+  after(function() {
+
+    removeDirectory(root);
+    return Q.all([
+      account.deleteDatabase(source),
+      account.deleteDatabase(target)
+    ]);
+
+  });
+
+  describe('create', function() {
+
+    it('writes data, rules, auth config and users into a timestamped archive', function() {
+
+      return backup.create(source, directory, {
+        date: new Date('2014-10-01T12:00:00Z')
+      })
+      .then(function(manifest) {
+
+        expect(path.basename(manifest.path))
+        .to.equal(source.name + '-20141001T120000Z');
+        expect(manifest.users).to.equal(1);
+
+        var files = fs.readdirSync(manifest.path);
+        expect(files).to.include.members([
+          'manifest.json',
+          'data.ndjson',
+          'rules.json',
+          'auth-config.json',
+          'users.json'
+        ]);
+
+        expect(JSON.parse(fs.readFileSync(path.join(manifest.path, 'rules.json'))))
+        .to.deep.equal(rules);
+        // archives hold everything in the instance, so only their owner may read them
+        [directory, manifest.path].forEach(function(dir) {
+          expect(fs.statSync(dir).mode.toString(8)).to.match(/700$/);
+        });
+        files.forEach(function(file) {
+          expect(fs.statSync(path.join(manifest.path, file)).mode.toString(8)).to.match(/600$/);
+        });
+
+      });
+
+    });
+
+    it('gives backups taken in the same second their own archives', function() {
+
+      return backup.create(source, directory, {
+        date: new Date('2014-10-01T12:00:00Z')
+      })
+      .then(function(manifest) {
+
+        expect(path.basename(manifest.path))
+        .to.equal(source.name + '-20141001T120000Z-1');
+        removeDirectory(manifest.path);
+
+      });
+
+    });
+
+    it('rejects and leaves no archive if the data can\'t be written', function() {
+
+      var exportStream = source.exportStream;
+      source.exportStream = function(path, output) {
+        output.emit('error', new Error('Disk full'));
+        return Q.defer().promise;
+      };
+
+      return expect(backup.create(source, directory, {
+        date: new Date('2014-10-03T12:00:00Z')
+      }))
+      .to.be.rejectedWith(/Disk full/)
+      .then(function() {
+        expect(fs.existsSync(path.join(directory, source.name + '-20141003T120000Z')))
+        .to.equal(false);
+      })
+      .fin(function() {
+        source.exportStream = exportStream;
+      });
+
+    });
+
+    it('optionally gzips the archive', function() {
+
+      return backup.create(source, directory, {
+        gzip: true,
+        date: new Date('2014-10-02T12:00:00Z')
+      })
+      .then(function(manifest) {
+
+        expect(fs.readdirSync(manifest.path)).to.include.members([
+          'data.ndjson.gz',
+          'rules.json.gz'
+        ]);
+
+      });
+
+    });
+
+  });
+
+  describe('list', function() {
+
+    it('lists the archives of an instance, oldest first', function() {
+
+      var archives = backup.list(directory, source.name);
+      expect(archives).to.have.length(2);
+      expect(archives[0].createdAt).to.equal('2014-10-01T12:00:00.000Z');
+
+    });
+
+  });
+
+  describe('restore', function() {
+
+    it('summarizes what it would do on a dry run without doing it', function() {
+
+      var archive = backup.list(directory, source.name)[1].path;
+
+      return backup.restore(target, archive, { dryRun: true })
+      .then(function(summary) {
+
+        expect(summary.source).to.equal(source.name);
+        expect(summary.entries).to.be.above(0);
+        expect(summary.createdUsers).to.deep.equal([
+          { email: 'backup@example.com' }
+        ]);
+
+        return expect(target.exportData('/')).to.become(null);
+
+      });
+
+    });
+
+    it('replays an archive into a different instance', function() {
+
+      var archive = backup.list(directory, source.name)[1].path;
+
+      return backup.restore(target, archive)
+      .then(function(summary) {
+
+        expect(summary.createdUsers).to.have.length(1);
+        expect(summary.createdUsers[0].password).to.be.a('string');
+
+        return Q.all([
+          target.exportData('/'),
+          target.getRules(),
+          target.getAuthConfig(),
+          target.listUsers()
+        ]);
+
+      })
+      .spread(function(restoredData, restoredRules, restoredConfig, users) {
+
+        expect(restoredData).to.deep.equal(data);
+        expect(restoredRules).to.deep.equal(rules);
+        expect(restoredConfig.password.enabled).to.equal(true);
+        expect(users[0].email).to.equal('backup@example.com');
+
+      });
+
+    });
+
+    it('rejects a directory that is not an archive', function() {
+
+      return expect(backup.restore(target, directory))
+      .to.be.rejectedWith(FirebaseAccount.ValidationError);
+
+    });
+
+    it('rejects an archive with a missing file', function() {
+
+      var archive = path.join(directory, 'damaged');
+
+      fs.mkdirSync(archive);
+      fs.writeFileSync(path.join(archive, 'manifest.json'), JSON.stringify({
+        instance: source.name,
+        createdAt: '2014-10-01T12:00:00.000Z',
+        files: { rules: 'rules.json', authConfig: 'auth-config.json', users: 'users.json' }
+      }));
+
+      return expect(backup.restore(target, archive).fin(function() {
+        removeDirectory(archive);
+      }))
+      .to.be.rejectedWith(FirebaseAccount.ValidationError, /Damaged backup archive/);
+
+    });
+
+  });
+
+  describe('prune', function() {
+
+    it('deletes all but the newest archives', function() {
+
+      var removed = backup.prune(directory, { instance: source.name, keep: 1 });
+
+      expect(removed).to.have.length(1);
+      expect(removed[0].createdAt).to.equal('2014-10-01T12:00:00.000Z');
+      expect(backup.list(directory, source.name)).to.have.length(1);
+
+    });
+
+    it('never deletes the newest archive, however old', function() {
+
+      var removed = backup.prune(directory, {
+        instance: source.name,
+        maxAgeDays: 1
+      });
+
+      expect(removed).to.have.length(0);
+
+    });
+
+  });
+
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+var drift = require('../../lib/drift.js');
+
+describe('drift', function() {
+
+  describe('compare', function() {
+
+    var expected = {
+      authConfig: {
+        domains: ['example.com', 'localhost'],
+        sessionLengthSeconds: 3600,
+        facebook: { enabled: true, key: 'abc', secret: 'shh' },
+        password: { enabled: true }
+      }
+    };
+
+    it('only checks what is expected', function() {
+
+      var report = drift.compare({ secrets: 1 }, { secrets: ['a'] });
+
+      expect(report).to.deep.equal({
+        drifted: false,
+        checks: [{ name: 'secrets', drifted: false, problems: [] }]
+      });
+
+    });
+
+    it('compares providers without showing their keys and secrets', function() {
+
+      var report = drift.compare(expected, {
+        authConfig: {
+          domains: ['example.com', 'localhost'],
+          sessionLengthSeconds: 60,
+          facebook: { enabled: false, key: 'abc', secret: 'leaked' },
+          github: { enabled: true }
+        }
+      });
+
+      expect(report.drifted).to.equal(true);
+      expect(report.checks[0].problems).to.deep.equal([
+        'facebook is disabled, expected enabled',
+        'facebook.secret differs',
+        'github is unexpected',
+        'password is missing'
+      ]);
+      expect(report.checks[1].drifted).to.equal(false);
+
+    });
+
+    it('reports missing and unexpected domains', function() {
+
+      var report = drift.compare(expected, {
+        authConfig: {
+          domains: ['localhost', 'evil.example.com'],
+          facebook: expected.authConfig.facebook,
+          password: expected.authConfig.password
+        }
+      });
+
+      expect(report.checks[0].drifted).to.equal(false);
+      expect(report.checks[1].problems).to.deep.equal([
+        'example.com is missing',
+        'evil.example.com is unexpected'
+      ]);
+
+    });
+
+  });
+
+  describe('toJUnit', function() {
+
+    it('makes a test case of each check, failing those that drifted', function() {
+
+      var xml = drift.toJUnit([{
+        instance: 'my-app',
+        drifted: true,
+        checks: [
+          { name: 'rules', drifted: false, problems: [] },
+          { name: 'secrets', drifted: true, problems: ['there are 2 secrets, expected <1>'] }
+        ]
+      }]);
+
+      expect(xml).to.equal([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites name="firebase-admin drift" tests="2" failures="1">',
+        '  <testsuite name="my-app" tests="2" failures="1">',
+        '    <testcase classname="my-app" name="rules"/>',
+        '    <testcase classname="my-app" name="secrets">',
+        '      <failure message="there are 2 secrets, expected &lt;1&gt;">' +
+          'there are 2 secrets, expected &lt;1&gt;</failure>',
+        '    </testcase>',
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+      ].join('\n'));
+
+    });
+
+  });
+
+});
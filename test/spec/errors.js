@@ -0,0 +1,118 @@
+'use strict';
+
+var errors = require('../../lib/errors.js');
+
+describe('errors', function() {
+
+  var context = {
+    endpoint: 'GET https://foo.firebaseio.com/.settings/rules.json',
+    instance: 'foo'
+  };
+
+  function fromStatus(statusCode, body) {
+    return errors.fromResponse({ statusCode: statusCode }, body, context);
+  }
+
+  describe('FirebaseAdminError', function() {
+
+    it('is an Error carrying the details of the failed request', function() {
+
+      var err = new errors.NotFoundError('gone', {
+        status: 404,
+        endpoint: context.endpoint,
+        instance: 'foo',
+        body: { error: 'gone' }
+      });
+
+      expect(err).to.be.an.instanceof(Error);
+      expect(err).to.be.an.instanceof(errors.FirebaseAdminError);
+      expect(err.name).to.equal('NotFoundError');
+      expect(err.message).to.equal('gone');
+      expect(err.status).to.equal(404);
+      expect(err.endpoint).to.equal(context.endpoint);
+      expect(err.instance).to.equal('foo');
+      expect(err.body).to.deep.equal({ error: 'gone' });
+      expect(err.stack).to.match(/NotFoundError: gone/);
+
+    });
+
+    it('has a distinct exit code for every class', function() {
+
+      var codes = Object.keys(errors)
+      .filter(function(key) {
+        return /Error$/.test(key);
+      })
+      .map(function(key) {
+        return errors[key].prototype.exitCode;
+      });
+
+      codes.forEach(function(code, index) {
+        expect(codes.indexOf(code)).to.equal(index);
+      });
+
+    });
+
+  });
+
+  describe('fromResponse', function() {
+
+    it('returns null for successful responses', function() {
+      expect(fromStatus(200, { status: 'ok' })).to.equal(null);
+    });
+
+    it('maps HTTP statuses onto error classes', function() {
+
+      expect(fromStatus(401)).to.be.an.instanceof(errors.AuthenticationError);
+      expect(fromStatus(403)).to.be.an.instanceof(errors.AuthenticationError);
+      expect(fromStatus(404)).to.be.an.instanceof(errors.NotFoundError);
+      expect(fromStatus(429)).to.be.an.instanceof(errors.RateLimitError);
+      expect(fromStatus(400)).to.be.an.instanceof(errors.ValidationError);
+      expect(fromStatus(412)).to.be.an.instanceof(errors.ConflictError);
+      expect(fromStatus(503)).to.be.an.instanceof(errors.ServerError);
+
+    });
+
+    it('maps Simple Login error codes onto error classes', function() {
+
+      var err = fromStatus(200, {
+        error: { code: 'INVALID_USER', message: 'No such user.' }
+      });
+
+      expect(err).to.be.an.instanceof(errors.NotFoundError);
+      expect(err.code).to.equal('INVALID_USER');
+      expect(err.message).to.equal('No such user.');
+
+      expect(fromStatus(200, { error: { code: 'EMAIL_TAKEN' } }))
+      .to.be.an.instanceof(errors.ValidationError);
+      expect(fromStatus(200, { error: { code: 'INVALID_TOKEN' } }))
+      .to.be.an.instanceof(errors.AuthenticationError);
+
+    });
+
+    it('treats unsuccessful admin responses as authentication failures', function() {
+
+      var err = fromStatus(200, { success: false });
+      expect(err).to.be.an.instanceof(errors.AuthenticationError);
+      expect(err.instance).to.equal('foo');
+
+    });
+
+  });
+
+  describe('fromNetworkError', function() {
+
+    it('wraps the original error and keeps its code', function() {
+
+      var original = new Error('connect ECONNREFUSED');
+      original.code = 'ECONNREFUSED';
+
+      var err = errors.fromNetworkError(original, context);
+      expect(err).to.be.an.instanceof(errors.NetworkError);
+      expect(err.code).to.equal('ECONNREFUSED');
+      expect(err.cause).to.equal(original);
+
+    });
+
+  });
+
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+var fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  stream = require('stream');
+
+var FirebaseAccount = require('../../account.js'),
+  Exporter = require('../../lib/exporter.js');
+
+function memoryStream() {
+
+  var output = new stream.Writable();
+  output.chunks = [];
+  output._write = function(chunk, encoding, callback) {
+    output.chunks.push(chunk.toString());
+    callback();
+  };
+  output.text = function() {
+    return output.chunks.join('');
+  };
+  return output;
+
+}
+
+function parseLines(text) {
+
+  return text.trim().split('\n').map(function(line) {
+    return JSON.parse(line);
+  });
+
+}
+
+describe('Exporter', function() {
+
+  var account, instance;
+
+  var data = {
+    config: { mode: 'test' },
+    greeting: 'hello',
+    users: {}
+  };
+
+  for (var i = 0; i < 25; i++) {
+    data.users['user' + (i < 10 ? '0' : '') + i] = { name: 'User ' + i, age: i };
+  }
+
+  before(function() {
+
+    return params.ready
+    .then(function() {
+
+      account = new FirebaseAccount(
+        process.env.FIREBASE_ADMIN_TOKEN,
+        params.accountOptions
+      );
+
+      return account.createDatabase(Math.random().toString(36).slice(2));
+
+    })
+    .then(function(newInstance) {
+      instance = newInstance;
+      return instance.importData('/', data);
+    });
+
+  });
+
+  after(function() {
+    return account.deleteDatabase(instance);
+  });
+
+  describe('#run', function() {
+
+    it('streams newline-delimited JSON entries covering the whole tree', function() {
+
+      var output = memoryStream();
+
+      return instance.exportStream('/', output, { pageSize: 10 })
+      .then(function(stats) {
+
+        var lines = parseLines(output.text()),
+          paths = lines.map(function(line) {
+            return line.path;
+          });
+
+        expect(paths).to.include('/greeting');
+        expect(paths).to.include('/users/user00');
+        expect(paths).to.include('/users/user24');
+        expect(lines).to.have.length(stats.entries);
+
+        // 25 users in pages of 10 need 3 requests
+        expect(stats.requests).to.be.above(3);
+
+      });
+
+    });
+
+    it('streams one merged JSON document', function() {
+
+      var output = memoryStream();
+
+      return instance.exportStream('/', output, { format: 'json', pageSize: 10 })
+      .then(function() {
+        expect(JSON.parse(output.text())).to.deep.equal(data);
+      });
+
+    });
+
+    it('exports a subtree', function() {
+
+      var output = memoryStream();
+
+      return instance.exportStream('/users', output, { format: 'json', pageSize: 7 })
+      .then(function() {
+        expect(JSON.parse(output.text())).to.deep.equal(data.users);
+      });
+
+    });
+
+    it('skips everything up to the resume point', function() {
+
+      var output = memoryStream();
+
+      return instance.exportStream('/', output, {
+        pageSize: 10,
+        resumeAfter: '/users/user14'
+      })
+      .then(function() {
+
+        var paths = parseLines(output.text()).map(function(line) {
+          return line.path;
+        });
+
+        expect(paths[0]).to.equal('/users/user15');
+        expect(paths).to.have.length(10);
+
+      });
+
+    });
+
+    it('rejects instead of waiting for a drain if the output fails', function() {
+
+      var output = new stream.Writable({ highWaterMark: 1 });
+      output._write = function(chunk, encoding, callback) {
+        callback(new Error('Disk full'));
+      };
+      output.on('error', function() {});
+
+      return expect(instance.exportStream('/', output, { pageSize: 10 }))
+      .to.be.rejectedWith(/Disk full/);
+
+    });
+
+    it('rejects resuming a merged JSON export', function() {
+
+      return expect(instance.exportStream('/', memoryStream(), {
+        format: 'json',
+        resumeAfter: '/users'
+      }))
+      .to.be.rejectedWith(/resumed/);
+
+    });
+
+  });
+
+  describe('findResumePoint', function() {
+
+    var filename = path.join(os.tmpdir(), 'exporter-' + Date.now() + '.ndjson');
+
+    after(function() {
+      fs.unlinkSync(filename);
+    });
+
+    it('finds the last complete line and where it ends', function() {
+
+      var complete = '{"path":"/a","value":1}\n{"path":"/b","value":2}\n';
+      fs.writeFileSync(filename, complete + '{"path":"/c","va');
+
+      expect(Exporter.findResumePoint(filename)).to.deep.equal({
+        path: '/b',
+        offset: Buffer.byteLength(complete)
+      });
+
+    });
+
+    it('returns null for a missing file', function() {
+      expect(Exporter.findResumePoint(filename + '.missing')).to.equal(null);
+    });
+
+  });
+
+});
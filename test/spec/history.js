@@ -0,0 +1,133 @@
+'use strict';
+
+var fs = require('fs'),
+  os = require('os'),
+  path = require('path');
+
+var FirebaseAccount = require('../../account.js'),
+  History = require('../../lib/history.js');
+
+describe('History', function() {
+
+  var directory = path.join(os.tmpdir(), 'firebase-admin-history-' + Date.now()),
+    history = new History(new History.FileStore(directory), { user: 'alice@laptop' });
+
+  function removeDirectory(dir) {
+
+    fs.readdirSync(dir).forEach(function(name) {
+
+      var child = path.join(dir, name);
+      if (fs.statSync(child).isDirectory()) {
+        removeDirectory(child);
+      } else {
+        fs.unlinkSync(child);
+      }
+
+    });
+    fs.rmdirSync(dir);
+
+  }
+
+  after(function() {
+    removeDirectory(directory);
+  });
+
+  describe('hash', function() {
+
+    it('hashes content regardless of key order', function() {
+
+      expect(History.hash({ a: 1, b: [1, { c: 2, d: 3 }] }))
+      .to.equal(History.hash({ b: [1, { d: 3, c: 2 }], a: 1 }));
+      expect(History.hash({ a: 1 })).to.not.equal(History.hash({ a: 2 }));
+      expect(History.hash({ a: 1 })).to.match(/^[0-9a-f]{12}$/);
+
+    });
+
+  });
+
+  describe('fromOption', function() {
+
+    it('makes a History from true, a directory or a store, and none by default', function() {
+
+      expect(History.fromOption()).to.equal(null);
+      expect(History.fromOption(false)).to.equal(null);
+      expect(History.fromOption(true).store.directory).to.equal(History.defaultDirectory);
+      expect(History.fromOption(directory).store.directory).to.equal(directory);
+      expect(History.fromOption(history)).to.equal(history);
+
+    });
+
+  });
+
+  describe('#record', function() {
+
+    it('promises to save numbered versions with who, when, why and a hash', function() {
+
+      return history.record('foo', 'rules', { '.read': true }, 'open up')
+      .then(function(entry) {
+
+        expect(entry).to.include({ version: 1, user: 'alice@laptop', message: 'open up' });
+        expect(entry.hash).to.equal(History.hash({ '.read': true }));
+        expect(new Date(entry.timestamp).getTime()).to.be.closeTo(Date.now(), 5000);
+
+        return history.record('foo', 'rules', { '.read': false });
+
+      })
+      .then(function(entry) {
+
+        expect(entry.version).to.equal(2);
+        return history.list('foo', 'rules');
+
+      })
+      .then(function(entries) {
+
+        expect(entries.map(function(entry) {
+          return entry.content;
+        })).to.deep.equal([{ '.read': true }, { '.read': false }]);
+
+      });
+
+    });
+
+  });
+
+  describe('FileStore', function() {
+
+    it('keeps versions readable by their owner only', function() {
+
+      var kindDirectory = path.join(directory, 'foo', 'rules');
+
+      expect(fs.statSync(directory).mode.toString(8)).to.match(/700$/);
+      expect(fs.statSync(kindDirectory).mode.toString(8)).to.match(/700$/);
+      fs.readdirSync(kindDirectory).forEach(function(name) {
+        expect(fs.statSync(path.join(kindDirectory, name)).mode.toString(8)).to.match(/600$/);
+      });
+
+    });
+
+  });
+
+  describe('#get', function() {
+
+    it('promises the latest version by default, or the one asked for', function() {
+
+      return history.get('foo', 'rules')
+      .then(function(entry) {
+
+        expect(entry.version).to.equal(2);
+        return expect(history.get('foo', 'rules', 1)).to.eventually.have.property('version', 1);
+
+      });
+
+    });
+
+    it('rejects with a NotFoundError for a version that was never saved', function() {
+
+      return expect(history.get('foo', 'rules', 7))
+      .to.be.rejectedWith(FirebaseAccount.NotFoundError);
+
+    });
+
+  });
+
+});
@@ -1,10 +1,15 @@
 
 'use strict';
 
-var Q = require('q'),
+var fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  Q = require('q'),
   _ = require('lodash');
 
 var FirebaseAccount = require('../../account.js'),
+  History = require('../../lib/history.js'),
+  token = require('../../lib/token.js'),
   account,
   instance,
   authToken;
@@ -14,9 +19,17 @@ describe('FirebaseInstance', function() {
 
   before(function() {
 
-    account = new FirebaseAccount(process.env.FIREBASE_ADMIN_TOKEN);
+    return params.ready
+    .then(function() {
 
-    return account.createDatabase(Math.random().toString(36).slice(2))
+      account = new FirebaseAccount(
+        process.env.FIREBASE_ADMIN_TOKEN,
+        params.accountOptions
+      );
+
+      return account.createDatabase(Math.random().toString(36).slice(2));
+
+    })
     .then(function(newInstance) {
       instance = newInstance;
     });
@@ -43,6 +56,16 @@ describe('FirebaseInstance', function() {
       });
     });
 
+    it('fetches them again when asked to refresh', function() {
+
+      var tokens = instance.authTokens;
+      instance.authTokens = ['stale'];
+
+      return expect(instance.getAuthTokens({ refresh: true }))
+      .to.become(tokens);
+
+    });
+
   });
 
   describe('#addAuthToken', function() {
@@ -76,6 +99,145 @@ describe('FirebaseInstance', function() {
 
   });
 
+  describe('#createCustomToken', function() {
+
+    it('promises a token signed with the first secret', function() {
+
+      return Q.all([
+        instance.createCustomToken('alice', { role: 'editor' }),
+        instance.getAuthTokens()
+      ])
+      .spread(function(customToken, secrets) {
+
+        expect(token.verify(customToken, secrets.slice(0, 1)))
+        .to.include({ uid: 'alice' });
+        return expect(instance.verifyToken(customToken))
+        .to.eventually.include({ uid: 'alice' });
+
+      });
+
+    });
+
+    it('rejects secrets that are not the instance\'s', function() {
+
+      return expect(instance.createCustomToken('alice', {}, { secret: 'nope' }))
+      .to.be.rejectedWith(FirebaseAccount.NotFoundError);
+
+    });
+
+  });
+
+  describe('#verifyToken', function() {
+
+    it('rejects tokens not signed with a current secret', function() {
+
+      return expect(instance.verifyToken(token.create('not-a-secret', { uid: 'alice' })))
+      .to.be.rejectedWith(FirebaseAccount.AuthenticationError);
+
+    });
+
+  });
+
+  describe('#rotateAuthToken', function() {
+
+    it('promises to add, check and hand out a new secret, then remove the old', function() {
+
+      var steps = [],
+        distributed;
+
+      return instance.getAuthTokens()
+      .then(function(tokens) {
+
+        var oldToken = tokens[0];
+
+        return instance.rotateAuthToken({
+          verify: true,
+          graceMs: 10,
+          distribute: function(newToken) {
+            distributed = newToken;
+          },
+          onProgress: function(step) {
+            steps.push(step);
+          }
+        })
+        .then(function(result) {
+
+          expect(result.oldToken).to.equal(oldToken);
+          expect(distributed).to.equal(result.newToken);
+          expect(steps).to.deep.equal(['added', 'verified', 'distributed', 'waiting', 'removed']);
+          return expect(instance.getAuthTokens()).to.become([result.newToken]);
+
+        });
+
+      });
+
+    });
+
+    it('removes the new secret again if the check fails', function() {
+
+      var dataRequest = instance._dataRequest,
+        before;
+
+      instance._dataRequest = function() {
+        return Q.reject(new FirebaseAccount.AuthenticationError('Permission denied'));
+      };
+
+      return instance.getAuthTokens()
+      .then(function(tokens) {
+
+        before = tokens.slice();
+        return instance.rotateAuthToken({ verify: true });
+
+      })
+      .then(function() {
+        throw new Error('rotateAuthToken should have failed');
+      }, function(err) {
+
+        expect(err).to.be.an.instanceof(FirebaseAccount.AuthenticationError);
+        return expect(instance.getAuthTokens()).to.become(before);
+
+      })
+      .fin(function() {
+        instance._dataRequest = dataRequest;
+      });
+
+    });
+
+    it('keeps the check\'s error if the new secret cannot be removed again', function() {
+
+      var dataRequest = instance._dataRequest,
+        removeAuthToken = instance.removeAuthToken,
+        added;
+
+      instance._dataRequest = function() {
+        return Q.reject(new FirebaseAccount.AuthenticationError('Permission denied'));
+      };
+      instance.removeAuthToken = function(token) {
+        added = token;
+        return Q.reject(new Error('DELETE failed'));
+      };
+
+      return instance.rotateAuthToken({ verify: true })
+      .then(function() {
+        throw new Error('rotateAuthToken should have failed');
+      }, function(err) {
+
+        expect(err).to.be.an.instanceof(FirebaseAccount.AuthenticationError);
+        expect(err.rollbackError).to.have.property('message', 'DELETE failed');
+
+      })
+      .fin(function() {
+
+        instance._dataRequest = dataRequest;
+        instance.removeAuthToken = removeAuthToken;
+        return instance.removeAuthToken(added);
+
+      });
+
+    });
+
+  });
+
   describe('#getRules', function() {
 
     it('obtains the current security rules as a POJO', function() {
@@ -127,6 +289,668 @@ describe('FirebaseInstance', function() {
 
       });
 
+      it('rejects with a ValidationError listing the problems, before sending', function() {
+
+        return instance.setRules(badNewRules)
+        .then(function() {
+          throw new Error('setRules should have failed');
+        }, function(err) {
+          expect(err).to.be.an.instanceof(FirebaseAccount.ValidationError);
+          expect(err.status).to.equal(undefined);
+          expect(err.problems[0]).to.include({ key: '.read', column: 10 });
+        });
+
+      });
+
+      it('leaves checking to Firebase when validation is disabled', function() {
+
+        return instance.setRules(badNewRules, { validate: false })
+        .then(function() {
+          throw new Error('setRules should have failed');
+        }, function(err) {
+          expect(err).to.be.an.instanceof(FirebaseAccount.ValidationError);
+          expect(err.status).to.equal(400);
+        });
+
+      });
+
+    });
+
+    describe('given security rules as JSON source with comments', function() {
+
+      var source = '{\n' +
+        '  // nobody writes yet\n' +
+        '  ".read": true,\n' +
+        '  ".write": false,\n' +
+        '}\n';
+
+      it('promises to parse and set them', function() {
+
+        return instance.setRules(source)
+        .then(function() {
+          return expect(instance.getRules())
+          .to.become({ '.read': true, '.write': false });
+        });
+
+      });
+
+      it('rejects source that does not parse with a ParseError', function() {
+
+        return expect(instance.setRules('{ ".read": true ".write": false }'))
+        .to.be.rejectedWith(FirebaseAccount.ParseError);
+
+      });
+
+    });
+
+  });
+
+  describe('#validateRules', function() {
+
+    it('promises to check the current rules', function() {
+
+      return expect(instance.validateRules())
+      .to.become({ errors: [], warnings: [] });
+
+    });
+
+    it('promises to check the rules supplied', function() {
+
+      return instance.validateRules({ '.read': 'auth.uid == $uid' })
+      .then(function(result) {
+        expect(result.errors).to.have.length(1);
+        expect(result.errors[0].message).to.match(/Unknown variable "\$uid"/);
+      });
+
+    });
+
+  });
+
+  describe('#diffRules', function() {
+
+    it('promises to list how new rules differ from the current ones', function() {
+
+      return instance.diffRules({ '.read': true, '.write': true })
+      .then(function(changes) {
+
+        expect(changes).to.deep.equal([{
+          path: '/',
+          key: '.write',
+          type: 'changed',
+          before: false,
+          after: true
+        }]);
+
+      });
+
+    });
+
+    it('resolves with no changes for the current rules', function() {
+
+      return instance.getRules()
+      .then(function(rules) {
+        return expect(instance.diffRules(rules)).to.become([]);
+      });
+
+    });
+
+  });
+
+  describe('#checkDrift', function() {
+
+    it('promises a clean report when the instance matches', function() {
+
+      return Q.all([instance.getRules(), instance.getAuthTokens()])
+      .spread(function(rules, tokens) {
+        return instance.checkDrift({ rules: rules, secrets: tokens.length });
+      })
+      .then(function(report) {
+
+        expect(report.instance).to.equal(instance.name);
+        expect(report.drifted).to.equal(false);
+        expect(report.checks.map(function(check) {
+          return check.name;
+        })).to.deep.equal(['rules', 'secrets']);
+
+      });
+
+    });
+
+    it('promises to report what has drifted', function() {
+
+      return instance.checkDrift({
+        rules: { '.read': true, '.write': true },
+        authConfig: { domains: ['example.com'], password: { enabled: true } },
+        secrets: 100
+      })
+      .then(function(report) {
+
+        expect(report.drifted).to.equal(true);
+        expect(report.checks).to.deep.equal([
+          { name: 'rules', drifted: true, problems: ['/ .write is false, expected true'] },
+          { name: 'authConfig.providers', drifted: true, problems: ['password is missing'] },
+          { name: 'authConfig.domains', drifted: true, problems: ['example.com is missing'] },
+          report.checks[3]
+        ]);
+        expect(report.checks[3].drifted).to.equal(true);
+
+      });
+
+    });
+
+  });
+
+  describe('#audit', function() {
+
+    it('promises findings for the live rules, auth config and secrets', function() {
+
+      return instance.audit({ maxSecrets: 100 })
+      .then(function(report) {
+
+        expect(report.instance).to.equal(instance.name);
+        expect(report.findings).to.deep.equal([{
+          severity: 'high',
+          check: 'global-read',
+          message: 'Anyone can read the whole database: .read is true at the root',
+          path: '/'
+        }]);
+
+      });
+
+    });
+
+  });
+
+  describe('#rulesFromSchema', function() {
+
+    it('promises the current rules with .validate rules from the schema merged in', function() {
+
+      return instance.rulesFromSchema({
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string' } }
+      }, { path: '/users/$uid' })
+      .then(function(rules) {
+
+        expect(rules.rules['.read']).to.equal(true);
+        expect(rules.rules.users.$uid).to.deep.equal({
+          '.validate': 'newData.hasChildren([\'name\'])',
+          name: { '.validate': 'newData.isString()' }
+        });
+
+      });
+
+    });
+
+    it('rejects a schema that can\'t be turned into rules', function() {
+      return expect(instance.rulesFromSchema({ type: 'date' })).to.be.rejectedWith(Error);
+    });
+
+  });
+
+  describe('editing rules in place', function() {
+
+    beforeEach(function() {
+
+      return instance.setRules({
+        '.read': true,
+        '.write': false,
+        users: {
+          '$uid': { '.write': 'auth.uid === $uid', '.indexOn': 'name' }
+        }
+      });
+
+    });
+
+    describe('#patchRules', function() {
+
+      it('promises to merge a fragment in at a path and list the changes', function() {
+
+        return instance.patchRules('/users/$uid', {
+          '.write': null,
+          nickname: { '.validate': 'newData.isString()' }
+        })
+        .then(function(changes) {
+
+          expect(_.map(changes, 'type')).to.deep.equal(['removed', 'added']);
+          return expect(instance.getRules()).to.eventually.have.deep.property('users.$uid')
+          .that.deep.equals({
+            '.indexOn': 'name',
+            nickname: { '.validate': 'newData.isString()' }
+          });
+
+        });
+
+      });
+
+      it('refuses to write if the rules are not the ones expected', function() {
+
+        return instance.getRules()
+        .then(function(rules) {
+
+          // someone else sets the rules after they were read
+          return instance.setRules({ '.read': false })
+          .then(function() {
+            return instance.patchRules('/', { '.write': true }, { expected: rules });
+          });
+
+        })
+        .then(function() {
+          throw new Error('patchRules should have failed');
+        }, function(err) {
+
+          expect(err).to.be.an.instanceof(FirebaseAccount.ConflictError);
+          return expect(instance.getRules()).to.become({ '.read': false });
+
+        })
+        .then(function() {
+          return instance.patchRules('/', { '.write': false }, { expected: { '.read': false } });
+        })
+        .then(function() {
+          return expect(instance.getRules()).to.become({ '.read': false, '.write': false });
+        });
+
+      });
+
+      it('saves the rules it checked in the history instead of reading them again', function() {
+
+        var getRules = instance.getRules,
+          reads = 0,
+          recorded = [],
+          before;
+
+        instance.getRules = function() {
+          reads++;
+          return getRules.call(instance);
+        };
+        instance.history = {
+          record: function(name, kind, content) {
+            recorded.push(content);
+            return Q.resolve();
+          }
+        };
+
+        return getRules.call(instance)
+        .then(function(rules) {
+          before = rules;
+          return instance.patchRules('/', { '.write': 'auth != null' });
+        })
+        .then(function() {
+
+          expect(reads).to.equal(1);
+          expect(recorded).to.deep.equal([before]);
+
+        })
+        .fin(function() {
+          delete instance.getRules;
+          instance.history = null;
+        });
+
+      });
+
+    });
+
+    describe('#removeRulesAt', function() {
+
+      it('promises to remove the rules at a path and parents left empty', function() {
+
+        return instance.removeRulesAt('/users/$uid')
+        .then(function() {
+          return expect(instance.getRules()).to.become({ '.read': true, '.write': false });
+        });
+
+      });
+
+      it('rejects with a NotFoundError if there are no rules at the path', function() {
+
+        return expect(instance.removeRulesAt('/posts'))
+        .to.be.rejectedWith(FirebaseAccount.NotFoundError);
+
+      });
+
+    });
+
+    describe('#addIndex', function() {
+
+      it('promises to add fields to the .indexOn rule at a path', function() {
+
+        return instance.addIndex('/users/$uid', ['name', 'age'])
+        .then(function(changes) {
+
+          expect(changes).to.have.length(1);
+          return instance.getRules();
+
+        })
+        .then(function(rules) {
+          expect(rules.users.$uid['.indexOn']).to.deep.equal(['name', 'age']);
+        });
+
+      });
+
+      it('writes nothing if the fields are already indexed', function() {
+        return expect(instance.addIndex('/users/$uid', 'name')).to.become([]);
+      });
+
+    });
+
+  });
+
+  describe('history', function() {
+
+    var directory = path.join(os.tmpdir(), 'firebase-admin-history-' +
+        Math.random().toString(36).slice(2)),
+      store = new History.FileStore(directory);
+
+    before(function() {
+
+      instance.history = new History(store);
+      return instance.setRules({ '.read': true, '.write': false }, { history: false });
+
+    });
+
+    after(function() {
+
+      instance.history = null;
+
+      ['rules', 'authConfig', 'secrets'].forEach(function(kind) {
+
+        var kindDirectory = path.join(directory, instance.name, kind);
+        fs.readdirSync(kindDirectory).forEach(function(name) {
+          fs.unlinkSync(path.join(kindDirectory, name));
+        });
+        fs.rmdirSync(kindDirectory);
+
+      });
+      fs.rmdirSync(path.join(directory, instance.name));
+      fs.rmdirSync(directory);
+
+      // later specs expect a pristine auth config
+      return instance.setAuthConfig(null);
+
+    });
+
+    describe('#setRules', function() {
+
+      it('saves the rules it replaces, unless nothing changes', function() {
+
+        return instance.setRules({ '.read': false, '.write': false }, { message: 'lock down' })
+        .then(function() {
+          return instance.setRules({ '.read': false, '.write': false });
+        })
+        .then(function() {
+          return instance.getRulesHistory();
+        })
+        .then(function(entries) {
+
+          expect(entries).to.have.length(1);
+          expect(entries[0]).to.include({ version: 1, message: 'lock down' });
+          expect(entries[0].content).to.deep.equal({ '.read': true, '.write': false });
+
+        });
+
+      });
+
+      it('saves nothing if the rules could not be set', function() {
+
+        var request = instance._request;
+        instance._request = function(options) {
+          return options.method === 'PUT' ?
+            Q.reject(new Error('PUT failed')) :
+            request.apply(this, arguments);
+        };
+
+        return expect(instance.setRules({ '.read': 'auth != null', '.write': false })
+          .fin(function() {
+            instance._request = request;
+          }))
+        .to.be.rejectedWith('PUT failed')
+        .then(function() {
+          return expect(instance.getRulesHistory()).to.eventually.have.length(1);
+        });
+
+      });
+
+      it('still sets the rules if the history cannot be saved', function() {
+
+        var history = instance.history,
+          onWarning = instance.onWarning,
+          warnings = [];
+
+        instance.history = {
+          record: function() {
+            throw new Error('EROFS: read-only file system');
+          }
+        };
+        instance.onWarning = function(message) {
+          warnings.push(message);
+        };
+
+        return instance.setRules({ '.read': 'auth != null', '.write': false })
+        .fin(function() {
+          instance.history = history;
+          instance.onWarning = onWarning;
+        })
+        .then(function() {
+
+          expect(warnings).to.deep.equal(['Could not save the rules history of ' +
+            instance.name + ': EROFS: read-only file system']);
+          return expect(instance.getRules()).to.eventually.deep.equal({
+            '.read': 'auth != null',
+            '.write': false
+          });
+        })
+        .then(function() {
+          return instance.setRules({ '.read': false, '.write': false }, { history: false });
+        });
+
+      });
+
+    });
+
+    describe('#listAuthTokens', function() {
+
+      it('says when and by whom secrets were added through this library', function() {
+
+        var added;
+
+        return instance.addAuthToken()
+        .then(function(secret) {
+
+          added = secret;
+          return instance.listAuthTokens({ refresh: true });
+
+        })
+        .then(function(secrets) {
+
+          expect(secrets).to.have.length(2);
+          expect(secrets[0].addedAt).to.equal(null);
+          expect(secrets[1]).to.include({
+            secret: added,
+            fingerprint: History.hash(added),
+            addedBy: instance.history.user
+          });
+          expect(new Date(secrets[1].addedAt).getTime()).to.be.closeTo(Date.now(), 60000);
+
+          return instance.removeAuthToken(added);
+
+        })
+        .then(function() {
+          return store.list(instance.name, 'secrets');
+        })
+        .then(function(entries) {
+
+          expect(entries.map(function(entry) {
+            return entry.content.action;
+          })).to.deep.equal(['added', 'removed']);
+
+        });
+
+      });
+
+    });
+
+    describe('#addAuthToken', function() {
+
+      it('still adds and removes secrets if the history cannot be saved', function() {
+
+        var history = instance.history,
+          onWarning = instance.onWarning,
+          warnings = [],
+          added;
+
+        instance.history = {
+          record: function() {
+            return Q.reject(new Error('EACCES: permission denied'));
+          }
+        };
+        instance.onWarning = function(message, err) {
+          warnings.push(err.message);
+        };
+
+        return instance.addAuthToken()
+        .then(function(secret) {
+
+          added = secret;
+          return expect(instance.getAuthTokens()).to.eventually.include(added);
+
+        })
+        .then(function() {
+          return instance.removeAuthToken(added);
+        })
+        .fin(function() {
+          instance.history = history;
+          instance.onWarning = onWarning;
+        })
+        .then(function() {
+
+          expect(warnings).to.deep.equal(['EACCES: permission denied', 'EACCES: permission denied']);
+          return expect(instance.getAuthTokens()).to.eventually.not.include(added);
+
+        });
+
+      });
+
+    });
+
+    describe('#rollbackRules', function() {
+
+      it('promises to set the rules back to the latest saved version', function() {
+
+        return instance.rollbackRules()
+        .then(function(entry) {
+
+          expect(entry.version).to.equal(1);
+          return Q.all([instance.getRules(), instance.getRulesHistory()]);
+
+        })
+        .spread(function(rules, entries) {
+
+          expect(rules).to.deep.equal({ '.read': true, '.write': false });
+          expect(entries).to.have.length(2);
+          expect(entries[1]).to.include({ message: 'Roll back to version 1' });
+
+        });
+
+      });
+
+    });
+
+    describe('#rollbackAuthConfig', function() {
+
+      it('promises to set the auth config back to a saved version', function() {
+
+        return instance.setAuthConfig({ domains: ['one.example.com'] }, { history: false })
+        .then(function() {
+          return instance.setAuthConfig({ domains: ['two.example.com'] });
+        })
+        .then(function() {
+          return instance.rollbackAuthConfig(1);
+        })
+        .then(function() {
+          return instance.getAuthConfig();
+        })
+        .then(function(config) {
+          expect(config).to.deep.equal({ domains: ['one.example.com'] });
+          return expect(instance.getAuthConfigHistory()).to.eventually.have.length(2);
+        });
+
+      });
+
+    });
+
+  });
+
+  describe('data', function() {
+
+    var seed = {
+      users: {
+        alice: { name: 'Alice', age: 30 },
+        bob: { name: 'Bob', age: 25 }
+      },
+      status: 'ok'
+    };
+
+    describe('#importData', function() {
+
+      it('promises to set the data at a path', function() {
+
+        return instance.importData('/', seed)
+        .then(function() {
+          return expect(instance.exportData('/')).to.become(seed);
+        });
+
+      });
+
+      it('updates only the supplied children in update mode', function() {
+
+        return instance.importData('users', { carol: { name: 'Carol' } }, {
+          mode: 'update'
+        })
+        .then(function() {
+          return expect(instance.exportData('users'))
+          .to.eventually.have.keys(['alice', 'bob', 'carol']);
+        });
+
+      });
+
+      it('rejects update mode without an object', function() {
+
+        return expect(instance.importData('users', 'nope', { mode: 'update' }))
+        .to.be.rejectedWith(FirebaseAccount.ValidationError);
+
+      });
+
+    });
+
+    describe('#exportData', function() {
+
+      it('promises to get the data at a path', function() {
+
+        return expect(instance.exportData('users/alice'))
+        .to.become(seed.users.alice);
+
+      });
+
+      it('resolves with null where there is no data', function() {
+
+        return expect(instance.exportData('nothing/here'))
+        .to.become(null);
+
+      });
+
+    });
+
+    describe('#removeData', function() {
+
+      it('promises to remove the data at a path', function() {
+
+        return instance.removeData('users')
+        .then(function() {
+          return expect(instance.exportData('/')).to.become({ status: 'ok' });
+        });
+
+      });
+
     });
 
   });
@@ -211,6 +1035,121 @@ describe('FirebaseInstance', function() {
 
     });
 
+    describe('with options', function() {
+
+      before(function() {
+
+        return instance.createUser('zed@example.org', 'zed-password')
+        .then(function() {
+          return instance.createUser('amy@example.com', 'amy-password');
+        });
+
+      });
+
+      after(function() {
+
+        return Q.all([
+          instance.removeUser('zed@example.org'),
+          instance.removeUser('amy@example.com')
+        ]);
+
+      });
+
+      function emails(users) {
+        return users.map(function(user) {
+          return user.email;
+        });
+      }
+
+      it('filters users by email pattern and creation date', function() {
+
+        return Q.all([
+          instance.listUsers({ email: '*@EXAMPLE.com' }),
+          instance.listUsers({ email: /^z/ }),
+          instance.listUsers({ createdAfter: new Date(Date.now() + 60000) }),
+          instance.listUsers({ createdBefore: '2100-01-01' })
+        ])
+        .spread(function(byPattern, byRegExp, future, past) {
+
+          expect(emails(byPattern)).to.deep.equal(['amy@example.com']);
+          expect(emails(byRegExp)).to.deep.equal(['zed@example.org']);
+          expect(future).to.deep.equal([]);
+          expect(past).to.have.length(3);
+
+        });
+
+      });
+
+      it('sorts users, descending with a leading -', function() {
+
+        return Q.all([
+          instance.listUsers({ sort: 'email' }),
+          instance.listUsers({ sort: '-email' })
+        ])
+        .spread(function(ascending, descending) {
+
+          expect(emails(ascending))
+          .to.deep.equal(['amy@example.com', 'foobar@foobar.com', 'zed@example.org']);
+          expect(emails(descending))
+          .to.deep.equal(['zed@example.org', 'foobar@foobar.com', 'amy@example.com']);
+
+        });
+
+      });
+
+      it('sorts ids as numbers', function() {
+
+        var added = [];
+        for (var i = 0; i < 10; i++) {
+          added.push('user' + i + '@example.net');
+        }
+
+        function numbers(users) {
+          return users.map(function(user) {
+            return parseInt(user.id.replace(/^\D*/, ''), 10);
+          });
+        }
+
+        return added.reduce(function(promise, email) {
+          return promise.then(function() {
+            return instance.createUser(email, 'password');
+          });
+        }, Q.resolve())
+        .then(function() {
+          return Q.all([instance.listUsers({ sort: 'id' }), instance.listUsers({ sort: '-id' })]);
+        })
+        .spread(function(ascending, descending) {
+
+          var ids = numbers(ascending);
+
+          expect(ids).to.have.length.of.at.least(12);
+          expect(ids).to.deep.equal(ids.slice().sort(function(a, b) {
+            return a - b;
+          }));
+          expect(numbers(descending)).to.deep.equal(ids.slice().reverse());
+
+        })
+        .fin(function() {
+          return Q.all(added.map(function(email) {
+            return instance.removeUser(email);
+          }));
+        });
+
+      });
+
+      it('rejects unknown sorts and dates it can\'t read', function() {
+
+        return Q.all([
+          expect(instance.listUsers({ sort: 'name' }))
+          .to.be.rejectedWith(FirebaseAccount.ValidationError, /sort must be one of/),
+          expect(instance.listUsers({ createdAfter: 'last week' }))
+          .to.be.rejectedWith(FirebaseAccount.ValidationError, /createdAfter must be a date/)
+        ]);
+
+      });
+
+    });
+
   });
 
   describe('#sendResetEmail', function() {
@@ -251,4 +1190,124 @@ describe('FirebaseInstance', function() {
 
   });
 
+  describe('#importUsers', function() {
+
+    after(function() {
+
+      return instance.listUsers()
+      .then(function(users) {
+        return Q.all(users.map(function(user) {
+          return instance.removeUser(user.email);
+        }));
+      });
+
+    });
+
+    it('creates users, generating missing passwords and skipping existing ones', function() {
+
+      return instance.createUser('old@example.com', 'old-password')
+      .then(function() {
+
+        return instance.importUsers([
+          { email: 'alice@example.com', password: 'alice-password' },
+          { email: 'bob@example.com' },
+          { email: 'old@example.com', password: 'new-password' },
+          { email: 'alice@example.com' }
+        ], { concurrency: 2 });
+
+      })
+      .then(function(results) {
+
+        expect(results[0]).to.deep.equal({
+          email: 'alice@example.com',
+          status: 'created',
+          password: 'alice-password',
+          generated: false
+        });
+        expect(results[1].status).to.equal('created');
+        expect(results[1].generated).to.equal(true);
+        expect(results[1].password).to.match(/^[0-9a-f]{16}$/);
+        expect(results[2]).to.deep.equal({ email: 'old@example.com', status: 'skipped' });
+        expect(results[3].status).to.equal('failed');
+        expect(results[3].error).to.match(/more than once/);
+
+        return expect(instance.listUsers())
+        .to.eventually.have.length(3);
+
+      });
+
+    });
+
+    it('resets or fails existing users if asked to', function() {
+
+      return instance.importUsers([{ email: 'old@example.com' }], {
+        onConflict: 'reset-password'
+      })
+      .then(function(results) {
+
+        expect(results[0].status).to.equal('reset');
+        expect(results[0].generated).to.equal(true);
+
+        return instance.importUsers([{ email: 'old@example.com' }], { onConflict: 'fail' });
+
+      })
+      .then(function(results) {
+
+        expect(results[0].status).to.equal('failed');
+        expect(results[0].error).to.match(/Already exists/);
+
+      });
+
+    });
+
+    it('rejects a concurrency that is not a whole number of at least 1', function() {
+
+      return Q.all([0, -1, 0.5, 2.5, NaN].map(function(concurrency) {
+        return expect(instance.importUsers([{ email: 'dan@example.com' }], {
+          concurrency: concurrency
+        }))
+        .to.be.rejectedWith(FirebaseAccount.ValidationError, /concurrency must be/);
+      }))
+      .then(function() {
+        return expect(instance.listUsers({ email: 'dan@example.com' })).to.become([]);
+      });
+
+    });
+
+    it('reports records that fail without stopping the rest', function() {
+
+      var createUser = instance.createUser;
+      instance.createUser = function(email, password) {
+        return email === 'bad@example.com' ?
+          Q.reject(new Error('Refused')) :
+          createUser.call(instance, email, password);
+      };
+
+      return instance.importUsers([
+        { email: 'bad@example.com' },
+        { email: 'carol@example.com' }
+      ])
+      .then(function(results) {
+
+        expect(results.map(function(result) {
+          return result.status;
+        })).to.deep.equal(['failed', 'created']);
+        expect(results[0].error).to.equal('Refused');
+
+      })
+      .fin(function() {
+        instance.createUser = createUser;
+      });
+
+    });
+
+    it('rejects an unknown conflict mode', function() {
+
+      return expect(instance.importUsers([], { onConflict: 'merge' }))
+      .to.be.rejectedWith(FirebaseAccount.ValidationError, /onConflict/);
+
+    });
+
+  });
+
 });
@@ -0,0 +1,206 @@
+'use strict';
+
+var fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  Q = require('q');
+
+var FirebaseAccount = require('../../account.js'),
+  errors = require('../../lib/errors.js'),
+  manifest = require('../../lib/manifest.js');
+
+describe('manifest', function() {
+
+  var account, directory, name, filename;
+
+  function newName() {
+    return Math.random().toString(36).slice(2);
+  }
+
+  function write(file, content) {
+    fs.writeFileSync(path.join(directory, file), content);
+    return path.join(directory, file);
+  }
+
+  before(function() {
+
+    name = newName();
+    directory = path.join(os.tmpdir(), 'firebase-admin-manifest-' + newName());
+    fs.mkdirSync(directory);
+
+    write('rules.json', '{ "rules": { ".read": true, "posts": { ".write": "auth !== null" } } }');
+    filename = write('environments.yml', [
+      'instances:',
+      '  ' + name + ':',
+      '    rules: rules.json',
+      '    authConfig:',
+      '      sessionLengthSeconds: 3600',
+      '      password: { enabled: true }',
+      '    secrets: 2',
+      '    users:',
+      '      - seed@example.com',
+      '      - { email: admin@example.com, password: hunter2 }'
+    ].join('\n'));
+
+    return params.ready
+    .then(function() {
+
+      account = new FirebaseAccount(
+        process.env.FIREBASE_ADMIN_TOKEN,
+        params.accountOptions
+      );
+
+    });
+
+  });
+
+  after(function() {
+
+    fs.readdirSync(directory).forEach(function(file) {
+      fs.unlinkSync(path.join(directory, file));
+    });
+    fs.rmdirSync(directory);
+
+    return account.getDatabase(name)
+    .then(function(instance) {
+      return account.deleteDatabase(instance);
+    });
+
+  });
+
+  describe('load', function() {
+
+    it('reads the instances, loading the files they name', function() {
+
+      var loaded = manifest.load(filename);
+
+      expect(loaded.instances).to.have.length(1);
+      expect(loaded.instances[0].rules).to.deep.equal({
+        '.read': true,
+        posts: { '.write': 'auth !== null' }
+      });
+      expect(loaded.instances[0].secrets).to.equal(2);
+      expect(loaded.instances[0].users).to.deep.equal([
+        { email: 'seed@example.com', password: undefined },
+        { email: 'admin@example.com', password: 'hunter2' }
+      ]);
+
+    });
+
+    it('throws a ParseError for settings it doesn\'t know', function() {
+
+      var file = write('typo.yml', 'instances:\n  foo:\n    rule: rules.json\n');
+
+      expect(function() {
+        manifest.load(file);
+      }).to.throw(errors.ParseError, /Unknown setting "rule" for foo/);
+
+    });
+
+  });
+
+  describe('plan', function() {
+
+    it('plans to create a missing instance and everything in it', function() {
+
+      return manifest.plan(account, manifest.load(filename))
+      .then(function(instances) {
+
+        expect(instances[0].exists).to.equal(false);
+        expect(instances[0].changes.map(function(change) {
+          return change.resource + ' ' + change.action;
+        })).to.deep.equal([
+          'instance create',
+          'rules update',
+          'authConfig update',
+          'secrets add',
+          'users add'
+        ]);
+        expect(instances[0].changes[3].count).to.equal(1);
+
+      });
+
+    });
+
+  });
+
+  describe('apply', function() {
+
+    it('creates, configures and seeds the instance', function() {
+
+      return manifest.apply(account, manifest.load(filename), { message: 'test' })
+      .then(function(instances) {
+
+        expect(instances[0].exists).to.equal(false);
+        expect(instances[0].users[1]).to.deep.equal({
+          email: 'admin@example.com',
+          password: 'hunter2'
+        });
+        expect(instances[0].users[0].password).to.match(/^[0-9a-z]+$/);
+
+        return account.getDatabase(name);
+
+      })
+      .then(function(instance) {
+
+        return Q.all([
+          instance.getRules(),
+          instance.getAuthConfig(),
+          instance.getAuthTokens(),
+          instance.listUsers()
+        ]);
+
+      })
+      .spread(function(rules, config, tokens, users) {
+
+        expect(rules.posts['.write']).to.equal('auth !== null');
+        expect(config.sessionLengthSeconds).to.equal(3600);
+        expect(tokens).to.have.length(2);
+        expect(users).to.have.length(2);
+
+      });
+
+    });
+
+    it('changes nothing the second time', function() {
+
+      return manifest.apply(account, manifest.load(filename))
+      .then(function(instances) {
+
+        expect(instances[0].changes).to.deep.equal([]);
+        expect(manifest.format(instances)).to.equal(name + ': up to date\n');
+
+      });
+
+    });
+
+  });
+
+  describe('format', function() {
+
+    it('describes each change, with rule changes underneath', function() {
+
+      var text = manifest.format([{
+        name: 'foo',
+        changes: [
+          { resource: 'rules', action: 'update', changes: [
+            { path: '/', key: '.read', type: 'added', after: true }
+          ] },
+          { resource: 'secrets', action: 'warn', message: 'has 3 secrets' }
+        ]
+      }]);
+
+      expect(text).to.equal([
+        'foo:',
+        '  ~ security rules: 1 rule(s) change',
+        '      / .read',
+        '      + true',
+        '  ! secrets: has 3 secrets',
+        ''
+      ].join('\n'));
+
+    });
+
+  });
+
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+var FirebaseAccount = require('../../account.js'),
+  rulesCompiler = require('../../lib/rules-compiler.js'),
+  rulesValidator = require('../../lib/rules-validator.js');
+
+describe('rules-compiler', function() {
+
+  function compileError(source) {
+
+    try {
+      rulesCompiler.compile(source, { filename: 'rules.bolt' });
+    } catch(e) {
+      return e;
+    }
+    throw new Error('expected a ParseError for ' + source);
+
+  }
+
+  describe('compile', function() {
+
+    var source = [
+      '// who may do what',
+      'function isSignedIn() { auth != null }',
+      'function isOwner(uid) { return isSignedIn() && auth.uid == uid; }',
+      '',
+      'type Name extends String {',
+      '  validate() { this.length > 0 && this.length <= 50 }',
+      '}',
+      '',
+      'type User {',
+      '  name: Name,',
+      '  age: Number | Null,',
+      '  tags: Map<String, Boolean>',
+      '}',
+      '',
+      'path /users/{uid} is User {',
+      '  read() { isSignedIn() }',
+      '  write() { isOwner(uid) && (prior(this) == null || prior(this).name == this.name) }',
+      '  index() { ["name", "age"] }',
+      '',
+      '  path /scores is Number[];',
+      '}',
+      '',
+      'path /public { read() { true } }'
+    ].join('\n');
+
+    var rules = rulesCompiler.compile(source);
+
+    it('turns path statements into rules, inlining functions', function() {
+
+      var user = rules.rules.users.$uid;
+
+      expect(user['.read']).to.equal('auth != null');
+      expect(user['.write']).to.equal('auth != null && auth.uid == $uid && ' +
+        '(data.val() == null || data.child(\'name\').val() == newData.child(\'name\').val())');
+      expect(user['.indexOn']).to.deep.equal(['name', 'age']);
+      expect(rules.rules.public).to.deep.equal({ '.read': true });
+
+    });
+
+    it('turns types into .validate rules for the path and its children', function() {
+
+      var user = rules.rules.users.$uid;
+
+      expect(user['.validate']).to.equal('newData.hasChildren([\'name\', \'tags\'])');
+      expect(user.name['.validate']).to.equal('newData.isString() && ' +
+        '(newData.val().length > 0 && newData.val().length <= 50)');
+      expect(user.age['.validate']).to.equal('newData.isNumber()');
+      expect(user.tags.$key).to.deep.equal({ '.validate': 'newData.isBoolean()' });
+      expect(user.$other).to.deep.equal({ '.validate': false });
+      expect(user.scores.$key).to.deep.equal({ '.validate': 'newData.isNumber()' });
+
+    });
+
+    it('produces rules that pass validation', function() {
+      expect(rulesValidator.validate(rules)).to.deep.equal({ errors: [], warnings: [] });
+    });
+
+    it('reports where expression syntax errors are', function() {
+
+      var err = compileError('path /a {\n  read() { auth.uid = 1 }\n}');
+
+      expect(err).to.be.an.instanceof(FirebaseAccount.ParseError);
+      expect(err.message).to.equal('rules.bolt:2:21: Unexpected "=", did you mean "=="?');
+
+    });
+
+    it('reports unknown names, functions and types where they are used', function() {
+
+      expect(compileError('path /{a} { read() { b } }').message)
+      .to.equal('rules.bolt:1:22: Unknown name "b"');
+      expect(compileError('function f() { g() }\npath /a { read() { f() } }').message)
+      .to.equal('rules.bolt:1:16: Unknown function "g"');
+      expect(compileError('path /a is Foo;').message)
+      .to.equal('rules.bolt:1:12: Unknown type "Foo"');
+
+    });
+
+    it('refuses what rules can\'t express', function() {
+
+      expect(compileError('type A { next: A | Null }\npath /a is A;').reason)
+      .to.match(/recursive types/);
+      expect(compileError('function f() { f() }\npath /a { read() { f() } }').reason)
+      .to.match(/can't be recursive/);
+      expect(compileError('path /a { read() { true }').reason)
+      .to.match(/^Unexpected end of file/);
+
+    });
+
+  });
+
+});
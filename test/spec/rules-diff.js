@@ -0,0 +1,102 @@
+'use strict';
+
+var rulesDiff = require('../../lib/rules-diff.js');
+
+describe('rules-diff', function() {
+
+  var current = {
+    rules: {
+      '.read': true,
+      users: {
+        '$uid': {
+          '.write': 'auth.uid === $uid',
+          '.indexOn': ['age', 'name']
+        }
+      },
+      legacy: {
+        '.write': true
+      }
+    }
+  };
+
+  describe('diff', function() {
+
+    it('finds nothing between equivalent rules', function() {
+
+      expect(rulesDiff.diff(current, {
+        '.read': 'true',
+        users: {
+          '$uid': {
+            '.write': 'auth.uid === $uid ',
+            '.indexOn': ['name', 'age']
+          }
+        },
+        legacy: {
+          '.write': true
+        }
+      })).to.deep.equal([]);
+
+    });
+
+    it('reports added, removed and changed rules by path, depth first', function() {
+
+      var changes = rulesDiff.diff(current, {
+        '.read': true,
+        users: {
+          '$uid': {
+            '.write': 'auth.uid === $uid',
+            '.validate': 'newData.hasChildren([\'name\'])',
+            '.indexOn': 'name'
+          }
+        },
+        posts: {
+          '.read': 'auth !== null'
+        }
+      });
+
+      expect(changes).to.deep.equal([{
+        path: '/legacy',
+        key: '.write',
+        type: 'removed',
+        before: true
+      }, {
+        path: '/posts',
+        key: '.read',
+        type: 'added',
+        after: 'auth !== null'
+      }, {
+        path: '/users/$uid',
+        key: '.validate',
+        type: 'added',
+        after: 'newData.hasChildren([\'name\'])'
+      }, {
+        path: '/users/$uid',
+        key: '.indexOn',
+        type: 'changed',
+        before: ['age', 'name'],
+        after: 'name'
+      }]);
+
+    });
+
+  });
+
+  describe('format', function() {
+
+    it('prints the old and new value of each change under its path', function() {
+
+      var text = rulesDiff.format([{
+        path: '/',
+        key: '.read',
+        type: 'changed',
+        before: true,
+        after: false
+      }]);
+
+      expect(text).to.equal('/ .read\n- true\n+ false\n');
+
+    });
+
+  });
+
+});
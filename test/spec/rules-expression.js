@@ -0,0 +1,104 @@
+'use strict';
+
+var FirebaseAccount = require('../../account.js'),
+  expression = require('../../lib/rules-expression.js');
+
+describe('rules-expression', function() {
+
+  function syntaxError(source) {
+
+    try {
+      expression.parse(source);
+    } catch(e) {
+      return e;
+    }
+    throw new Error('expected a ParseError for ' + source);
+
+  }
+
+  describe('parse', function() {
+
+    it('parses operators by precedence', function() {
+
+      var tree = expression.parse('auth != null && data.val() + 1 > 2 || false');
+
+      expect(tree.type).to.equal('Binary');
+      expect(tree.operator).to.equal('||');
+      expect(tree.left.operator).to.equal('&&');
+      expect(tree.left.right.operator).to.equal('>');
+      expect(tree.left.right.left.operator).to.equal('+');
+
+    });
+
+    it('parses snapshot method chains, literals and regular expressions', function() {
+
+      var tree = expression.parse(
+        'newData.child(\'name\').val().matches(/^[a-z]+$/i) ? [1, "two"] : null'
+      );
+
+      expect(tree.type).to.equal('Conditional');
+      expect(tree.test.callee.property).to.equal('matches');
+      expect(tree.test.arguments[0]).to.include({ type: 'Regex', flags: 'i' });
+      expect(tree.consequent.elements[1]).to.include({ type: 'Literal', value: 'two' });
+      expect(tree.alternate).to.include({ type: 'Literal', value: null });
+
+    });
+
+    it('reports where a syntax error is', function() {
+
+      var err = syntaxError('data.val() > 5 )');
+
+      expect(err).to.be.an.instanceof(FirebaseAccount.ParseError);
+      expect(err.column).to.equal(16);
+      expect(err.offset).to.equal(15);
+      expect(err.reason).to.equal('Unexpected ")"');
+
+    });
+
+    it('rejects incomplete expressions and assignments', function() {
+
+      expect(syntaxError('newData <').reason).to.equal('Unexpected end of expression');
+      expect(syntaxError('auth.uid = $uid').reason).to.match(/did you mean "=="/);
+      expect(syntaxError('\'open').reason).to.equal('Unterminated string');
+
+    });
+
+  });
+
+  describe('print', function() {
+
+    it('prints a syntax tree back with only the parentheses it needs', function() {
+
+      [
+        '(auth != null || data.exists()) && !(newData.val() - 1 > 2)',
+        'a - (b - c) * 2',
+        'data.val() === \'it\\\'s\' ? [1, 2][0] : newData.val().matches(/^a\\/b$/i)'
+      ].forEach(function(source) {
+        expect(expression.print(expression.parse(source))).to.equal(source);
+      });
+
+      expect(expression.print(expression.parse('((a)) && (b == "c")'))).to.equal('a && b == \'c\'');
+
+    });
+
+  });
+
+  describe('walk', function() {
+
+    it('visits every node with its parent', function() {
+
+      var names = [];
+
+      expression.walk(expression.parse('root.child($a).exists() && !auth'), function(node) {
+        if (node.type === 'Identifier') {
+          names.push(node.name);
+        }
+      });
+
+      expect(names).to.deep.equal(['root', '$a', 'auth']);
+
+    });
+
+  });
+
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+var rulesGenerator = require('../../lib/rules-generator.js'),
+  rulesValidator = require('../../lib/rules-validator.js'),
+  Simulator = require('../../lib/rules-simulator.js');
+
+describe('rules-generator', function() {
+
+  var schema = {
+    type: 'object',
+    required: ['name', 'role'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 20 },
+      email: { type: 'string', pattern: '^[^@/]+@[^@]+$' },
+      age: { type: 'integer', minimum: 0, exclusiveMaximum: 150 },
+      role: { enum: ['admin', 'member'] },
+      address: { $ref: '#/definitions/address' },
+      tags: {
+        type: 'object',
+        additionalProperties: { type: 'boolean' }
+      }
+    },
+    additionalProperties: false,
+    definitions: {
+      address: {
+        type: 'object',
+        required: ['city'],
+        properties: { city: { type: 'string' }, zip: { type: ['string', 'null'] } }
+      }
+    }
+  };
+
+  describe('fromSchema', function() {
+
+    var rules = rulesGenerator.fromSchema(schema, { path: '/users/$uid' });
+
+    it('turns each keyword into a .validate expression', function() {
+
+      var user = rules.users.$uid;
+
+      expect(user['.validate']).to.equal(
+        'newData.hasChildren([\'name\', \'role\'])'
+      );
+      expect(user.name['.validate']).to.equal('newData.isString() && ' +
+        'newData.val().length >= 1 && newData.val().length <= 20');
+      expect(user.email['.validate']).to.equal(
+        'newData.isString() && newData.val().matches(/^[^@\\/]+@[^@]+$/)'
+      );
+      expect(user.age['.validate']).to.equal(
+        '(newData.isNumber() && newData.val() % 1 === 0) && ' +
+        'newData.val() >= 0 && newData.val() < 150'
+      );
+      expect(user.role['.validate']).to.equal(
+        '(newData.val() === \'admin\' || newData.val() === \'member\')'
+      );
+
+    });
+
+    it('nests objects, maps and references, and refuses additional properties', function() {
+
+      var user = rules.users.$uid;
+
+      expect(user.address.city).to.deep.equal({ '.validate': 'newData.isString()' });
+      expect(user.address.zip).to.deep.equal({ '.validate': 'newData.isString()' });
+      expect(user.tags.$key).to.deep.equal({ '.validate': 'newData.isBoolean()' });
+      expect(user.$other).to.deep.equal({ '.validate': false });
+
+    });
+
+    it('guards constraints for one type when the schema allows others', function() {
+
+      expect(rulesGenerator.fromSchema({ maxLength: 3 })).to.deep.equal({
+        '.validate': '(!newData.isString() || newData.val().length <= 3)'
+      });
+
+    });
+
+    it('generates rules that pass validation and behave like the schema', function() {
+
+      expect(rulesValidator.validate(rules).errors).to.deep.equal([]);
+
+      var simulator = new Simulator({ rules: rulesGenerator.merge({ '.write': true }, rules) }, {}),
+        base = { name: 'Alice', role: 'admin', tags: { a: true } };
+
+      function valid(user) {
+        return simulator.canWrite('/users/alice', user, null).allowed;
+      }
+
+      expect(valid(base)).to.equal(true);
+      expect(valid({ name: 'Alice' })).to.equal(false);
+      expect(valid({ name: 'Alice', role: 'owner' })).to.equal(false);
+      expect(valid({ name: 'Alice', role: 'admin', age: 1.5 })).to.equal(false);
+      expect(valid({ name: 'Alice', role: 'admin', tags: { a: 'yes' } })).to.equal(false);
+      expect(valid({ name: 'Alice', role: 'admin', nickname: 'Al' })).to.equal(false);
+
+    });
+
+    it('throws for schemas rules can\'t express', function() {
+
+      expect(function() {
+        rulesGenerator.fromSchema({ enum: [{ a: 1 }] });
+      }).to.throw(/enum values/);
+      expect(function() {
+        rulesGenerator.fromSchema({ properties: { 'a.b': {} } });
+      }).to.throw(/can't be a Firebase key/);
+      expect(function() {
+        rulesGenerator.fromSchema({
+          definitions: { node: { properties: { next: { $ref: '#/definitions/node' } } } },
+          $ref: '#/definitions/node'
+        });
+      }).to.throw(/Recursive/);
+
+    });
+
+  });
+
+  describe('merge', function() {
+
+    it('keeps existing rules and replaces their .validate rules', function() {
+
+      var merged = rulesGenerator.merge({
+        rules: {
+          '.read': true,
+          users: {
+            '$user': {
+              '.write': 'auth.uid === $user',
+              '.validate': 'newData.exists()'
+            }
+          }
+        }
+      }, rulesGenerator.fromSchema({ type: 'object' }, { path: '/users/$uid' }));
+
+      expect(merged).to.deep.equal({
+        '.read': true,
+        users: {
+          '$user': {
+            '.write': 'auth.uid === $user',
+            '.validate': 'newData.hasChildren()'
+          }
+        }
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+var fs = require('fs'),
+  os = require('os'),
+  path = require('path');
+
+var FirebaseAccount = require('../../account.js'),
+  rulesLoader = require('../../lib/rules-loader.js');
+
+describe('rules-loader', function() {
+
+  var directory = path.join(os.tmpdir(), 'firebase-admin-rules-' + Date.now()),
+    written = [];
+
+  function write(name, contents) {
+
+    var filename = path.join(directory, name);
+    fs.writeFileSync(filename, contents);
+    written.push(filename);
+    return filename;
+
+  }
+
+  function parseError(fn) {
+
+    try {
+      fn();
+    } catch(e) {
+      return e;
+    }
+    throw new Error('expected a ParseError');
+
+  }
+
+  before(function() {
+    fs.mkdirSync(directory);
+  });
+
+  after(function() {
+
+    written.forEach(function(filename) {
+      fs.unlinkSync(filename);
+    });
+    fs.rmdirSync(directory);
+
+  });
+
+  describe('parse', function() {
+
+    it('accepts JSON with comments and trailing commas', function() {
+
+      var rules = rulesLoader.parse([
+        '/* deployed by CI */',
+        '{',
+        '  ".read": true, // for now',
+        '  "posts": { ".write": "auth !== null", },',
+        '}'
+      ].join('\n'));
+
+      expect(rules).to.deep.equal({
+        '.read': true,
+        posts: { '.write': 'auth !== null' }
+      });
+
+    });
+
+    it('reports the line and column of a JSON syntax error', function() {
+
+      var err = parseError(function() {
+        rulesLoader.parse('{\n  ".read": true\n  ".write": false\n}', {
+          filename: 'rules.json'
+        });
+      });
+
+      expect(err).to.be.an.instanceof(FirebaseAccount.ParseError);
+      expect(err.file).to.equal('rules.json');
+      expect(err.line).to.equal(3);
+      expect(err.column).to.equal(3);
+      expect(err.message).to.match(/^rules\.json:3:3: /);
+
+    });
+
+    it('parses YAML', function() {
+
+      expect(rulesLoader.parse('rules:\n  .read: auth != null\n', { format: 'yaml' }))
+      .to.deep.equal({ rules: { '.read': 'auth != null' } });
+
+    });
+
+    it('reports the line and column of a YAML syntax error', function() {
+
+      var err = parseError(function() {
+        rulesLoader.parse('.read: true\n.write:\n  - a\n b: c\n', { format: 'yaml' });
+      });
+
+      expect(err).to.be.an.instanceof(FirebaseAccount.ParseError);
+      expect(err.line).to.equal(4);
+      expect(err.column).to.equal(2);
+
+    });
+
+    it('rejects rules that are not an object', function() {
+
+      expect(function() {
+        rulesLoader.parse('[true]');
+      }).to.throw(FirebaseAccount.ParseError);
+
+    });
+
+  });
+
+  describe('load', function() {
+
+    it('picks the format from the file extension', function() {
+
+      var filename = write('rules.yml', '.read: true\n.write: false\n');
+      expect(rulesLoader.load(filename)).to.deep.equal({ '.read': true, '.write': false });
+
+    });
+
+    it('compiles .bolt files', function() {
+
+      var filename = write('rules.bolt', 'path /posts { read() { auth != null } }\n');
+      expect(rulesLoader.load(filename)).to.deep.equal({
+        rules: { posts: { '.read': 'auth != null' } }
+      });
+
+    });
+
+    it('loads a module exporting rules', function() {
+
+      var filename = write('static.js', 'module.exports = { ".read": true };\n');
+      expect(rulesLoader.load(filename)).to.deep.equal({ '.read': true });
+
+    });
+
+    it('calls a module exporting a function with the environment', function() {
+
+      var filename = write('dynamic.js', [
+        'module.exports = function(env) {',
+        '  return { ".write": env.STAGE === "dev" };',
+        '};'
+      ].join('\n'));
+
+      expect(rulesLoader.load(filename, { env: { STAGE: 'dev' } }))
+      .to.deep.equal({ '.write': true });
+      expect(rulesLoader.load(filename, { env: { STAGE: 'prod' } }))
+      .to.deep.equal({ '.write': false });
+
+    });
+
+    it('reports the line of a syntax error in a module', function() {
+
+      var filename = write('broken.js', 'module.exports = {\n  ".read": true,,\n};\n'),
+        err = parseError(function() {
+          rulesLoader.load(filename);
+        });
+
+      expect(err).to.be.an.instanceof(FirebaseAccount.ParseError);
+      expect(err.line).to.equal(2);
+
+    });
+
+  });
+
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+var Simulator = require('../../lib/rules-simulator.js');
+
+describe('Simulator', function() {
+
+  var rules = {
+    rules: {
+      '.read': false,
+      users: {
+        '$uid': {
+          '.read': 'auth !== null',
+          '.write': 'auth.uid === $uid',
+          '.validate': 'newData.hasChildren([\'name\'])',
+          name: {
+            '.validate': 'newData.isString() && newData.val().length < 10'
+          },
+          age: {
+            '.validate': 'newData.isNumber() && newData.val() >= 0'
+          },
+          '$other': {
+            '.validate': false
+          }
+        }
+      },
+      posts: {
+        '$post': {
+          '.write': 'data.exists() ? data.child(\'author\').val() === auth.uid : ' +
+            'newData.child(\'author\').val() === auth.uid',
+          comments: {
+            '.read': 'data.parent().child(\'public\').val() === true'
+          }
+        }
+      },
+      admin: {
+        '.read': 'root.child(\'admins\').hasChild(auth.uid)'
+      }
+    }
+  };
+
+  var data = {
+    users: {
+      alice: { name: 'Alice', age: 30 }
+    },
+    posts: {
+      hello: { author: 'alice', public: true, comments: { c1: 'Nice' } },
+      draft: { author: 'bob', public: false }
+    },
+    admins: {
+      bob: true
+    }
+  };
+
+  var simulator = new Simulator(rules, data, { now: 1412000000000 });
+
+  function keys(result) {
+
+    return result.trace.map(function(entry) {
+      return entry.path + ' ' + entry.key + ' ' + entry.result;
+    });
+
+  }
+
+  describe('#canRead', function() {
+
+    it('cascades from the root down, capturing wildcards', function() {
+
+      var result = simulator.canRead('/users/alice', { uid: 'carol' });
+
+      expect(result.allowed).to.equal(true);
+      expect(result.type).to.equal('read');
+      expect(keys(result)).to.deep.equal([
+        '/ .read false',
+        '/users/$uid .read true'
+      ]);
+      expect(result.trace[1].location).to.equal('/users/alice');
+
+    });
+
+    it('denies where no rule grants access', function() {
+
+      expect(simulator.canRead('/users/alice', null).allowed).to.equal(false);
+      expect(simulator.canRead('/nowhere', { uid: 'alice' }).allowed).to.equal(false);
+
+    });
+
+    it('evaluates snapshot methods against the data', function() {
+
+      expect(simulator.canRead('/posts/hello/comments').allowed).to.equal(true);
+      expect(simulator.canRead('/posts/draft/comments').allowed).to.equal(false);
+      expect(simulator.canRead('/admin', { uid: 'bob' }).allowed).to.equal(true);
+
+    });
+
+    it('counts a rule that fails to evaluate as false, and says why', function() {
+
+      var result = simulator.canRead('/admin', null);
+
+      expect(result.allowed).to.equal(false);
+      expect(result.trace[1].error).to.equal('Cannot read "uid" of null');
+
+    });
+
+  });
+
+  describe('#canWrite', function() {
+
+    it('allows a write that .write and every .validate rule allow', function() {
+
+      var result = simulator.canWrite('/users/alice', { name: 'Al', age: 31 }, { uid: 'alice' });
+
+      expect(result.allowed).to.equal(true);
+      expect(keys(result)).to.deep.equal([
+        '/users/$uid .write true',
+        '/users/$uid .validate true',
+        '/users/$uid/age .validate true',
+        '/users/$uid/name .validate true'
+      ]);
+
+    });
+
+    it('denies a write no .write rule allows, without validating', function() {
+
+      var result = simulator.canWrite('/users/alice', { name: 'Al' }, { uid: 'bob' });
+
+      expect(result.allowed).to.equal(false);
+      expect(keys(result)).to.deep.equal(['/users/$uid .write false']);
+
+    });
+
+    it('denies a write that fails validation below the written path', function() {
+
+      var result = simulator.canWrite('/users/alice', { name: 'Al', nickname: 'A' }, {
+        uid: 'alice'
+      });
+
+      expect(result.allowed).to.equal(false);
+      expect(keys(result)).to.include('/users/$uid/$other .validate false');
+
+    });
+
+    it('validates the ancestors of the written path against the new data', function() {
+
+      var result = simulator.canWrite('/users/alice/name', null, { uid: 'alice' });
+
+      expect(result.allowed).to.equal(false);
+      expect(keys(result)).to.deep.equal([
+        '/users/$uid .write true',
+        '/users/$uid .validate false'
+      ]);
+
+    });
+
+    it('tells data from newData', function() {
+
+      expect(simulator.canWrite('/posts/new', { author: 'carol' }, { uid: 'carol' }).allowed)
+      .to.equal(true);
+      expect(simulator.canWrite('/posts/hello', { author: 'carol' }, { uid: 'carol' }).allowed)
+      .to.equal(false);
+
+    });
+
+  });
+
+});
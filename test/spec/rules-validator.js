@@ -0,0 +1,150 @@
+'use strict';
+
+var rulesValidator = require('../../lib/rules-validator.js');
+
+describe('rules-validator', function() {
+
+  function messages(problems) {
+
+    return problems.map(function(problem) {
+      return problem.path + (problem.key ? ' ' + problem.key : '') + ': ' + problem.message;
+    });
+
+  }
+
+  describe('validate', function() {
+
+    it('finds nothing wrong with sound rules', function() {
+
+      var result = rulesValidator.validate({
+        rules: {
+          '.read': 'auth !== null',
+          users: {
+            '$uid': {
+              '.write': 'auth.uid === $uid && (!data.exists() || ' +
+                'root.child(\'admins/\' + auth.uid).val() === true)',
+              '.validate': 'newData.hasChildren([\'name\']) && ' +
+                'newData.child(\'name\').val().length < 100',
+              '.indexOn': ['name', 'age']
+            }
+          },
+          posts: {
+            '.indexOn': 'date'
+          }
+        }
+      });
+
+      expect(result).to.deep.equal({ errors: [], warnings: [] });
+
+    });
+
+    it('checks the structure of the rules tree', function() {
+
+      var result = rulesValidator.validate({
+        '.raed': true,
+        users: {
+          '$uid': {},
+          '$other': {},
+          'a.b': {},
+          '$bad-name': {}
+        },
+        posts: {
+          '.indexOn': 42,
+          '$post': { '$post': {} }
+        },
+        leaf: 'auth !== null'
+      });
+
+      expect(messages(result.errors)).to.deep.equal([
+        '/ .raed: Unknown rule ".raed"; rules are .read, .write, .validate, .indexOn',
+        '/users: Only one $ wildcard is allowed per level, found $uid, $other, $bad-name',
+        '/users/a.b: Invalid key "a.b"; keys can\'t be empty or contain . # $ [ ] or /',
+        '/users/$bad-name: Invalid wildcard "$bad-name"; use $ followed by a name',
+        '/posts .indexOn: .indexOn must be a child name or an array of them',
+        '/posts/$post/$post: Wildcard $post is already used above and would hide it',
+        '/leaf: Rules must be an object'
+      ]);
+
+    });
+
+    it('reports expression syntax errors with their column', function() {
+
+      var problem = rulesValidator.validate({ '.read': 'auth != null &&' }).errors[0];
+
+      expect(problem).to.deep.equal({
+        severity: 'error',
+        path: '/',
+        key: '.read',
+        message: 'Unexpected end of expression',
+        column: 16
+      });
+
+    });
+
+    it('checks the variables and snapshot methods expressions use', function() {
+
+      var result = rulesValidator.validate({
+        '.read': 'newData.exists()',
+        users: {
+          '$uid': {
+            '.write': 'uid === $uid && data.exist() && $other',
+            '.validate': 'newData.isString'
+          }
+        }
+      });
+
+      expect(messages(result.errors)).to.deep.equal([
+        '/ .read: newData is only available in .write and .validate rules',
+        '/users/$uid .write: Unknown variable "uid"',
+        '/users/$uid .write: Unknown snapshot method "exist"',
+        '/users/$uid .write: Unknown variable "$other": there is no $other ' +
+          'wildcard above this rule',
+        '/users/$uid .validate: isString is a method; call it with isString()'
+      ]);
+
+    });
+
+    it('warns about rules that a parent granting access makes pointless', function() {
+
+      var result = rulesValidator.validate({
+        '.read': 'auth !== null',
+        admin: {
+          '.write': true,
+          settings: {
+            '.write': 'auth.uid === \'root\''
+          }
+        }
+      });
+
+      expect(result.errors).to.deep.equal([]);
+      expect(messages(result.warnings)).to.deep.equal([
+        '/admin/settings .write: Has no effect: /admin already grants .write with ' +
+          'true, and rules below it can\'t take access away'
+      ]);
+
+    });
+
+  });
+
+  describe('format', function() {
+
+    it('prints one problem per line', function() {
+
+      expect(rulesValidator.format([{
+        severity: 'warning',
+        path: '/a',
+        key: '.read',
+        message: 'Hmm'
+      }, {
+        severity: 'error',
+        path: '/',
+        key: '.write',
+        message: 'Bad',
+        column: 3
+      }])).to.equal('warning /a .read: Hmm\nerror   / .write:3: Bad\n');
+
+    });
+
+  });
+
+});
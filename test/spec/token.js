@@ -0,0 +1,148 @@
+'use strict';
+
+var crypto = require('crypto');
+
+var errors = require('../../lib/errors.js'),
+  token = require('../../lib/token.js');
+
+describe('token', function() {
+
+  var issuedAt = new Date('2014-10-01T12:00:00Z');
+
+  function decode(part) {
+    return JSON.parse(Buffer.from(part, 'base64').toString('utf8'));
+  }
+
+  describe('create', function() {
+
+    it('signs a Firebase-format HS256 JWT', function() {
+
+      var parts = token.create('secret', { uid: 'alice', role: 'editor' }, {
+        issuedAt: issuedAt,
+        expires: new Date('2014-10-02T12:00:00Z'),
+        debug: true
+      }).split('.');
+
+      expect(parts).to.have.length(3);
+      expect(decode(parts[0])).to.deep.equal({ typ: 'JWT', alg: 'HS256' });
+      expect(decode(parts[1])).to.deep.equal({
+        v: 0,
+        iat: 1412164800,
+        d: { uid: 'alice', role: 'editor' },
+        exp: 1412251200,
+        debug: true
+      });
+
+    });
+
+    it('needs a uid unless the token is an admin token', function() {
+
+      expect(function() {
+        token.create('secret', { role: 'editor' });
+      }).to.throw(errors.ValidationError, /need a uid/);
+
+      expect(token.create('secret', {}, { admin: true })).to.be.a('string');
+
+    });
+
+    it('refuses tokens longer than Firebase accepts', function() {
+
+      expect(function() {
+        token.create('secret', { uid: 'alice', padding: new Array(1000).join('x') });
+      }).to.throw(errors.ValidationError, /more than the 1024/);
+
+    });
+
+  });
+
+  describe('verify', function() {
+
+    var signed = token.create('new', { uid: 'alice' }, {
+      issuedAt: issuedAt,
+      expires: new Date('2014-10-02T12:00:00Z'),
+      notBefore: issuedAt
+    });
+
+    it('decodes a token signed with one of the secrets', function() {
+
+      var decoded = token.verify(signed, ['old', 'new'], { now: issuedAt });
+
+      expect(decoded).to.deep.equal({
+        uid: 'alice',
+        data: { uid: 'alice' },
+        issuedAt: issuedAt,
+        expires: new Date('2014-10-02T12:00:00Z'),
+        notBefore: issuedAt,
+        admin: false,
+        debug: false
+      });
+
+    });
+
+    it('refuses tokens signed with another secret', function() {
+
+      expect(function() {
+        token.verify(signed, ['old'], { now: issuedAt });
+      }).to.throw(errors.AuthenticationError, /not signed with any current secret/);
+
+    });
+
+    it('refuses tokens that have expired or are not yet valid', function() {
+
+      expect(function() {
+        token.verify(signed, ['new'], { now: new Date('2014-10-03T00:00:00Z') });
+      }).to.throw(errors.AuthenticationError, /expired at 2014-10-02T12:00:00.000Z/);
+
+      expect(function() {
+        token.verify(signed, ['new'], { now: new Date('2014-09-30T00:00:00Z') });
+      }).to.throw(errors.AuthenticationError, /not valid until/);
+
+    });
+
+    it('expires tokens without an expiry 24 hours after issue', function() {
+
+      var unlimited = token.create('new', { uid: 'alice' }, { issuedAt: issuedAt });
+
+      expect(token.verify(unlimited, ['new'], { now: issuedAt }).expires)
+      .to.deep.equal(new Date(issuedAt.getTime() + 24 * 60 * 60 * 1000));
+
+      expect(function() {
+        token.verify(unlimited, ['new'], {
+          now: new Date(issuedAt.getTime() + 25 * 60 * 60 * 1000)
+        });
+      }).to.throw(errors.AuthenticationError, /expired at/);
+
+    });
+
+    it('refuses malformed tokens', function() {
+
+      function forge(header, claims) {
+
+        var input = [header, claims].map(function(part) {
+          return Buffer.from(JSON.stringify(part)).toString('base64');
+        }).join('.');
+
+        return input + '.' + crypto.createHmac('sha256', 'new').update(input).digest('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+      }
+
+      [
+        'not.a-token',
+        forge(null, { v: 0, iat: 1412164800, d: { uid: 'alice' } }),
+        forge({ alg: 'HS256' }, null),
+        forge({ alg: 'HS256' }, { v: 0, iat: 1412164800, exp: 'soon', d: { uid: 'alice' } }),
+        forge({ alg: 'HS256' }, { v: 0, d: { uid: 'alice' } })
+      ].forEach(function(malformed) {
+
+        expect(function() {
+          token.verify(malformed, ['new']);
+        }).to.throw(errors.AuthenticationError, /malformed/);
+
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,227 @@
+'use strict';
+
+var http = require('http');
+
+var Transport = require('../../lib/transport.js');
+
+describe('Transport', function() {
+
+  var server, baseUrl, hits, handler;
+
+  before(function(done) {
+
+    server = http.createServer(function(req, res) {
+      hits++;
+      handler(req, res);
+    });
+
+    server.listen(0, '127.0.0.1', function() {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+
+  });
+
+  after(function(done) {
+    server.close(function() {
+      done();
+    });
+  });
+
+  beforeEach(function() {
+    hits = 0;
+  });
+
+  function failTimes(count, statusCode) {
+
+    handler = function(req, res) {
+
+      if (hits <= count) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'try again' }));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'ok', hits: hits }));
+      }
+
+    };
+
+  }
+
+  describe('#request', function() {
+
+    it('resolves with the parsed response body', function() {
+
+      failTimes(0);
+      return expect(new Transport().request({ url: baseUrl }))
+      .to.eventually.have.property('hits', 1);
+
+    });
+
+    it('retries server errors with backoff until one succeeds', function() {
+
+      failTimes(2, 503);
+      var transport = new Transport({ minDelay: 1, maxDelay: 5 });
+
+      return expect(transport.request({ url: baseUrl }))
+      .to.eventually.have.property('hits', 3);
+
+    });
+
+    it('gives up after the configured number of retries', function() {
+
+      failTimes(10, 500);
+      var transport = new Transport({ retries: 2, minDelay: 1, maxDelay: 5 });
+
+      return expect(transport.request({ url: baseUrl }))
+      .to.be.rejected
+      .then(function() {
+        expect(hits).to.equal(3);
+      });
+
+    });
+
+    it('does not retry client errors', function() {
+
+      failTimes(1, 400);
+      var transport = new Transport({ minDelay: 1 });
+
+      return expect(transport.request({ url: baseUrl }))
+      .to.be.rejected
+      .then(function() {
+        expect(hits).to.equal(1);
+      });
+
+    });
+
+    it('retries rate-limited requests even when they are not idempotent', function() {
+
+      failTimes(1, 429);
+      var transport = new Transport({ minDelay: 1 });
+
+      return expect(transport.request({ method: 'POST', url: baseUrl }))
+      .to.eventually.have.property('hits', 2);
+
+    });
+
+    it('does not retry server errors on requests that are not idempotent', function() {
+
+      failTimes(1, 500);
+      var transport = new Transport({ minDelay: 1 });
+
+      return expect(transport.request({ method: 'POST', url: baseUrl }))
+      .to.be.rejected
+      .then(function() {
+        expect(hits).to.equal(1);
+      });
+
+    });
+
+    it('keeps secrets and credentials out of the endpoint of errors', function() {
+
+      failTimes(1, 403);
+
+      return new Transport({ minDelay: 1 }).request({
+        method: 'DELETE',
+        url: baseUrl + '/.settings/secrets/s3cr3t.json?auth=t0ken&print=silent'
+      })
+      .then(function() {
+        throw new Error('The request should have failed');
+      }, function(err) {
+
+        expect(err.endpoint).to.equal('DELETE ' + baseUrl +
+          '/.settings/secrets/***.json?auth=***&print=silent');
+        expect(JSON.stringify(err) + err.message + err.stack).to.not.match(/s3cr3t|t0ken/);
+
+      });
+
+    });
+
+    it('retries connection failures', function() {
+
+      var attempts = 0;
+      var transport = new Transport({
+        minDelay: 1,
+        request: function(options, callback) {
+
+          attempts++;
+          if (attempts === 1) {
+            var err = new Error('socket hang up');
+            err.code = 'ECONNRESET';
+            callback(err);
+          } else {
+            callback(null, { statusCode: 200, headers: {} }, '"ok"');
+          }
+
+        }
+      });
+
+      return expect(transport.request({ url: baseUrl }))
+      .to.eventually.equal('ok');
+
+    });
+
+    it('times out slow attempts', function() {
+
+      handler = function(req, res) {
+        setTimeout(function() {
+          res.end('{}');
+        }, 200);
+      };
+
+      var transport = new Transport({ retries: 0, timeout: 20 });
+
+      return expect(transport.request({ url: baseUrl }))
+      .to.be.rejected
+      .then(function(err) {
+        expect(err.code).to.match(/TIMEDOUT/);
+      });
+
+    });
+
+    it('stops retrying once the deadline has passed', function() {
+
+      failTimes(10, 503);
+      var transport = new Transport({
+        retries: 10,
+        minDelay: 60,
+        maxDelay: 60,
+        deadline: 100
+      });
+
+      var started = Date.now();
+      return expect(transport.request({ url: baseUrl }))
+      .to.be.rejected
+      .then(function() {
+        expect(Date.now() - started).to.be.below(200);
+        expect(hits).to.be.within(2, 4);
+      });
+
+    });
+
+  });
+
+  describe('#backoff', function() {
+
+    it('grows exponentially with jitter up to the maximum delay', function() {
+
+      var transport = new Transport({ minDelay: 100, maxDelay: 1000 });
+
+      expect(transport.backoff(1)).to.be.within(50, 100);
+      expect(transport.backoff(3)).to.be.within(200, 400);
+      expect(transport.backoff(10)).to.be.within(500, 1000);
+
+    });
+
+    it('honors Retry-After headers', function() {
+
+      var transport = new Transport({ maxDelay: 5000 });
+
+      expect(transport.backoff(1, { headers: { 'retry-after': '2' } }))
+      .to.equal(2000);
+
+    });
+
+  });
+
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+var errors = require('../../lib/errors.js'),
+  userRecords = require('../../lib/user-records.js');
+
+describe('user-records', function() {
+
+  describe('parse', function() {
+
+    it('reads CSV with a header, quoted fields and optional passwords', function() {
+
+      var csv = 'Name,Email,Password\r\n' +
+        '"Smith, Alice",alice@example.com,"p""w,1"\r\n' +
+        '\r\n' +
+        'Bob,bob@example.com,\n';
+
+      expect(userRecords.parse(csv, { file: 'users.csv' })).to.deep.equal([
+        { email: 'alice@example.com', password: 'p"w,1' },
+        { email: 'bob@example.com' }
+      ]);
+
+    });
+
+    it('reads JSON arrays of addresses or objects', function() {
+
+      var json = JSON.stringify([
+        'alice@example.com',
+        { email: 'bob@example.com', password: 'secret', id: 2 }
+      ]);
+
+      expect(userRecords.parse(json, { file: 'users.json' })).to.deep.equal([
+        { email: 'alice@example.com' },
+        { email: 'bob@example.com', password: 'secret' }
+      ]);
+
+      expect(userRecords.parse('{"users":["carol@example.com"]}')).to.deep.equal([
+        { email: 'carol@example.com' }
+      ]);
+
+    });
+
+    it('says where records lack an email address', function() {
+
+      expect(function() {
+        userRecords.parse('email,password\nalice@example.com,x\n,y\n', { file: 'users.csv' });
+      }).to.throw(errors.ParseError, /^users\.csv:3: No email address/);
+
+      expect(function() {
+        userRecords.parse('email\n"alice@example.com\n', { format: 'csv' });
+      }).to.throw(errors.ParseError, /Unterminated/);
+
+      expect(function() {
+        userRecords.parse('[{"password":"x"}]', { file: 'users.json' });
+      }).to.throw(errors.ParseError, /User 1 has no email/);
+
+    });
+
+  });
+
+  describe('generatePassword', function() {
+
+    it('makes up a different 16-digit hexadecimal password each time', function() {
+
+      var first = userRecords.generatePassword();
+
+      expect(first).to.match(/^[0-9a-f]{16}$/);
+      expect(userRecords.generatePassword()).to.not.equal(first);
+
+    });
+
+  });
+
+  describe('toCsv', function() {
+
+    it('writes a header and quotes fields that need it', function() {
+
+      expect(userRecords.toCsv([
+        { email: 'alice@example.com', password: 'a,b' },
+        { email: 'bob@example.com' }
+      ], ['email', 'password']))
+      .to.equal('email,password\nalice@example.com,"a,b"\nbob@example.com,\n');
+
+    });
+
+  });
+
+});